@@ -27,7 +27,9 @@ const friendRoutes = require('./routes/friendRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const productRoutes = require('./routes/productRoutes');
 const pushRoutes = require('./routes/pushRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
 
 // Create Express app
 const app = express();
@@ -176,7 +178,9 @@ app.get('/api/status', (req, res) => {
       notifications: '/api/v1/notifications',
       upload: '/api/v1/upload',
       payment: '/api/v1/payment',
-      push: '/api/v1/push'
+      products: '/api/v1/products',
+      push: '/api/v1/push',
+      moderation: '/api/v1/moderation'
     },
     services: {
       sms: 'Alibaba Cloud SMS + Tencent Cloud SMS',
@@ -200,7 +204,9 @@ app.use(`${API_PREFIX}/friends`, friendRoutes);
 app.use(`${API_PREFIX}/notifications`, notificationRoutes);
 app.use(`${API_PREFIX}/upload`, uploadRoutes);
 app.use(`${API_PREFIX}/payment`, paymentRoutes);
+app.use(`${API_PREFIX}/products`, productRoutes);
 app.use(`${API_PREFIX}/push`, pushRoutes);
+app.use(`${API_PREFIX}/moderation`, moderationRoutes);
 
 /**
  * WeChat Mini Program API endpoints
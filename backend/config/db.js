@@ -91,6 +91,18 @@ const initializeDatabase = async () => {
     const PaymentOrder = require('../models/PaymentOrder');
     const Gift = require('../models/Gift');
     const CurrencyTransaction = require('../models/CurrencyTransaction');
+    const PostLike = require('../models/PostLike');
+    const Report = require('../models/Report');
+    const PostRevision = require('../models/PostRevision');
+    const ConversationMember = require('../models/ConversationMember');
+    const Conversation = require('../models/Conversation');
+    const DeviceSyncState = require('../models/DeviceSyncState');
+    const ConversationSetting = require('../models/ConversationSetting');
+    const DeviceKeyBundle = require('../models/DeviceKeyBundle');
+    const OneTimePrekey = require('../models/OneTimePrekey');
+    const MessageRevision = require('../models/MessageRevision');
+    const PaymentRefund = require('../models/PaymentRefund');
+    const Product = require('../models/Product');
 
     // Define associations
     setupAssociations();
@@ -122,6 +134,18 @@ const setupAssociations = () => {
   const PaymentOrder = require('../models/PaymentOrder');
   const Gift = require('../models/Gift');
   const CurrencyTransaction = require('../models/CurrencyTransaction');
+  const PostLike = require('../models/PostLike');
+  const Report = require('../models/Report');
+  const PostRevision = require('../models/PostRevision');
+  const ConversationMember = require('../models/ConversationMember');
+  const Conversation = require('../models/Conversation');
+  const DeviceSyncState = require('../models/DeviceSyncState');
+  const ConversationSetting = require('../models/ConversationSetting');
+  const DeviceKeyBundle = require('../models/DeviceKeyBundle');
+  const OneTimePrekey = require('../models/OneTimePrekey');
+  const MessageRevision = require('../models/MessageRevision');
+  const PaymentRefund = require('../models/PaymentRefund');
+  const Product = require('../models/Product');
 
   // User associations
   User.hasMany(Post, { foreignKey: 'user_id', as: 'posts' });
@@ -130,6 +154,11 @@ const setupAssociations = () => {
   User.hasMany(Gift, { foreignKey: 'senderId', as: 'sentGifts' });
   User.hasMany(Gift, { foreignKey: 'recipientId', as: 'receivedGifts' });
   User.hasMany(CurrencyTransaction, { foreignKey: 'userId', as: 'currencyTransactions' });
+  User.hasMany(PostLike, { foreignKey: 'user_id', as: 'postLikes' });
+  User.hasMany(Report, { foreignKey: 'reporter_id', as: 'filedReports' });
+  User.hasMany(ConversationMember, { foreignKey: 'user_id', as: 'conversationMemberships' });
+  User.hasMany(DeviceSyncState, { foreignKey: 'user_id', as: 'deviceSyncStates' });
+  User.hasMany(DeviceKeyBundle, { foreignKey: 'user_id', as: 'deviceKeyBundles' });
   
   // Friend associations
   User.belongsToMany(User, {
@@ -143,10 +172,42 @@ const setupAssociations = () => {
   Post.belongsTo(User, { foreignKey: 'user_id', as: 'author' });
   Post.hasMany(Post, { foreignKey: 'parent_id', as: 'comments' });
   Post.belongsTo(Post, { foreignKey: 'parent_id', as: 'parent' });
+  Post.hasMany(PostLike, { foreignKey: 'post_id', as: 'likes' });
+  Post.hasMany(PostRevision, { foreignKey: 'post_id', as: 'revisions' });
+
+  // PostLike associations
+  PostLike.belongsTo(Post, { foreignKey: 'post_id', as: 'post' });
+  PostLike.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+  // PostRevision associations
+  PostRevision.belongsTo(Post, { foreignKey: 'post_id', as: 'post' });
+  PostRevision.belongsTo(User, { foreignKey: 'editor_id', as: 'editor' });
+
+  // Report associations
+  Report.belongsTo(User, { foreignKey: 'reporter_id', as: 'reporter' });
+  Report.belongsTo(User, { foreignKey: 'reported_user_id', as: 'reportedUser' });
+  Report.belongsTo(User, { foreignKey: 'moderator_id', as: 'moderator' });
 
   // Message associations
   Message.belongsTo(User, { foreignKey: 'sender_id', as: 'sender' });
   Message.belongsTo(User, { foreignKey: 'receiver_id', as: 'receiver' });
+  Message.hasMany(MessageRevision, { foreignKey: 'message_id', as: 'revisions' });
+  MessageRevision.belongsTo(Message, { foreignKey: 'message_id', as: 'message' });
+
+  // Conversation associations
+  Conversation.belongsTo(User, { foreignKey: 'owner_id', as: 'owner' });
+  Conversation.hasMany(ConversationMember, { foreignKey: 'conversation_id', as: 'members' });
+  ConversationMember.belongsTo(Conversation, { foreignKey: 'conversation_id', as: 'conversation' });
+  ConversationMember.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+  ConversationSetting.belongsTo(User, { foreignKey: 'updated_by', as: 'updatedBy' });
+
+  // DeviceSyncState associations
+  DeviceSyncState.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+  // End-to-end encryption key associations
+  DeviceKeyBundle.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  OneTimePrekey.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
   // Notification associations
   Notification.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
@@ -154,6 +215,11 @@ const setupAssociations = () => {
 
   // PaymentOrder associations
   PaymentOrder.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  PaymentOrder.hasMany(PaymentRefund, { foreignKey: 'orderId', as: 'refunds' });
+  PaymentRefund.belongsTo(PaymentOrder, { foreignKey: 'orderId', as: 'order' });
+  PaymentRefund.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  PaymentOrder.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+  Product.hasMany(PaymentOrder, { foreignKey: 'productId', as: 'orders' });
 
   // Gift associations
   Gift.belongsTo(User, { foreignKey: 'senderId', as: 'sender' });
@@ -197,5 +263,6 @@ module.exports = {
   sequelize,
   testConnection,
   initializeDatabase,
+  setupAssociations,
   closeConnection
 };
\ No newline at end of file
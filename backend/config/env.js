@@ -216,6 +216,16 @@ const config = {
     sandbox: getEnvVar('ALIPAY_SANDBOX', 'false') === 'true'
   },
 
+  // Payment settings
+  payment: {
+    refundReconcileInterval: parseInt(getEnvVar('REFUND_RECONCILE_INTERVAL', '300000')), // 5 minutes
+    refundReconcileMinAge: parseInt(getEnvVar('REFUND_RECONCILE_MIN_AGE', '600')), // Seconds a refund waits for its notification before being queried
+    refundReconcileBatchSize: parseInt(getEnvVar('REFUND_RECONCILE_BATCH_SIZE', '100')),
+    billReconcileInterval: parseInt(getEnvVar('BILL_RECONCILE_INTERVAL', '3600000')), // 1 hour
+    billReconcileHour: parseInt(getEnvVar('BILL_RECONCILE_HOUR', '10')), // China time hour after which yesterday's bills are fetched
+    billAutoSettle: getEnvVar('BILL_AUTO_SETTLE', 'true') === 'true' // Settle pending orders the bill shows as paid
+  },
+
   // Enhanced security settings
   security: {
     bcryptRounds: parseInt(getEnvVar('BCRYPT_ROUNDS', '12')),
@@ -239,7 +249,12 @@ const config = {
     cdnDomain: getEnvVar('CDN_DOMAIN'),
     allowedTypes: getEnvVar('ALLOWED_FILE_TYPES', 'image/jpeg,image/png,image/gif,image/webp,video/mp4').split(','),
     tempPath: getEnvVar('TEMP_UPLOAD_PATH', '/tmp/uploads'),
-    cleanupInterval: parseInt(getEnvVar('UPLOAD_CLEANUP_INTERVAL', '3600000')) // 1 hour
+    cleanupInterval: parseInt(getEnvVar('UPLOAD_CLEANUP_INTERVAL', '3600000')), // 1 hour
+    ffmpegPath: getEnvVar('FFMPEG_PATH', 'ffmpeg'),
+    ffprobePath: getEnvVar('FFPROBE_PATH', 'ffprobe'),
+    ffmpegTimeout: parseInt(getEnvVar('FFMPEG_TIMEOUT', '30000')), // 30 seconds
+    voiceMaxDuration: parseInt(getEnvVar('VOICE_MAX_DURATION', '300')), // 5 minutes
+    voiceWaveformSamples: parseInt(getEnvVar('VOICE_WAVEFORM_SAMPLES', '64'))
   },
 
   // Enhanced push notification settings (comprehensive support)
@@ -302,6 +317,57 @@ const config = {
     }
   },
 
+  // Post publishing settings
+  posts: {
+    schedulerInterval: parseInt(getEnvVar('POST_SCHEDULER_INTERVAL', '60000')), // 1 minute
+    schedulerBatchSize: parseInt(getEnvVar('POST_SCHEDULER_BATCH_SIZE', '100')),
+    maxScheduleAhead: parseInt(getEnvVar('POST_MAX_SCHEDULE_AHEAD', '2592000000')), // 30 days
+    maxCommentDepth: parseInt(getEnvVar('POST_MAX_COMMENT_DEPTH', '5')) // Top-level comments are depth 1
+  },
+
+  // Home timeline cache settings
+  timeline: {
+    maxLength: parseInt(getEnvVar('TIMELINE_MAX_LENGTH', '800')),
+    publicMaxLength: parseInt(getEnvVar('TIMELINE_PUBLIC_MAX_LENGTH', '1000')),
+    fanoutLimit: parseInt(getEnvVar('TIMELINE_FANOUT_LIMIT', '1000')), // Authors above this many friends are pulled at read time
+    ttl: parseInt(getEnvVar('TIMELINE_TTL', '604800')), // 7 days without reads
+    rebuildWindowDays: parseInt(getEnvVar('TIMELINE_REBUILD_WINDOW_DAYS', '14'))
+  },
+
+  // Ranked feed settings
+  feed: {
+    rankedWeights: {
+      likes: parseFloat(getEnvVar('FEED_WEIGHT_LIKES', '1')),
+      comments: parseFloat(getEnvVar('FEED_WEIGHT_COMMENTS', '2')),
+      shares: parseFloat(getEnvVar('FEED_WEIGHT_SHARES', '3')),
+      recency: parseFloat(getEnvVar('FEED_WEIGHT_RECENCY', '10')),
+      interaction: parseFloat(getEnvVar('FEED_WEIGHT_INTERACTION', '1.5')),
+      closeFriend: parseFloat(getEnvVar('FEED_WEIGHT_CLOSE_FRIEND', '5'))
+    },
+    recencyHalfLifeHours: parseFloat(getEnvVar('FEED_RECENCY_HALF_LIFE_HOURS', '12')),
+    candidateWindowHours: parseInt(getEnvVar('FEED_CANDIDATE_WINDOW_HOURS', '72')),
+    candidateLimit: parseInt(getEnvVar('FEED_CANDIDATE_LIMIT', '500')),
+    rankedCacheTtl: parseInt(getEnvVar('FEED_RANKED_CACHE_TTL', '300')) // 5 minutes
+  },
+
+  // Full-text search settings
+  search: {
+    ngramTokenSize: parseInt(getEnvVar('SEARCH_NGRAM_TOKEN_SIZE', '2')), // Must match MySQL ngram_token_size
+    snippetLength: parseInt(getEnvVar('SEARCH_SNIPPET_LENGTH', '160'))
+  },
+
+  // Chat settings
+  chat: {
+    accessCacheTtl: parseInt(getEnvVar('CHAT_ACCESS_CACHE_TTL', '300')), // 5 minutes
+    syncMaxAgeDays: parseInt(getEnvVar('CHAT_SYNC_MAX_AGE_DAYS', '30')), // History a new device receives on first sync
+    expiryInterval: parseInt(getEnvVar('CHAT_EXPIRY_INTERVAL', '60000')), // 1 minute
+    expiryBatchSize: parseInt(getEnvVar('CHAT_EXPIRY_BATCH_SIZE', '500')),
+    prekeyLowThreshold: parseInt(getEnvVar('CHAT_PREKEY_LOW_THRESHOLD', '10')), // Devices are asked to upload more below this
+    editWindow: parseInt(getEnvVar('CHAT_EDIT_WINDOW', '900')), // 15 minutes after sending
+    maxPinnedMessages: parseInt(getEnvVar('CHAT_MAX_PINNED_MESSAGES', '5')), // Per conversation
+    searchContextHits: parseInt(getEnvVar('CHAT_SEARCH_CONTEXT_HITS', '5')) // Search hits per page that include context
+  },
+
   // Application-specific settings
   app: {
     name: getEnvVar('APP_NAME', 'SilverApp'),
@@ -208,6 +208,16 @@ const login = asyncHandler(async (req, res, next) => {
       return next(new AuthenticationError('Account is deactivated'));
     }
 
+    // Check if user is suspended
+    if (user.isSuspended()) {
+      loggerUtils.logSecurity('suspended_account_login_attempt', ip, {
+        userId: user.id,
+        suspendedUntil: user.suspended_until,
+        userAgent
+      });
+      return next(new AuthenticationError('Account is suspended'));
+    }
+
     // Check if phone is verified
     if (!user.phone_verified) {
       logger.warn('Unverified phone login attempt:', {
@@ -4,83 +4,110 @@
  */
 
 const { asyncHandler } = require('../utils/asyncHandler');
-const { AppError, ValidationError, NotFoundError, AuthorizationError } = require('../errors/AppError');
-const { removeSensitiveFields } = require('../utils/helpers');
+const { AppError, ValidationError, NotFoundError, AuthorizationError, ConflictError } = require('../errors/AppError');
+const { removeSensitiveFields, encodeCursor, decodeCursor, buildCursorPage } = require('../utils/helpers');
 const { logger } = require('../config/logger');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const Friend = require('../models/Friend');
+const Conversation = require('../models/Conversation');
+const ConversationMember = require('../models/ConversationMember');
+const DeviceSyncState = require('../models/DeviceSyncState');
+const ConversationSetting = require('../models/ConversationSetting');
+const DeviceKeyBundle = require('../models/DeviceKeyBundle');
+const MessageRevision = require('../models/MessageRevision');
 const socketService = require('../services/socket');
+const searchService = require('../services/search');
+const chatService = require('../services/chat');
+const config = require('../config/env');
 
 /**
- * Send message
- * @route POST /api/v1/chat/messages
+ * Check if user can see and act on a message
+ * @param {Message} message - Message
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Whether user is part of the message's conversation
  */
-const sendMessage = asyncHandler(async (req, res, next) => {
-  const {
-    receiver_id,
-    content,
-    message_type,
-    media_url,
-    reply_to_id,
-    location_data,
-    contact_data
-  } = req.body;
-  
-  const senderId = req.user.id;
-
-  // Check if receiver exists
-  const receiver = await User.findByPk(receiver_id);
-  if (!receiver) {
-    return next(new NotFoundError('Receiver not found'));
+const canAccessMessage = async (message, userId) => {
+  if (message.isGroupMessage()) {
+    return !!(await ConversationMember.findMembership(message.conversation_id, userId));
   }
 
-  // Check if users are friends or if receiver allows messages from non-friends
-  const areFriends = await Friend.areFriends(senderId, receiver_id);
-  if (!areFriends && receiver.is_private) {
-    return next(new AuthorizationError('You can only message friends'));
-  }
+  return message.sender_id === userId || message.receiver_id === userId;
+};
 
-  // Check if sender is blocked
-  const isBlocked = await Friend.isBlocked(senderId, receiver_id);
-  if (isBlocked) {
-    return next(new AuthorizationError('Cannot send message to this user'));
-  }
+/**
+ * Load a group and the requesting user's membership in it
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Group and membership ({ conversation, membership }), either may be null
+ */
+const findGroupMembership = async (conversationId, userId) => {
+  const conversation = await Conversation.findByPk(conversationId);
+  const membership = conversation
+    ? await ConversationMember.findMembership(conversationId, userId)
+    : null;
 
-  // Generate conversation ID
-  const conversationId = Message.generateConversationId(senderId, receiver_id);
+  return { conversation, membership };
+};
 
-  // Create message
-  const message = await Message.create({
-    sender_id: senderId,
-    receiver_id,
-    conversation_id: conversationId,
-    content,
-    message_type: message_type || 'text',
-    media_url,
-    reply_to_id,
-    location_data,
-    contact_data
-  });
+/**
+ * Check that users can be added to a group by a member
+ * Follows the direct message rules: private accounts can only be added by friends
+ * @param {string} adderId - User adding the members
+ * @param {Array<string>} userIds - Users to add
+ * @returns {Promise<AppError|null>} Error to return, or null if every user can be added
+ */
+const checkGroupInvitees = async (adderId, userIds) => {
+  for (const userId of userIds) {
+    const user = await User.findByPk(userId);
+    if (!user || !user.is_active) {
+      return new NotFoundError(`User ${userId} not found`);
+    }
 
-  // Fetch message with sender details
-  const createdMessage = await Message.scope(['withSender', 'withReceiver']).findByPk(message.id);
+    if (await Friend.isBlocked(adderId, userId)) {
+      return new AuthorizationError('Cannot add this user to the group');
+    }
 
-  // Send real-time message via Socket.IO
-  await socketService.sendMessageToConversation(conversationId, createdMessage, senderId);
+    if (user.is_private && !(await Friend.areFriends(adderId, userId))) {
+      return new AuthorizationError('You can only add friends with private accounts to groups');
+    }
+  }
 
-  // Mark message as delivered if receiver is online
-  if (socketService.isUserOnline(receiver_id)) {
-    await message.markAsDelivered();
+  return null;
+};
+
+/**
+ * Check that a user can pin or unpin a message
+ * Either user of a direct conversation can; in groups only admins can
+ * @param {Message} message - Message
+ * @param {string} userId - User ID
+ * @returns {Promise<AppError|null>} Error to return, or null if allowed
+ */
+const checkPinPermission = async (message, userId) => {
+  if (message.isGroupMessage()) {
+    const membership = await ConversationMember.findMembership(message.conversation_id, userId);
+    if (!membership || !membership.isAdmin()) {
+      return new AuthorizationError('Only group admins can pin messages');
+    }
+  } else if (!(await chatService.isParticipant(userId, message.conversation_id))) {
+    return new AuthorizationError('Access denied');
   }
 
-  logger.info(`Message sent from ${senderId} to ${receiver_id}`, { messageId: message.id });
+  return null;
+};
 
-  res.status(201).json({
+/**
+ * Send message
+ * @route POST /api/v1/chat/messages
+ */
+const sendMessage = asyncHandler(async (req, res, next) => {
+  const { message, created } = await chatService.sendMessage(req.user.id, req.body);
+
+  res.status(created ? 201 : 200).json({
     status: 'success',
-    message: 'Message sent successfully',
+    message: created ? 'Message sent successfully' : 'Message already sent',
     data: {
-      message: createdMessage
+      message
     }
   });
 });
@@ -115,36 +142,62 @@ const getConversations = asyncHandler(async (req, res, next) => {
  */
 const getConversationMessages = asyncHandler(async (req, res, next) => {
   const { conversationId } = req.params;
-  const { page = 1, limit = 50 } = req.query;
+  const { page = 1, limit = 50, cursor } = req.query;
   const userId = req.user.id;
   const offset = (page - 1) * limit;
 
+  const pageCursor = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !pageCursor) {
+    return next(new ValidationError('Invalid pagination cursor'));
+  }
+
   // Verify user is part of this conversation
-  const [user1Id, user2Id] = conversationId.split('_');
-  if (userId !== user1Id && userId !== user2Id) {
-    return next(new AuthorizationError('Access denied to this conversation'));
+  let membership = null;
+  if (Conversation.isGroupId(conversationId)) {
+    membership = await ConversationMember.findMembership(conversationId, userId);
+    if (!membership) {
+      return next(new AuthorizationError('Access denied to this conversation'));
+    }
+  } else {
+    const [user1Id, user2Id] = conversationId.split('_');
+    if (userId !== user1Id && userId !== user2Id) {
+      return next(new AuthorizationError('Access denied to this conversation'));
+    }
   }
 
-  const messages = await Message.getConversationMessages(
+  const rows = await Message.getConversationMessages(
     conversationId, 
     userId, 
-    parseInt(limit), 
-    offset
+    parseInt(limit) + 1, 
+    offset,
+    pageCursor
   );
 
+  // Cursors follow newest-first order: nextCursor loads older messages, prevCursor newer ones
+  const { items: messages, hasNextPage, nextCursor, prevCursor } = buildCursorPage(rows, parseInt(limit), pageCursor);
+
   // Mark messages as read
-  await Message.markConversationAsRead(conversationId, userId);
+  if (membership) {
+    await membership.markReadUntil(new Date());
+  } else {
+    await Message.markConversationAsRead(conversationId, userId);
+  }
+
+  const setting = await ConversationSetting.findOne({ where: { conversation_id: conversationId } });
 
   res.status(200).json({
     status: 'success',
     data: {
       messages: messages.reverse(), // Reverse to show oldest first
       conversationId,
+      disappearingTimer: setting ? setting.disappearing_timer : 'off',
       pagination: {
         currentPage: parseInt(page),
         totalItems: messages.length,
         itemsPerPage: parseInt(limit),
-        hasNextPage: messages.length === parseInt(limit)
+        hasNextPage,
+        nextCursor,
+        prevCursor
       }
     }
   });
@@ -164,12 +217,26 @@ const markMessageAsRead = asyncHandler(async (req, res, next) => {
     return next(new NotFoundError('Message not found'));
   }
 
-  // Check if user is the receiver
-  if (message.receiver_id !== userId) {
-    return next(new AuthorizationError('You can only mark messages sent to you as read'));
-  }
+  let readAt;
 
-  await message.markAsRead();
+  if (message.isGroupMessage()) {
+    // Group reads move the member's read marker up to this message
+    const membership = await ConversationMember.findMembership(message.conversation_id, userId);
+    if (!membership || message.sender_id === userId) {
+      return next(new AuthorizationError('You can only mark messages sent to you as read'));
+    }
+
+    await membership.markReadUntil(message.created_at);
+    readAt = new Date();
+  } else {
+    // Check if user is the receiver
+    if (message.receiver_id !== userId) {
+      return next(new AuthorizationError('You can only mark messages sent to you as read'));
+    }
+
+    await message.markAsRead();
+    readAt = message.read_at;
+  }
 
   // Send read receipt via Socket.IO
   await socketService.sendMessageToConversation(
@@ -178,7 +245,7 @@ const markMessageAsRead = asyncHandler(async (req, res, next) => {
       type: 'read_receipt',
       messageId: message.id,
       readBy: userId,
-      readAt: message.read_at
+      readAt
     },
     userId
   );
@@ -205,8 +272,14 @@ const deleteMessage = asyncHandler(async (req, res, next) => {
     return next(new NotFoundError('Message not found'));
   }
 
-  // Check if user is sender or receiver
-  if (message.sender_id !== userId && message.receiver_id !== userId) {
+  if (message.isGroupMessage()) {
+    // Group messages can be deleted by their sender or a group admin
+    const membership = await ConversationMember.findMembership(message.conversation_id, userId);
+    if (!membership || (message.sender_id !== userId && !membership.isAdmin())) {
+      return next(new AuthorizationError('You can only delete your own messages'));
+    }
+  } else if (message.sender_id !== userId && message.receiver_id !== userId) {
+    // Check if user is sender or receiver
     return next(new AuthorizationError('You can only delete your own messages'));
   }
 
@@ -220,25 +293,157 @@ const deleteMessage = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Edit message
+ * @route PUT /api/v1/chat/messages/:messageId
+ */
+const editMessage = asyncHandler(async (req, res, next) => {
+  const { messageId } = req.params;
+  const { content } = req.body;
+  const userId = req.user.id;
+
+  const message = await Message.findByPk(messageId);
+
+  // Deleted and expired messages cannot be edited
+  if (!message || !message.isVisibleToUser(userId)) {
+    return next(new NotFoundError('Message not found'));
+  }
+
+  if (message.sender_id !== userId || !(await canAccessMessage(message, userId))) {
+    return next(new AuthorizationError('You can only edit your own messages'));
+  }
+
+  if (message.is_forwarded) {
+    return next(new ValidationError('Forwarded messages cannot be edited'));
+  }
+
+  // Encrypted text is only readable by the devices it was encrypted for
+  if (message.is_encrypted || message.message_type !== 'text') {
+    return next(new ValidationError('Only unencrypted text messages can be edited'));
+  }
+
+  if (Date.now() - new Date(message.created_at).getTime() > config.chat.editWindow * 1000) {
+    return next(new ValidationError('Messages can only be edited within ' +
+      `${Math.floor(config.chat.editWindow / 60)} minutes of sending`));
+  }
+
+  if (content === message.content) {
+    return next(new ValidationError('Message content is unchanged'));
+  }
+
+  // Update message, keeping the replaced text as a revision
+  const { message: editedMessage } = await MessageRevision.reviseMessage(message.id, content);
+
+  // Send the new text to every participant, including the sender's other devices
+  await socketService.sendMessageToConversation(
+    editedMessage.conversation_id,
+    {
+      type: 'message_edited',
+      messageId: editedMessage.id,
+      conversationId: editedMessage.conversation_id,
+      content: editedMessage.content,
+      editedBy: userId,
+      editedAt: editedMessage.edited_at
+    }
+  );
+
+  logger.info(`Message edited by user ${userId}`, { messageId });
+
+  const updatedMessage = await chatService.getMessageForDelivery(editedMessage.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Message edited successfully',
+    data: {
+      message: updatedMessage
+    }
+  });
+});
+
+/**
+ * Get message edit history
+ * @route GET /api/v1/chat/messages/:messageId/revisions
+ */
+const getMessageRevisions = asyncHandler(async (req, res, next) => {
+  const { messageId } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const userId = req.user.id;
+  const offset = (page - 1) * limit;
+
+  const message = await Message.findByPk(messageId);
+
+  if (!message || !message.isVisibleToUser(userId)) {
+    return next(new NotFoundError('Message not found'));
+  }
+
+  if (!(await canAccessMessage(message, userId))) {
+    return next(new AuthorizationError('Access denied'));
+  }
+
+  const revisions = await MessageRevision.getMessageRevisions(message.id, parseInt(limit), offset);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      revisions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalItems: revisions.length,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: revisions.length === parseInt(limit)
+      }
+    }
+  });
+});
+
 /**
  * Search messages
  * @route GET /api/v1/chat/search
  */
 const searchMessages = asyncHandler(async (req, res, next) => {
-  const { query, page = 1, limit = 20 } = req.query;
+  const { query, conversation_id, sender_id, message_type, from, to, context = 2, page = 1, limit = 20 } = req.query;
   const userId = req.user.id;
+  const offset = (page - 1) * limit;
+
+  const searchQuery = query ? query.trim() : '';
+  const hasFilters = !!(conversation_id || sender_id || message_type || from || to);
 
-  if (!query || query.trim().length === 0) {
-    return next(new ValidationError('Search query is required'));
+  if (!searchQuery && !hasFilters) {
+    return next(new ValidationError('Search query or filter is required'));
   }
 
-  const messages = await Message.searchMessages(userId, query.trim(), parseInt(limit));
+  const messages = await Message.searchMessages(userId, searchQuery, {
+    conversationId: conversation_id,
+    senderId: sender_id,
+    type: message_type,
+    from,
+    to,
+    limit: parseInt(limit),
+    offset
+  });
+  const terms = searchQuery ? searchService.getTerms(searchQuery) : [];
+
+  // A few messages either side of the top hits so results read in context; each hit costs two
+  // queries, so the rest are left to /messages/:messageId/context
+  const contextSize = parseInt(context);
+  const contexts = await Promise.all(messages.slice(0, config.chat.searchContextHits).map(message =>
+    Message.getMessageContext(message, userId, contextSize, contextSize)
+  ));
 
   res.status(200).json({
     status: 'success',
     data: {
-      messages,
-      query: query.trim(),
+      messages: messages.map((message, index) => ({
+        ...message.toJSON(),
+        snippet: searchService.highlight(message.content, terms),
+        context: contexts[index]
+          ? {
+            before: contexts[index].before,
+            after: contexts[index].after
+          }
+          : null
+      })),
+      query: searchQuery,
       pagination: {
         currentPage: parseInt(page),
         totalItems: messages.length,
@@ -249,6 +454,45 @@ const searchMessages = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Get messages around a message
+ * @route GET /api/v1/chat/messages/:messageId/context
+ */
+const getMessageContext = asyncHandler(async (req, res, next) => {
+  const { messageId } = req.params;
+  const { before = 20, after = 20 } = req.query;
+  const userId = req.user.id;
+
+  const message = await Message.scope('withUsers').findByPk(messageId);
+
+  if (!message || !message.isVisibleToUser(userId)) {
+    return next(new NotFoundError('Message not found'));
+  }
+
+  if (!(await canAccessMessage(message, userId))) {
+    return next(new AuthorizationError('Access denied'));
+  }
+
+  const context = await Message.getMessageContext(message, userId, parseInt(before), parseInt(after));
+  const messages = [...context.before, message, ...context.after];
+
+  // Cursors continue from the window with GET /conversations/:conversationId/messages
+  res.status(200).json({
+    status: 'success',
+    data: {
+      messages,
+      messageId: message.id,
+      conversationId: message.conversation_id,
+      pagination: {
+        hasOlder: context.hasMoreBefore,
+        hasNewer: context.hasMoreAfter,
+        nextCursor: context.hasMoreBefore ? encodeCursor(messages[0], 'next') : null,
+        prevCursor: encodeCursor(messages[messages.length - 1], 'prev')
+      }
+    }
+  });
+});
+
 /**
  * Get unread messages count
  * @route GET /api/v1/chat/unread-count
@@ -286,7 +530,7 @@ const addReaction = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user is part of this conversation
-  if (message.sender_id !== userId && message.receiver_id !== userId) {
+  if (!(await canAccessMessage(message, userId))) {
     return next(new AuthorizationError('Access denied'));
   }
 
@@ -330,7 +574,7 @@ const removeReaction = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user is part of this conversation
-  if (message.sender_id !== userId && message.receiver_id !== userId) {
+  if (!(await canAccessMessage(message, userId))) {
     return next(new AuthorizationError('Access denied'));
   }
 
@@ -379,10 +623,15 @@ const forwardMessage = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user is part of the original conversation
-  if (originalMessage.sender_id !== userId && originalMessage.receiver_id !== userId) {
+  if (!(await canAccessMessage(originalMessage, userId))) {
     return next(new AuthorizationError('Access denied'));
   }
 
+  // Ciphertext is encrypted for the original recipient's devices only
+  if (originalMessage.is_encrypted) {
+    return next(new ValidationError('Encrypted messages must be forwarded by re-encrypting them on the device'));
+  }
+
   const forwardedMessages = [];
 
   // Forward to each receiver
@@ -410,6 +659,7 @@ const forwardMessage = asyncHandler(async (req, res, next) => {
       content: originalMessage.content,
       message_type: originalMessage.message_type,
       media_url: originalMessage.media_url,
+      media_metadata: originalMessage.media_metadata,
       is_forwarded: true,
       forwarded_from: originalMessage.id
     });
@@ -434,6 +684,125 @@ const forwardMessage = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Pin message
+ * @route POST /api/v1/chat/messages/:messageId/pin
+ */
+const pinMessage = asyncHandler(async (req, res, next) => {
+  const { messageId } = req.params;
+  const userId = req.user.id;
+
+  const message = await Message.findByPk(messageId);
+
+  if (!message || !message.isVisibleToUser(userId)) {
+    return next(new NotFoundError('Message not found'));
+  }
+
+  const permissionError = await checkPinPermission(message, userId);
+  if (permissionError) {
+    return next(permissionError);
+  }
+
+  if (message.is_pinned) {
+    return next(new ConflictError('Message is already pinned'));
+  }
+
+  const pinned = await message.pin(userId, config.chat.maxPinnedMessages);
+  if (!pinned) {
+    return next(new ValidationError(`A conversation can have at most ${config.chat.maxPinnedMessages} pinned messages`));
+  }
+
+  // Send pin update via Socket.IO
+  await socketService.sendMessageToConversation(
+    message.conversation_id,
+    {
+      type: 'message_pinned',
+      messageId: message.id,
+      conversationId: message.conversation_id,
+      pinnedBy: userId,
+      pinnedAt: message.pinned_at
+    }
+  );
+
+  logger.info(`Message pinned by user ${userId}`, { messageId });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Message pinned successfully',
+    data: {
+      message: await chatService.getMessageForDelivery(message.id)
+    }
+  });
+});
+
+/**
+ * Unpin message
+ * @route DELETE /api/v1/chat/messages/:messageId/pin
+ */
+const unpinMessage = asyncHandler(async (req, res, next) => {
+  const { messageId } = req.params;
+  const userId = req.user.id;
+
+  const message = await Message.findByPk(messageId);
+
+  if (!message || !message.isVisibleToUser(userId)) {
+    return next(new NotFoundError('Message not found'));
+  }
+
+  const permissionError = await checkPinPermission(message, userId);
+  if (permissionError) {
+    return next(permissionError);
+  }
+
+  if (!message.is_pinned) {
+    return next(new NotFoundError('Message is not pinned'));
+  }
+
+  await message.unpin();
+
+  // Send pin update via Socket.IO
+  await socketService.sendMessageToConversation(
+    message.conversation_id,
+    {
+      type: 'message_unpinned',
+      messageId: message.id,
+      conversationId: message.conversation_id,
+      unpinnedBy: userId
+    }
+  );
+
+  logger.info(`Message unpinned by user ${userId}`, { messageId });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Message unpinned successfully'
+  });
+});
+
+/**
+ * Get pinned messages of a conversation
+ * @route GET /api/v1/chat/conversations/:conversationId/pins
+ */
+const getPinnedMessages = asyncHandler(async (req, res, next) => {
+  const { conversationId } = req.params;
+  const userId = req.user.id;
+
+  if (!(await chatService.isParticipant(userId, conversationId))) {
+    return next(new AuthorizationError('Access denied to this conversation'));
+  }
+
+  const messages = await Message.getPinnedMessages(conversationId, userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      messages,
+      conversationId,
+      maxPinnedMessages: config.chat.maxPinnedMessages
+    }
+  });
+});
+
 /**
  * Get message delivery status
  * @route GET /api/v1/chat/messages/:messageId/status
@@ -465,16 +834,516 @@ const getMessageStatus = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Publish device encryption keys
+ * @route POST /api/v1/chat/keys
+ */
+const uploadKeys = asyncHandler(async (req, res, next) => {
+  const { device_id, registration_id, identity_key, signed_prekey, one_time_prekeys } = req.body;
+  const userId = req.user.id;
+
+  const { prekeysCount } = await DeviceKeyBundle.publishBundle(userId, {
+    deviceId: device_id,
+    registrationId: registration_id,
+    identityKey: identity_key,
+    signedPrekey: signed_prekey,
+    oneTimePrekeys: one_time_prekeys
+  });
+
+  logger.info(`Encryption keys published for user ${userId}`, { prekeysCount });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Encryption keys published successfully',
+    data: {
+      deviceId: device_id,
+      oneTimePrekeysCount: prekeysCount
+    }
+  });
+});
+
+/**
+ * Get a user's device key bundles to start encrypted sessions
+ * @route GET /api/v1/chat/keys/:userId
+ */
+const getUserKeys = asyncHandler(async (req, res, next) => {
+  const { userId: targetUserId } = req.params;
+  const userId = req.user.id;
+
+  // Bundles are only handed to users who can message the target, or to the user's own devices
+  if (targetUserId !== userId) {
+    const targetUser = await User.findByPk(targetUserId);
+    if (!targetUser || !targetUser.is_active) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    if (await Friend.isBlocked(userId, targetUserId)) {
+      return next(new AuthorizationError('Cannot message this user'));
+    }
+
+    if (targetUser.is_private && !(await Friend.areFriends(userId, targetUserId))) {
+      return next(new AuthorizationError('You can only message friends'));
+    }
+  }
+
+  const claims = await DeviceKeyBundle.claimBundles(targetUserId);
+
+  // Ask devices running out of one-time prekeys to upload more
+  const lowDeviceIds = claims
+    .filter(claim => claim.remainingPrekeys < config.chat.prekeyLowThreshold)
+    .map(claim => claim.bundle.device_id);
+  if (lowDeviceIds.length > 0) {
+    socketService.emitToUsers([targetUserId], 'prekeys_low', { deviceIds: lowDeviceIds });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      userId: targetUserId,
+      devices: claims.map(claim => claim.bundle)
+    }
+  });
+});
+
+/**
+ * Set disappearing message timer of a conversation
+ * @route PUT /api/v1/chat/conversations/:conversationId/disappearing
+ */
+const updateDisappearingTimer = asyncHandler(async (req, res, next) => {
+  const { conversationId } = req.params;
+  const { timer } = req.body;
+  const userId = req.user.id;
+
+  if (!(await chatService.isParticipant(userId, conversationId))) {
+    return next(new AuthorizationError('Access denied to this conversation'));
+  }
+
+  // Either user of a direct conversation can change the timer; in groups only admins can
+  if (Conversation.isGroupId(conversationId)) {
+    const membership = await ConversationMember.findMembership(conversationId, userId);
+    if (!membership.isAdmin()) {
+      return next(new AuthorizationError('Only group admins can change the disappearing message timer'));
+    }
+  }
+
+  const setting = await ConversationSetting.setDisappearingTimer(conversationId, timer, userId);
+
+  socketService.emitToConversation(conversationId, 'conversation_settings_updated', {
+    conversationId,
+    disappearingTimer: setting.disappearing_timer,
+    updatedBy: userId
+  });
+
+  logger.info(`Disappearing timer of conversation ${conversationId} set to ${timer} by ${userId}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: timer === 'off' ? 'Disappearing messages turned off' : `New messages will disappear after ${timer}`,
+    data: {
+      conversationId,
+      disappearingTimer: setting.disappearing_timer
+    }
+  });
+});
+
+/**
+ * Sync message changes a device missed
+ * @route GET /api/v1/chat/sync
+ */
+const syncMessages = asyncHandler(async (req, res, next) => {
+  const { device_id, since, limit = 100 } = req.query;
+  const userId = req.user.id;
+
+  const sinceCursor = since ? DeviceSyncState.decodeCursor(since) : null;
+  if (since && !sinceCursor) {
+    return next(new ValidationError('Invalid sync cursor'));
+  }
+
+  const changes = await chatService.syncMessages(userId, device_id, {
+    since: sinceCursor,
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: changes
+  });
+});
+
+/**
+ * Create group conversation
+ * @route POST /api/v1/chat/groups
+ */
+const createGroup = asyncHandler(async (req, res, next) => {
+  const { name, avatar_url, member_ids } = req.body;
+  const userId = req.user.id;
+
+  const memberIds = [...new Set(member_ids)].filter(id => id !== userId);
+
+  if (memberIds.length + 1 > config.app.maxUsersPerConversation) {
+    return next(new ValidationError(`Groups can have at most ${config.app.maxUsersPerConversation} members`));
+  }
+
+  const inviteeError = await checkGroupInvitees(userId, memberIds);
+  if (inviteeError) {
+    return next(inviteeError);
+  }
+
+  const conversation = await Conversation.createGroup(userId, {
+    name,
+    avatarUrl: avatar_url,
+    memberIds
+  });
+
+  const group = await Conversation.scope('withMembers').findByPk(conversation.id);
+
+  // Let members know they were added so clients can list the group
+  socketService.emitToUsers(memberIds, 'group_member_added', {
+    conversationId: conversation.id,
+    userIds: memberIds,
+    addedBy: userId
+  });
+
+  logger.info(`Group ${conversation.id} created by ${userId}`, { membersCount: group.members_count });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Group created successfully',
+    data: {
+      group
+    }
+  });
+});
+
+/**
+ * Get group conversation details
+ * @route GET /api/v1/chat/groups/:conversationId
+ */
+const getGroup = asyncHandler(async (req, res, next) => {
+  const { conversationId } = req.params;
+  const userId = req.user.id;
+
+  const { conversation, membership } = await findGroupMembership(conversationId, userId);
+  if (!conversation) {
+    return next(new NotFoundError('Conversation not found'));
+  }
+
+  if (!membership) {
+    return next(new AuthorizationError('You are not a member of this group'));
+  }
+
+  const group = await Conversation.scope('withMembers').findByPk(conversationId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      group,
+      role: membership.role
+    }
+  });
+});
+
+/**
+ * Rename group conversation
+ * @route PUT /api/v1/chat/groups/:conversationId
+ */
+const renameGroup = asyncHandler(async (req, res, next) => {
+  const { conversationId } = req.params;
+  const { name } = req.body;
+  const userId = req.user.id;
+
+  const { conversation, membership } = await findGroupMembership(conversationId, userId);
+  if (!conversation) {
+    return next(new NotFoundError('Conversation not found'));
+  }
+
+  if (!membership || !membership.isAdmin()) {
+    return next(new AuthorizationError('Only group admins can rename the group'));
+  }
+
+  await conversation.update({ name });
+
+  socketService.emitToConversation(conversationId, 'group_updated', {
+    conversationId,
+    name: conversation.name,
+    avatar_url: conversation.avatar_url,
+    updatedBy: userId
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Group renamed successfully',
+    data: {
+      group: conversation
+    }
+  });
+});
+
+/**
+ * Update group avatar
+ * @route PUT /api/v1/chat/groups/:conversationId/avatar
+ */
+const updateGroupAvatar = asyncHandler(async (req, res, next) => {
+  const { conversationId } = req.params;
+  const { avatar_url } = req.body;
+  const userId = req.user.id;
+
+  const { conversation, membership } = await findGroupMembership(conversationId, userId);
+  if (!conversation) {
+    return next(new NotFoundError('Conversation not found'));
+  }
+
+  if (!membership || !membership.isAdmin()) {
+    return next(new AuthorizationError('Only group admins can change the group avatar'));
+  }
+
+  await conversation.update({ avatar_url: avatar_url || null });
+
+  socketService.emitToConversation(conversationId, 'group_updated', {
+    conversationId,
+    name: conversation.name,
+    avatar_url: conversation.avatar_url,
+    updatedBy: userId
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Group avatar updated successfully',
+    data: {
+      group: conversation
+    }
+  });
+});
+
+/**
+ * Add members to group conversation
+ * @route POST /api/v1/chat/groups/:conversationId/members
+ */
+const addGroupMembers = asyncHandler(async (req, res, next) => {
+  const { conversationId } = req.params;
+  const { user_ids } = req.body;
+  const userId = req.user.id;
+
+  const { conversation, membership } = await findGroupMembership(conversationId, userId);
+  if (!conversation) {
+    return next(new NotFoundError('Conversation not found'));
+  }
+
+  if (!membership || !membership.isAdmin()) {
+    return next(new AuthorizationError('Only group admins can add members'));
+  }
+
+  const inviteeError = await checkGroupInvitees(userId, user_ids);
+  if (inviteeError) {
+    return next(inviteeError);
+  }
+
+  const { addedIds, limitExceeded } = await Conversation.addMembers(
+    conversationId,
+    user_ids,
+    userId,
+    config.app.maxUsersPerConversation
+  );
+
+  if (limitExceeded) {
+    return next(new ValidationError(`Groups can have at most ${config.app.maxUsersPerConversation} members`));
+  }
+
+  if (addedIds.length > 0) {
+    // New members may have a cached denial from an earlier join attempt
+    await socketService.invalidateConversationAccess(conversationId, addedIds);
+
+    const event = {
+      conversationId,
+      userIds: addedIds,
+      addedBy: userId
+    };
+
+    socketService.emitToConversation(conversationId, 'group_member_added', event);
+    socketService.emitToUsers(addedIds, 'group_member_added', event);
+
+    logger.info(`${addedIds.length} members added to group ${conversationId} by ${userId}`);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `${addedIds.length} members added to group`,
+    data: {
+      addedUserIds: addedIds
+    }
+  });
+});
+
+/**
+ * Remove member from group conversation
+ * @route DELETE /api/v1/chat/groups/:conversationId/members/:userId
+ */
+const removeGroupMember = asyncHandler(async (req, res, next) => {
+  const { conversationId, userId: targetUserId } = req.params;
+  const userId = req.user.id;
+
+  if (targetUserId === userId) {
+    return next(new ValidationError('Use leave group to remove yourself'));
+  }
+
+  const { conversation, membership } = await findGroupMembership(conversationId, userId);
+  if (!conversation) {
+    return next(new NotFoundError('Conversation not found'));
+  }
+
+  if (!membership) {
+    return next(new AuthorizationError('You are not a member of this group'));
+  }
+
+  const target = await ConversationMember.findMembership(conversationId, targetUserId);
+  if (!target) {
+    return next(new NotFoundError('Member not found'));
+  }
+
+  if (!membership.canRemove(target)) {
+    return next(new AuthorizationError('You cannot remove this member'));
+  }
+
+  await Conversation.removeMember(conversationId, targetUserId);
+  await socketService.evictFromConversation(conversationId, [targetUserId]);
+
+  const event = {
+    conversationId,
+    userId: targetUserId,
+    removedBy: userId
+  };
+
+  socketService.emitToConversation(conversationId, 'group_member_removed', event);
+  socketService.emitToUsers([targetUserId], 'group_member_removed', event);
+
+  logger.info(`User ${targetUserId} removed from group ${conversationId} by ${userId}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Member removed from group'
+  });
+});
+
+/**
+ * Change a group member's role
+ * @route PUT /api/v1/chat/groups/:conversationId/members/:userId/role
+ */
+const updateGroupMemberRole = asyncHandler(async (req, res, next) => {
+  const { conversationId, userId: targetUserId } = req.params;
+  const { role } = req.body;
+  const userId = req.user.id;
+
+  const { conversation, membership } = await findGroupMembership(conversationId, userId);
+  if (!conversation) {
+    return next(new NotFoundError('Conversation not found'));
+  }
+
+  if (!membership || membership.role !== 'owner') {
+    return next(new AuthorizationError('Only the group owner can change member roles'));
+  }
+
+  if (targetUserId === userId) {
+    return next(new ValidationError('You cannot change your own role'));
+  }
+
+  const target = await ConversationMember.findMembership(conversationId, targetUserId);
+  if (!target) {
+    return next(new NotFoundError('Member not found'));
+  }
+
+  if (target.role === role) {
+    return next(new ConflictError(`Member is already ${role === 'admin' ? 'an admin' : 'a member'}`));
+  }
+
+  await target.update({ role });
+
+  socketService.emitToConversation(conversationId, 'group_member_role_changed', {
+    conversationId,
+    userId: targetUserId,
+    role,
+    changedBy: userId
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Member role updated successfully',
+    data: {
+      member: target
+    }
+  });
+});
+
+/**
+ * Leave group conversation
+ * @route POST /api/v1/chat/groups/:conversationId/leave
+ */
+const leaveGroup = asyncHandler(async (req, res, next) => {
+  const { conversationId } = req.params;
+  const userId = req.user.id;
+
+  const { conversation, membership } = await findGroupMembership(conversationId, userId);
+  if (!conversation) {
+    return next(new NotFoundError('Conversation not found'));
+  }
+
+  if (!membership) {
+    return next(new AuthorizationError('You are not a member of this group'));
+  }
+
+  const { newOwnerId } = await Conversation.removeMember(conversationId, userId);
+  await socketService.evictFromConversation(conversationId, [userId]);
+
+  socketService.emitToConversation(conversationId, 'group_member_removed', {
+    conversationId,
+    userId,
+    removedBy: userId
+  });
+
+  if (newOwnerId) {
+    socketService.emitToConversation(conversationId, 'group_member_role_changed', {
+      conversationId,
+      userId: newOwnerId,
+      role: 'owner',
+      changedBy: null
+    });
+  }
+
+  logger.info(`User ${userId} left group ${conversationId}`, { newOwnerId });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'You left the group'
+  });
+});
+
 module.exports = {
   sendMessage,
   getConversations,
   getConversationMessages,
   markMessageAsRead,
   deleteMessage,
+  editMessage,
+  getMessageRevisions,
   searchMessages,
+  getMessageContext,
   getUnreadCount,
   addReaction,
   removeReaction,
   forwardMessage,
-  getMessageStatus
+  getMessageStatus,
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages,
+  syncMessages,
+  uploadKeys,
+  getUserKeys,
+  updateDisappearingTimer,
+  createGroup,
+  getGroup,
+  renameGroup,
+  updateGroupAvatar,
+  addGroupMembers,
+  removeGroupMember,
+  updateGroupMemberRole,
+  leaveGroup
 };
\ No newline at end of file
@@ -9,7 +9,10 @@ const { removeSensitiveFields } = require('../utils/helpers');
 const { logger } = require('../config/logger');
 const Friend = require('../models/Friend');
 const User = require('../models/User');
+const Message = require('../models/Message');
 const Notification = require('../models/Notification');
+const timelineService = require('../services/timeline');
+const socketService = require('../services/socket');
 
 /**
  * Send friend request
@@ -90,6 +93,9 @@ const respondToFriendRequest = asyncHandler(async (req, res, next) => {
     case 'accept':
       await friendship.accept();
       message = 'Friend request accepted';
+
+      // Home timelines were built without each other's posts
+      await timelineService.invalidate([userId, friendId]);
       
       // Create notification for the requester
       await Notification.createNotification({
@@ -112,6 +118,12 @@ const respondToFriendRequest = asyncHandler(async (req, res, next) => {
     case 'block':
       await friendship.block(userId);
       message = 'User blocked';
+
+      // Stop both users receiving each other's messages and typing events
+      await socketService.evictFromConversation(
+        Message.generateConversationId(userId, friendId),
+        [userId, friendId]
+      );
       break;
       
     default:
@@ -254,6 +266,9 @@ const removeFriend = asyncHandler(async (req, res, next) => {
   // Remove friendship (soft delete)
   await friendship.destroy();
 
+  // Drop cached timelines that still hold each other's posts
+  await timelineService.invalidate([userId, friendId]);
+
   logger.info(`Friendship removed between ${userId} and ${friendId}`, { friendshipId: friendship.id });
 
   res.status(200).json({
@@ -299,6 +314,14 @@ const blockUser = asyncHandler(async (req, res, next) => {
     });
   }
 
+  await timelineService.invalidate([userId, user_id]);
+
+  // Stop both users receiving each other's messages and typing events
+  await socketService.evictFromConversation(
+    Message.generateConversationId(userId, user_id),
+    [userId, user_id]
+  );
+
   logger.info(`User ${user_id} blocked by ${userId}`, { friendshipId: friendship.id });
 
   res.status(200).json({
@@ -330,6 +353,11 @@ const unblockUser = asyncHandler(async (req, res, next) => {
   // Unblock user
   await friendship.unblock();
 
+  await socketService.invalidateConversationAccess(
+    Message.generateConversationId(userId, user_id),
+    [userId, user_id]
+  );
+
   logger.info(`User ${user_id} unblocked by ${userId}`, { friendshipId: friendship.id });
 
   res.status(200).json({
@@ -481,12 +509,13 @@ const getFriendSuggestions = asyncHandler(async (req, res, next) => {
 const searchUsers = asyncHandler(async (req, res, next) => {
   const { query, page = 1, limit = 20 } = req.query;
   const userId = req.user.id;
+  const offset = (page - 1) * limit;
 
   if (!query || query.trim().length === 0) {
     return next(new ValidationError('Search query is required'));
   }
 
-  const users = await User.searchUsers(query.trim(), parseInt(limit));
+  const users = await User.searchUsers(query.trim(), parseInt(limit), userId, offset);
 
   // Filter out current user and add friendship status
   const filteredUsers = [];
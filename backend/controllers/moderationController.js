@@ -0,0 +1,418 @@
+/**
+ * Moderation Controller
+ * Handles content reports and the moderator review queue
+ */
+
+const { asyncHandler } = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError, AuthorizationError, ConflictError } = require('../errors/AppError');
+const { logger } = require('../config/logger');
+const Report = require('../models/Report');
+const Post = require('../models/Post');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const hashtagService = require('../services/hashtags');
+const timelineService = require('../services/timeline');
+
+/**
+ * Load the reported entity
+ * @param {string} targetType - Target type
+ * @param {string} targetId - Target ID
+ * @returns {Promise<Object|null>} Post, Message or User instance
+ */
+const findReportTarget = async (targetType, targetId) => {
+  switch (targetType) {
+    case 'post':
+    case 'comment': {
+      const post = await Post.findByPk(targetId);
+      if (!post) {
+        return null;
+      }
+      const isComment = post.post_type === 'comment';
+      return (targetType === 'comment') === isComment ? post : null;
+    }
+    case 'message':
+      return await Message.findByPk(targetId);
+    case 'user':
+      return await User.findByPk(targetId);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Get the user responsible for a reported entity
+ * @param {string} targetType - Target type
+ * @param {Object} target - Reported entity
+ * @returns {string} User ID
+ */
+const getTargetOwnerId = (targetType, target) => {
+  switch (targetType) {
+    case 'message':
+      return target.sender_id;
+    case 'user':
+      return target.id;
+    default:
+      return target.user_id;
+  }
+};
+
+/**
+ * Notify a reporter that their report was reviewed
+ * @param {Report} report - Closed report
+ * @returns {Promise<Notification>} Created notification
+ */
+const notifyReporter = async (report) => {
+  const actionTaken = report.resolution !== 'no_action';
+
+  return await Notification.createNotification({
+    userId: report.reporter_id,
+    type: 'system',
+    title: 'Report Reviewed',
+    message: actionTaken
+      ? `Thanks for your report. We reviewed the reported ${report.target_type} and took action.`
+      : `Thanks for your report. We reviewed the reported ${report.target_type} and found no violation.`,
+    data: {
+      report_id: report.id,
+      target_type: report.target_type,
+      resolution: report.resolution
+    },
+    priority: 'normal',
+    category: 'system'
+  });
+};
+
+/**
+ * Apply a moderation action to the reported entity
+ * @param {Report} report - Report being resolved
+ * @param {Object} target - Reported entity
+ * @param {Object} options - Resolution options (resolution, note, suspendDays)
+ * @returns {Promise<void>}
+ */
+const applyResolution = async (report, target, options) => {
+  const { resolution, note, suspendDays } = options;
+  const isPostTarget = report.target_type === 'post' || report.target_type === 'comment';
+
+  switch (resolution) {
+    case 'hide_post': {
+      const previousPost = target.get({ plain: true });
+      await target.update({ is_hidden: true });
+      await hashtagService.syncPost(target, previousPost);
+      await timelineService.syncPost(target, previousPost);
+      break;
+    }
+
+    case 'delete_content': {
+      if (isPostTarget) {
+        const previousPost = target.get({ plain: true });
+        await target.update({
+          is_deleted: true,
+          deleted_at: new Date()
+        });
+        await hashtagService.syncPost(target, previousPost);
+        await timelineService.syncPost(target, previousPost);
+      } else {
+        await target.update({
+          is_deleted: true,
+          deleted_at: new Date(),
+          deleted_for: 'both'
+        });
+      }
+      break;
+    }
+
+    case 'warn_user': {
+      const user = await User.findByPk(report.reported_user_id);
+      if (!user) {
+        throw new NotFoundError('Reported user not found');
+      }
+
+      await user.increment('warnings_count');
+
+      await Notification.createNotification({
+        userId: user.id,
+        type: 'system',
+        title: 'Community Guidelines Warning',
+        message: note || `Your ${report.target_type} was reported for ${report.reason.replace(/_/g, ' ')} and violates our community guidelines.`,
+        data: {
+          report_id: report.id,
+          target_type: report.target_type,
+          target_id: report.target_id
+        },
+        priority: 'high',
+        category: 'security'
+      });
+      break;
+    }
+
+    case 'suspend_user': {
+      const user = await User.findByPk(report.reported_user_id);
+      if (!user) {
+        throw new NotFoundError('Reported user not found');
+      }
+
+      await user.suspend(
+        new Date(Date.now() + suspendDays * 24 * 60 * 60 * 1000),
+        note || report.reason
+      );
+      break;
+    }
+
+    default:
+      break;
+  }
+};
+
+/**
+ * Report content or a user
+ * @route POST /api/v1/moderation/reports
+ */
+const createReport = asyncHandler(async (req, res, next) => {
+  const { target_type, target_id, reason, description } = req.body;
+  const userId = req.user.id;
+
+  const target = await findReportTarget(target_type, target_id);
+
+  if (!target) {
+    return next(new NotFoundError(`Reported ${target_type} not found`));
+  }
+
+  // Reporters can only report what they are able to see
+  if (target_type === 'post' || target_type === 'comment') {
+    if (!(await target.canUserView(userId))) {
+      return next(new AuthorizationError('Access denied'));
+    }
+  } else if (target_type === 'message') {
+    if (!target.isVisibleToUser(userId)) {
+      return next(new AuthorizationError('Access denied'));
+    }
+  }
+
+  const reportedUserId = getTargetOwnerId(target_type, target);
+
+  if (reportedUserId === userId) {
+    return next(new ValidationError(`You cannot report your own ${target_type}`));
+  }
+
+  const { report, created } = await Report.fileReport({
+    reporterId: userId,
+    targetType: target_type,
+    targetId: target_id,
+    reportedUserId,
+    reason,
+    description
+  });
+
+  if (created && (target_type === 'post' || target_type === 'comment')) {
+    await target.update({
+      is_reported: true,
+      report_count: target.report_count + 1
+    });
+  }
+
+  logger.warn(`${target_type} reported by user ${userId}`, {
+    reportId: report.id,
+    targetType: target_type,
+    targetId: target_id,
+    reason
+  });
+
+  res.status(created ? 201 : 200).json({
+    status: 'success',
+    message: created ? 'Report submitted successfully' : 'You have already reported this',
+    data: {
+      report
+    }
+  });
+});
+
+/**
+ * Get moderation queue
+ * @route GET /api/v1/moderation/reports
+ */
+const getReports = asyncHandler(async (req, res, next) => {
+  const { status, target_type, assigned_to_me, page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+
+  const reports = await Report.getQueue({
+    status,
+    targetType: target_type,
+    moderatorId: assigned_to_me ? req.user.id : null
+  }, parseInt(limit), offset);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      reports,
+      pagination: {
+        currentPage: parseInt(page),
+        totalItems: reports.length,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: reports.length === parseInt(limit)
+      }
+    }
+  });
+});
+
+/**
+ * Get single report with the reported entity
+ * @route GET /api/v1/moderation/reports/:id
+ */
+const getReport = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const report = await Report.scope('withUsers').findByPk(id);
+
+  if (!report) {
+    return next(new NotFoundError('Report not found'));
+  }
+
+  const target = await findReportTarget(report.target_type, report.target_id);
+
+  // Other reports filed against the same target
+  const relatedReportsCount = await Report.count({
+    where: {
+      target_type: report.target_type,
+      target_id: report.target_id
+    }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report,
+      target: report.target_type === 'user' && target ? target.getPublicProfile() : target,
+      relatedReportsCount
+    }
+  });
+});
+
+/**
+ * Claim report for review
+ * @route POST /api/v1/moderation/reports/:id/claim
+ */
+const claimReport = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const moderatorId = req.user.id;
+
+  const report = await Report.findByPk(id);
+
+  if (!report) {
+    return next(new NotFoundError('Report not found'));
+  }
+
+  const claimed = await Report.claim(id, moderatorId);
+
+  if (!claimed) {
+    return next(new ConflictError(
+      report.isOpen() ? 'Report is already claimed by another moderator' : 'Report is already closed'
+    ));
+  }
+
+  logger.info(`Report claimed by moderator ${moderatorId}`, { reportId: id });
+
+  await report.reload();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Report claimed successfully',
+    data: {
+      report
+    }
+  });
+});
+
+/**
+ * Resolve report
+ * @route POST /api/v1/moderation/reports/:id/resolve
+ */
+const resolveReport = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { resolution, note, suspend_days } = req.body;
+  const moderatorId = req.user.id;
+
+  const report = await Report.findByPk(id);
+
+  if (!report) {
+    return next(new NotFoundError('Report not found'));
+  }
+
+  if (!report.isOpen()) {
+    return next(new ConflictError('Report is already closed'));
+  }
+
+  // Claimed reports can only be resolved by their moderator, unless an admin steps in
+  if (report.status === 'in_review' && report.moderator_id !== moderatorId && req.user.role !== 'admin') {
+    return next(new ConflictError('Report is claimed by another moderator'));
+  }
+
+  const isPostTarget = report.target_type === 'post' || report.target_type === 'comment';
+
+  if (resolution === 'hide_post' && !isPostTarget) {
+    return next(new ValidationError('Only posts and comments can be hidden'));
+  }
+
+  if (resolution === 'delete_content' && report.target_type === 'user') {
+    return next(new ValidationError('Users cannot be deleted from a report; suspend the user instead'));
+  }
+
+  const target = await findReportTarget(report.target_type, report.target_id);
+
+  if (!target && resolution !== 'no_action') {
+    return next(new NotFoundError(`Reported ${report.target_type} no longer exists`));
+  }
+
+  await applyResolution(report, target, {
+    resolution,
+    note,
+    suspendDays: suspend_days
+  });
+
+  // Close every open report on the same target with this decision
+  const openReports = await Report.scope('open').findAll({
+    where: {
+      target_type: report.target_type,
+      target_id: report.target_id
+    }
+  });
+
+  const resolvedAt = new Date();
+  for (const openReport of openReports) {
+    await openReport.update({
+      status: resolution === 'no_action' ? 'dismissed' : 'resolved',
+      resolution,
+      resolution_note: note,
+      moderator_id: moderatorId,
+      resolved_at: resolvedAt
+    });
+
+    await notifyReporter(openReport);
+  }
+
+  logger.info(`Report resolved by moderator ${moderatorId}`, {
+    reportId: id,
+    targetType: report.target_type,
+    targetId: report.target_id,
+    resolution,
+    closedReports: openReports.length
+  });
+
+  await report.reload();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Report resolved successfully',
+    data: {
+      report,
+      closedReports: openReports.length
+    }
+  });
+});
+
+module.exports = {
+  createReport,
+  getReports,
+  getReport,
+  claimReport,
+  resolveReport
+};
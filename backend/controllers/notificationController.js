@@ -6,6 +6,7 @@
 
 const { asyncHandler } = require('../utils/asyncHandler');
 const { AppError, ValidationError, NotFoundError, AuthorizationError } = require('../errors/AppError');
+const { decodeCursor, buildCursorPage } = require('../utils/helpers');
 const { logger } = require('../config/logger');
 const Notification = require('../models/Notification');
 const socketService = require('../services/socket');
@@ -16,16 +17,23 @@ const pushService = require('../services/push');
  * @route GET /api/v1/notifications
  */
 const getNotifications = asyncHandler(async (req, res, next) => {
-  const { category, page = 1, limit = 20 } = req.query;
+  const { category, page = 1, limit = 20, cursor } = req.query;
   const userId = req.user.id;
   const offset = (page - 1) * limit;
 
-  const notifications = await Notification.getUserNotifications(
+  const pageCursor = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !pageCursor) {
+    return next(new ValidationError('Invalid pagination cursor'));
+  }
+
+  const rows = await Notification.getUserNotifications(
     userId, 
-    parseInt(limit), 
+    parseInt(limit) + 1, 
     offset, 
-    category
+    category,
+    pageCursor
   );
+  const { items: notifications, hasNextPage, nextCursor, prevCursor } = buildCursorPage(rows, parseInt(limit), pageCursor);
 
   // Mark notifications as seen
   await Notification.markAllAsSeen(userId);
@@ -38,7 +46,9 @@ const getNotifications = asyncHandler(async (req, res, next) => {
         currentPage: parseInt(page),
         totalItems: notifications.length,
         itemsPerPage: parseInt(limit),
-        hasNextPage: notifications.length === parseInt(limit)
+        hasNextPage,
+        nextCursor,
+        prevCursor
       }
     }
   });
@@ -4,12 +4,44 @@
  */
 
 const { asyncHandler } = require('../utils/asyncHandler');
-const { AppError, ValidationError, NotFoundError, AuthorizationError } = require('../errors/AppError');
-const { paginate, removeSensitiveFields } = require('../utils/helpers');
+const { AppError, ValidationError, NotFoundError, AuthorizationError, ConflictError } = require('../errors/AppError');
+const { paginate, removeSensitiveFields, decodeCursor, buildCursorPage } = require('../utils/helpers');
 const { logger } = require('../config/logger');
 const Post = require('../models/Post');
+const PostLike = require('../models/PostLike');
+const PostRevision = require('../models/PostRevision');
+const Report = require('../models/Report');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const hashtagService = require('../services/hashtags');
+const feedRankingService = require('../services/feedRanking');
+const timelineService = require('../services/timeline');
+const searchService = require('../services/search');
+const config = require('../config/env');
+
+/**
+ * Determine post media type from media URLs
+ * @param {Array<string>} media_urls - Media URLs
+ * @returns {string} Media type
+ */
+const getMediaType = (media_urls) => {
+  if (!media_urls || media_urls.length === 0) {
+    return 'none';
+  }
+
+  const hasImages = media_urls.some(url => /\.(jpg|jpeg|png|gif|webp)$/i.test(url));
+  const hasVideos = media_urls.some(url => /\.(mp4|avi|mov|wmv|flv|webm)$/i.test(url));
+
+  if (hasImages && hasVideos) {
+    return 'mixed';
+  } else if (hasImages) {
+    return 'image';
+  } else if (hasVideos) {
+    return 'video';
+  }
+
+  return 'none';
+};
 
 /**
  * Create new post
@@ -21,26 +53,21 @@ const createPost = asyncHandler(async (req, res, next) => {
     media_urls,
     privacy,
     location,
-    tagged_users
+    tagged_users,
+    scheduled_at
   } = req.body;
   
   const userId = req.user.id;
 
-  // Determine media type
-  let media_type = 'none';
-  if (media_urls && media_urls.length > 0) {
-    const hasImages = media_urls.some(url => /\.(jpg|jpeg|png|gif|webp)$/i.test(url));
-    const hasVideos = media_urls.some(url => /\.(mp4|avi|mov|wmv|flv|webm)$/i.test(url));
-    
-    if (hasImages && hasVideos) {
-      media_type = 'mixed';
-    } else if (hasImages) {
-      media_type = 'image';
-    } else if (hasVideos) {
-      media_type = 'video';
-    }
+  // Scheduled posts stay unpublished until the post scheduler picks them up
+  const isScheduled = !!scheduled_at;
+  if (isScheduled && new Date(scheduled_at).getTime() - Date.now() > config.posts.maxScheduleAhead) {
+    return next(new ValidationError('Posts cannot be scheduled that far ahead'));
   }
 
+  // Determine media type
+  const media_type = getMediaType(media_urls);
+
   // Extract hashtags from content
   const hashtags = content ? content.match(/#[\w]+/g) || [] : [];
 
@@ -53,27 +80,34 @@ const createPost = asyncHandler(async (req, res, next) => {
     privacy: privacy || 'public',
     location,
     tagged_users: tagged_users || [],
-    hashtags: hashtags.map(tag => tag.toLowerCase())
+    hashtags: hashtags.map(tag => tag.toLowerCase()),
+    scheduled_at: isScheduled ? scheduled_at : null,
+    is_published: !isScheduled
   });
 
   // Fetch post with author details
   const createdPost = await Post.scope('withAuthor').findByPk(post.id);
 
+  if (isScheduled) {
+    logger.info(`Post scheduled by user ${userId}`, { postId: post.id, scheduledAt: post.scheduled_at });
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Post scheduled successfully',
+      data: {
+        post: createdPost
+      }
+    });
+  }
+
+  await hashtagService.syncPost(post);
+  await timelineService.syncPost(post);
+
   // Create notifications for tagged users
   if (tagged_users && tagged_users.length > 0) {
     for (const taggedUserId of tagged_users) {
       if (taggedUserId !== userId) {
-        await Notification.createNotification({
-          userId: taggedUserId,
-          fromUserId: userId,
-          type: 'post_tag',
-          title: 'Tagged in Post',
-          message: 'tagged you in a post',
-          data: { post_id: post.id },
-          actionUrl: `/posts/${post.id}`,
-          priority: 'normal',
-          category: 'social'
-        });
+        await Notification.createPostTagNotification(taggedUserId, userId, post.id);
       }
     }
   }
@@ -94,22 +128,65 @@ const createPost = asyncHandler(async (req, res, next) => {
  * @route GET /api/v1/posts/feed
  */
 const getFeed = asyncHandler(async (req, res, next) => {
-  const { page = 1, limit = 20 } = req.query;
+  const { mode = 'chronological', page = 1, limit = 20, cursor } = req.query;
   const userId = req.user.id;
   const offset = (page - 1) * limit;
 
-  // Get feed posts (public posts + user's own posts + friends' posts)
-  const posts = await Post.getFeedPosts(userId, parseInt(limit), offset);
+  if (mode === 'ranked') {
+    // Ranked order is not keyed on created_at, so it pages by offset only
+    if (cursor) {
+      return next(new ValidationError('Cursor pagination is not available for the ranked feed'));
+    }
+
+    const { posts, hasNextPage } = await feedRankingService.getRankedFeed(userId, parseInt(limit), offset);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        posts,
+        mode,
+        pagination: {
+          currentPage: parseInt(page),
+          totalItems: posts.length,
+          itemsPerPage: parseInt(limit),
+          hasNextPage,
+          nextCursor: null,
+          prevCursor: null
+        }
+      }
+    });
+  }
+
+  // Cursor takes precedence; page keeps working for older clients
+  const pageCursor = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !pageCursor) {
+    return next(new ValidationError('Invalid pagination cursor'));
+  }
+
+  // Serve from the cached home timeline when possible; offset pages always go to the database
+  let rows = null;
+  if (pageCursor || parseInt(page) === 1) {
+    rows = await timelineService.getTimelinePage(userId, parseInt(limit) + 1, pageCursor);
+  }
+
+  if (!rows) {
+    // Get feed posts (public posts + user's own posts + friends' posts)
+    rows = await Post.getFeedPosts(userId, parseInt(limit) + 1, offset, pageCursor);
+  }
+  const { items: posts, hasNextPage, nextCursor, prevCursor } = buildCursorPage(rows, parseInt(limit), pageCursor);
 
   res.status(200).json({
     status: 'success',
     data: {
       posts,
+      mode,
       pagination: {
         currentPage: parseInt(page),
         totalItems: posts.length,
         itemsPerPage: parseInt(limit),
-        hasNextPage: posts.length === parseInt(limit)
+        hasNextPage,
+        nextCursor,
+        prevCursor
       }
     }
   });
@@ -201,28 +278,13 @@ const updatePost = asyncHandler(async (req, res, next) => {
   }
 
   // Update media type if media_urls changed
-  let media_type = post.media_type;
-  if (media_urls !== undefined) {
-    media_type = 'none';
-    if (media_urls && media_urls.length > 0) {
-      const hasImages = media_urls.some(url => /\.(jpg|jpeg|png|gif|webp)$/i.test(url));
-      const hasVideos = media_urls.some(url => /\.(mp4|avi|mov|wmv|flv|webm)$/i.test(url));
-      
-      if (hasImages && hasVideos) {
-        media_type = 'mixed';
-      } else if (hasImages) {
-        media_type = 'image';
-      } else if (hasVideos) {
-        media_type = 'video';
-      }
-    }
-  }
+  const media_type = media_urls !== undefined ? getMediaType(media_urls) : post.media_type;
 
   // Extract hashtags from content
   const hashtags = content ? content.match(/#[\w]+/g) || [] : post.hashtags;
 
-  // Update post
-  await post.update({
+  // Update post, keeping the replaced version as a revision
+  const { post: revisedPost, previousPost } = await PostRevision.revisePost(post.id, {
     content: content !== undefined ? content : post.content,
     media_urls: media_urls !== undefined ? media_urls : post.media_urls,
     media_type,
@@ -230,7 +292,10 @@ const updatePost = asyncHandler(async (req, res, next) => {
     location: location !== undefined ? location : post.location,
     tagged_users: tagged_users !== undefined ? tagged_users : post.tagged_users,
     hashtags: hashtags.map(tag => tag.toLowerCase())
-  });
+  }, userId);
+
+  await hashtagService.syncPost(revisedPost, previousPost);
+  await timelineService.syncPost(revisedPost, previousPost);
 
   // Fetch updated post with author details
   const updatedPost = await Post.scope('withAuthor').findByPk(post.id);
@@ -246,6 +311,113 @@ const updatePost = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Get post edit history
+ * @route GET /api/v1/posts/:id/revisions
+ */
+const getPostRevisions = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const userId = req.user.id;
+  const offset = (page - 1) * limit;
+
+  const post = await Post.findByPk(id);
+  const isModerator = ['moderator', 'admin'].includes(req.user.role);
+
+  // Moderators can review deleted posts; authors only see their live posts
+  if (!post || (post.is_deleted && !isModerator)) {
+    return next(new NotFoundError('Post not found'));
+  }
+
+  if (post.user_id !== userId && !isModerator) {
+    return next(new AuthorizationError('You can only view the edit history of your own posts'));
+  }
+
+  const revisions = await PostRevision.getPostRevisions(id, parseInt(limit), offset);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      revisions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalItems: revisions.length,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: revisions.length === parseInt(limit)
+      }
+    }
+  });
+});
+
+/**
+ * Restore a previous version of a post
+ * @route POST /api/v1/posts/:id/revisions/:revisionId/restore
+ */
+const restorePostRevision = asyncHandler(async (req, res, next) => {
+  const { id, revisionId } = req.params;
+  const moderatorId = req.user.id;
+
+  const revision = await PostRevision.findOne({
+    where: {
+      id: revisionId,
+      post_id: id
+    }
+  });
+
+  if (!revision) {
+    return next(new NotFoundError('Revision not found'));
+  }
+
+  const post = await Post.findByPk(id);
+
+  if (!post || post.is_deleted) {
+    return next(new NotFoundError('Post not found'));
+  }
+
+  // The current version is kept as a revision too, so a restore can itself be undone
+  const { post: restoredPost, previousPost } = await PostRevision.revisePost(
+    id,
+    revision.toPostValues(),
+    moderatorId,
+    'restore'
+  );
+
+  await hashtagService.syncPost(restoredPost, previousPost);
+  await timelineService.syncPost(restoredPost, previousPost);
+
+  if (post.user_id !== moderatorId) {
+    await Notification.createNotification({
+      userId: post.user_id,
+      type: 'system',
+      title: 'Post Restored',
+      message: `A moderator restored your post to an earlier version (revision ${revision.revision_number}).`,
+      data: {
+        post_id: id,
+        revision_id: revision.id
+      },
+      actionUrl: `/posts/${id}`,
+      priority: 'normal',
+      category: 'system'
+    });
+  }
+
+  logger.info(`Post revision restored by moderator ${moderatorId}`, {
+    postId: id,
+    revisionId: revision.id,
+    revisionNumber: revision.revision_number
+  });
+
+  const updatedPost = await Post.scope('withAuthor').findByPk(id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Post revision restored successfully',
+    data: {
+      post: updatedPost
+    }
+  });
+});
+
 /**
  * Delete post
  * @route DELETE /api/v1/posts/:id
@@ -265,12 +437,17 @@ const deletePost = asyncHandler(async (req, res, next) => {
     return next(new AuthorizationError('You can only delete your own posts'));
   }
 
+  const previousPost = post.get({ plain: true });
+
   // Soft delete
   await post.update({
     is_deleted: true,
     deleted_at: new Date()
   });
 
+  await hashtagService.syncPost(post, previousPost);
+  await timelineService.syncPost(post, previousPost);
+
   logger.info(`Post deleted by user ${userId}`, { postId: post.id });
 
   res.status(200).json({
@@ -279,6 +456,147 @@ const deletePost = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Get scheduled posts
+ * @route GET /api/v1/posts/scheduled
+ */
+const getScheduledPosts = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20 } = req.query;
+  const userId = req.user.id;
+  const offset = (page - 1) * limit;
+
+  const posts = await Post.getScheduledPosts(userId, parseInt(limit), offset);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      posts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalItems: posts.length,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: posts.length === parseInt(limit)
+      }
+    }
+  });
+});
+
+/**
+ * Update scheduled post
+ * @route PUT /api/v1/posts/scheduled/:id
+ */
+const updateScheduledPost = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const {
+    content,
+    media_urls,
+    privacy,
+    location,
+    tagged_users,
+    scheduled_at
+  } = req.body;
+  const userId = req.user.id;
+
+  const post = await Post.findByPk(id);
+
+  if (!post || post.is_deleted || !post.scheduled_at) {
+    return next(new NotFoundError('Scheduled post not found'));
+  }
+
+  if (post.user_id !== userId) {
+    return next(new AuthorizationError('You can only edit your own posts'));
+  }
+
+  if (post.is_published) {
+    return next(new ConflictError('Post has already been published'));
+  }
+
+  if (scheduled_at && new Date(scheduled_at).getTime() - Date.now() > config.posts.maxScheduleAhead) {
+    return next(new ValidationError('Posts cannot be scheduled that far ahead'));
+  }
+
+  const media_type = media_urls !== undefined ? getMediaType(media_urls) : post.media_type;
+
+  // Extract hashtags from content
+  const hashtags = content ? content.match(/#[\w]+/g) || [] : post.hashtags;
+
+  // Only update while still unpublished so a concurrent publish is not overwritten
+  const [affectedRows] = await Post.update({
+    content: content !== undefined ? content : post.content,
+    media_urls: media_urls !== undefined ? media_urls : post.media_urls,
+    media_type,
+    privacy: privacy !== undefined ? privacy : post.privacy,
+    location: location !== undefined ? location : post.location,
+    tagged_users: tagged_users !== undefined ? tagged_users : post.tagged_users,
+    hashtags: hashtags.map(tag => tag.toLowerCase()),
+    scheduled_at: scheduled_at || post.scheduled_at
+  }, {
+    where: {
+      id,
+      is_published: false,
+      is_deleted: false
+    }
+  });
+
+  if (affectedRows === 0) {
+    return next(new ConflictError('Post has already been published'));
+  }
+
+  const updatedPost = await Post.scope('withAuthor').findByPk(id);
+
+  logger.info(`Scheduled post updated by user ${userId}`, { postId: id });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Scheduled post updated successfully',
+    data: {
+      post: updatedPost
+    }
+  });
+});
+
+/**
+ * Cancel scheduled post
+ * @route DELETE /api/v1/posts/scheduled/:id
+ */
+const deleteScheduledPost = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const post = await Post.findByPk(id);
+
+  if (!post || post.is_deleted || !post.scheduled_at) {
+    return next(new NotFoundError('Scheduled post not found'));
+  }
+
+  if (post.user_id !== userId) {
+    return next(new AuthorizationError('You can only delete your own posts'));
+  }
+
+  // Soft delete, only while still unpublished
+  const [affectedRows] = await Post.update({
+    is_deleted: true,
+    deleted_at: new Date()
+  }, {
+    where: {
+      id,
+      is_published: false,
+      is_deleted: false
+    }
+  });
+
+  if (affectedRows === 0) {
+    return next(new ConflictError('Post has already been published'));
+  }
+
+  logger.info(`Scheduled post cancelled by user ${userId}`, { postId: id });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Scheduled post cancelled successfully'
+  });
+});
+
 /**
  * Like/Unlike post
  * @route POST /api/v1/posts/:id/like
@@ -298,45 +616,61 @@ const toggleLike = asyncHandler(async (req, res, next) => {
     return next(new AuthorizationError('Access denied'));
   }
 
-  // Check if user already liked the post (this would be in a separate likes table in production)
-  // For now, we'll use Redis to track likes
-  const likeKey = `post_like:${id}:${userId}`;
-  const isLiked = await require('../services/redis').exists(likeKey);
+  const { liked, likes_count } = await PostLike.toggle(id, userId);
 
-  if (isLiked) {
-    // Unlike
-    await require('../services/redis').del(likeKey);
-    await post.decrementLikes();
-    
-    res.status(200).json({
-      status: 'success',
-      message: 'Post unliked',
-      data: {
-        liked: false,
-        likes_count: post.likes_count
-      }
-    });
-  } else {
-    // Like
-    await require('../services/redis').set(likeKey, '1', 86400 * 30); // 30 days
-    await post.incrementLikes();
-
-    // Create notification for post owner
-    if (post.user_id !== userId) {
-      await Notification.createLikeNotification(post.user_id, userId, post.id);
+  // Create notification for post owner
+  if (liked && post.user_id !== userId) {
+    await Notification.createLikeNotification(post.user_id, userId, post.id);
+  }
+
+  logger.info(`Post ${liked ? 'liked' : 'unliked'} by user ${userId}`, { postId: id });
+
+  res.status(200).json({
+    status: 'success',
+    message: liked ? 'Post liked' : 'Post unliked',
+    data: {
+      liked,
+      likes_count
     }
+  });
+});
 
-    res.status(200).json({
-      status: 'success',
-      message: 'Post liked',
-      data: {
-        liked: true,
-        likes_count: post.likes_count
-      }
-    });
+/**
+ * Get users who liked a post
+ * @route GET /api/v1/posts/:id/likes
+ */
+const getPostLikes = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const userId = req.user?.id;
+  const offset = (page - 1) * limit;
+
+  const post = await Post.findByPk(id);
+
+  if (!post) {
+    return next(new NotFoundError('Post not found'));
   }
 
-  logger.info(`Post ${isLiked ? 'unliked' : 'liked'} by user ${userId}`, { postId: id });
+  // Check if user can view this post
+  if (!(await post.canUserView(userId))) {
+    return next(new AuthorizationError('Access denied'));
+  }
+
+  const likes = await PostLike.getPostLikes(id, parseInt(limit), offset);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      users: likes.map(like => like.user),
+      likes_count: post.likes_count,
+      pagination: {
+        currentPage: parseInt(page),
+        totalItems: likes.length,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: likes.length === parseInt(limit)
+      }
+    }
+  });
 });
 
 /**
@@ -345,7 +679,7 @@ const toggleLike = asyncHandler(async (req, res, next) => {
  */
 const createComment = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const { content, media_urls } = req.body;
+  const { content, media_urls, parent_comment_id } = req.body;
   const userId = req.user.id;
 
   const post = await Post.findByPk(id);
@@ -355,29 +689,41 @@ const createComment = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user can view this post
-  if (!post.canUserView(userId)) {
+  if (!(await post.canUserView(userId))) {
     return next(new AuthorizationError('Access denied'));
   }
 
-  // Determine media type for comment
-  let media_type = 'none';
-  if (media_urls && media_urls.length > 0) {
-    const hasImages = media_urls.some(url => /\.(jpg|jpeg|png|gif|webp)$/i.test(url));
-    const hasVideos = media_urls.some(url => /\.(mp4|avi|mov|wmv|flv|webm)$/i.test(url));
-    
-    if (hasImages && hasVideos) {
-      media_type = 'mixed';
-    } else if (hasImages) {
-      media_type = 'image';
-    } else if (hasVideos) {
-      media_type = 'video';
+  let parentComment = null;
+  if (parent_comment_id) {
+    parentComment = await Post.findOne({
+      where: {
+        id: parent_comment_id,
+        post_type: 'comment',
+        is_deleted: false
+      }
+    });
+
+    if (!parentComment || parentComment.getRootPostId() !== post.id) {
+      return next(new NotFoundError('Comment not found'));
     }
   }
 
+  // Comments created before threading have depth 0 and are top-level
+  const depth = parentComment ? Math.max(parentComment.depth, 1) + 1 : 1;
+
+  if (depth > config.posts.maxCommentDepth) {
+    return next(new ValidationError(`Replies cannot be nested more than ${config.posts.maxCommentDepth} levels deep`));
+  }
+
+  // Determine media type for comment
+  const media_type = getMediaType(media_urls);
+
   // Create comment
   const comment = await Post.create({
     user_id: userId,
-    parent_id: id,
+    parent_id: parentComment ? parentComment.id : id,
+    root_id: id,
+    depth,
     post_type: 'comment',
     content,
     media_urls: media_urls || [],
@@ -385,22 +731,33 @@ const createComment = asyncHandler(async (req, res, next) => {
     privacy: 'public' // Comments inherit post privacy
   });
 
-  // Increment comments count on parent post
+  // Post comment count covers the whole thread; comments track their direct replies
   await post.incrementComments();
+  if (parentComment) {
+    await parentComment.incrementReplies();
+  }
 
   // Fetch comment with author details
   const createdComment = await Post.scope('withAuthor').findByPk(comment.id);
 
-  // Create notification for post owner
-  if (post.user_id !== userId) {
+  // Notify the author being replied to, and the post owner unless they are the same person
+  if (parentComment && parentComment.user_id !== userId) {
+    await Notification.createCommentNotification(parentComment.user_id, userId, post.id, comment.id, parentComment.id);
+  }
+
+  if (post.user_id !== userId && (!parentComment || parentComment.user_id !== post.user_id)) {
     await Notification.createCommentNotification(post.user_id, userId, post.id, comment.id);
   }
 
-  logger.info(`Comment created by user ${userId}`, { postId: id, commentId: comment.id });
+  logger.info(`Comment created by user ${userId}`, {
+    postId: id,
+    commentId: comment.id,
+    parentCommentId: parentComment ? parentComment.id : null
+  });
 
   res.status(201).json({
     status: 'success',
-    message: 'Comment created successfully',
+    message: parentComment ? 'Reply created successfully' : 'Comment created successfully',
     data: {
       comment: createdComment
     }
@@ -409,14 +766,20 @@ const createComment = asyncHandler(async (req, res, next) => {
 
 /**
  * Get post comments
+ * Returns top-level comments; each carries replies_count for loading its replies
  * @route GET /api/v1/posts/:id/comments
  */
 const getComments = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const { page = 1, limit = 20 } = req.query;
+  const { page = 1, limit = 20, cursor } = req.query;
   const userId = req.user?.id;
   const offset = (page - 1) * limit;
 
+  const pageCursor = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !pageCursor) {
+    return next(new ValidationError('Invalid pagination cursor'));
+  }
+
   const post = await Post.findByPk(id);
 
   if (!post) {
@@ -428,7 +791,8 @@ const getComments = asyncHandler(async (req, res, next) => {
     return next(new AuthorizationError('Access denied'));
   }
 
-  const comments = await Post.getComments(id, parseInt(limit), offset);
+  const rows = await Post.getComments(id, parseInt(limit) + 1, offset, pageCursor);
+  const { items: comments, hasNextPage, nextCursor, prevCursor } = buildCursorPage(rows, parseInt(limit), pageCursor);
 
   res.status(200).json({
     status: 'success',
@@ -438,7 +802,67 @@ const getComments = asyncHandler(async (req, res, next) => {
         currentPage: parseInt(page),
         totalItems: comments.length,
         itemsPerPage: parseInt(limit),
-        hasNextPage: comments.length === parseInt(limit)
+        hasNextPage,
+        nextCursor,
+        prevCursor
+      }
+    }
+  });
+});
+
+/**
+ * Get replies to a comment
+ * @route GET /api/v1/posts/:id/comments/:commentId/replies
+ */
+const getCommentReplies = asyncHandler(async (req, res, next) => {
+  const { id, commentId } = req.params;
+  const { page = 1, limit = 20, cursor } = req.query;
+  const userId = req.user?.id;
+  const offset = (page - 1) * limit;
+
+  const pageCursor = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !pageCursor) {
+    return next(new ValidationError('Invalid pagination cursor'));
+  }
+
+  const post = await Post.findByPk(id);
+
+  if (!post) {
+    return next(new NotFoundError('Post not found'));
+  }
+
+  // Check if user can view this post
+  if (!(await post.canUserView(userId))) {
+    return next(new AuthorizationError('Access denied'));
+  }
+
+  const comment = await Post.findOne({
+    where: {
+      id: commentId,
+      post_type: 'comment',
+      is_deleted: false,
+      is_hidden: false
+    }
+  });
+
+  if (!comment || comment.getRootPostId() !== post.id) {
+    return next(new NotFoundError('Comment not found'));
+  }
+
+  const rows = await Post.getReplies(commentId, parseInt(limit) + 1, offset, pageCursor);
+  const { items: replies, hasNextPage, nextCursor, prevCursor } = buildCursorPage(rows, parseInt(limit), pageCursor);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      replies,
+      pagination: {
+        currentPage: parseInt(page),
+        totalItems: replies.length,
+        itemsPerPage: parseInt(limit),
+        hasNextPage,
+        nextCursor,
+        prevCursor
       }
     }
   });
@@ -495,18 +919,35 @@ const sharePost = asyncHandler(async (req, res, next) => {
  * @route GET /api/v1/posts/search
  */
 const searchPosts = asyncHandler(async (req, res, next) => {
-  const { query, page = 1, limit = 20 } = req.query;
+  const { query, author_id, from, to, hashtag, media_type, page = 1, limit = 20 } = req.query;
+  const userId = req.user?.id;
+  const offset = (page - 1) * limit;
 
   if (!query || query.trim().length === 0) {
     return next(new ValidationError('Search query is required'));
   }
 
-  const posts = await Post.searchPosts(query.trim(), parseInt(limit));
+  const posts = await Post.searchPosts(query.trim(), {
+    viewerId: userId,
+    authorId: author_id,
+    from,
+    to,
+    // Hashtags are stored lowercase with the leading '#'
+    hashtag: hashtag ? `#${hashtag.replace(/^#/, '').toLowerCase()}` : undefined,
+    mediaType: media_type,
+    limit: parseInt(limit),
+    offset
+  });
+
+  const terms = searchService.getTerms(query.trim());
 
   res.status(200).json({
     status: 'success',
     data: {
-      posts,
+      posts: posts.map(post => ({
+        ...post.toJSON(),
+        snippet: searchService.highlight(post.content, terms)
+      })),
       query: query.trim(),
       pagination: {
         currentPage: parseInt(page),
@@ -523,22 +964,52 @@ const searchPosts = asyncHandler(async (req, res, next) => {
  * @route GET /api/v1/posts/trending-hashtags
  */
 const getTrendingHashtags = asyncHandler(async (req, res, next) => {
-  const { limit = 10 } = req.query;
-
-  // This would typically be calculated from a separate hashtags table
-  // For now, we'll return a mock response
-  const trendingHashtags = [
-    { hashtag: '#silverapp', count: 1250 },
-    { hashtag: '#socialmedia', count: 890 },
-    { hashtag: '#technology', count: 675 },
-    { hashtag: '#mobile', count: 543 },
-    { hashtag: '#flutter', count: 432 }
-  ].slice(0, parseInt(limit));
+  const { window = '24h', limit = 10 } = req.query;
+
+  // Read rolling counters from Redis, falling back to counting recent posts
+  let trendingHashtags = await hashtagService.getTrending(window, parseInt(limit));
+  if (!trendingHashtags) {
+    trendingHashtags = await Post.getTrendingHashtags(
+      hashtagService.getWindowStart(window),
+      parseInt(limit)
+    );
+  }
 
   res.status(200).json({
     status: 'success',
     data: {
-      hashtags: trendingHashtags
+      hashtags: trendingHashtags,
+      window
+    }
+  });
+});
+
+/**
+ * Get posts for a hashtag
+ * @route GET /api/v1/posts/hashtag/:tag
+ */
+const getHashtagPosts = asyncHandler(async (req, res, next) => {
+  const { tag } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const userId = req.user?.id;
+  const offset = (page - 1) * limit;
+
+  // Hashtags are stored lowercase with the leading '#'
+  const hashtag = `#${tag.replace(/^#/, '').toLowerCase()}`;
+
+  const posts = await Post.getHashtagPosts(hashtag, userId, parseInt(limit), offset);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      posts,
+      hashtag,
+      pagination: {
+        currentPage: parseInt(page),
+        totalItems: posts.length,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: posts.length === parseInt(limit)
+      }
     }
   });
 });
@@ -559,22 +1030,35 @@ const reportPost = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user can view this post
-  if (!post.canUserView(userId)) {
+  if (!(await post.canUserView(userId))) {
     return next(new AuthorizationError('Access denied'));
   }
 
-  // Update post report status
-  await post.update({
-    is_reported: true,
-    report_count: post.report_count + 1
+  if (post.user_id === userId) {
+    return next(new ValidationError('You cannot report your own post'));
+  }
+
+  const { report, created } = await Report.fileReport({
+    reporterId: userId,
+    targetType: post.post_type === 'comment' ? 'comment' : 'post',
+    targetId: id,
+    reportedUserId: post.user_id,
+    reason,
+    description
   });
 
-  // Log the report (in production, this would be stored in a reports table)
+  // Update post report status
+  if (created) {
+    await post.update({
+      is_reported: true,
+      report_count: post.report_count + 1
+    });
+  }
+
   logger.warn(`Post reported by user ${userId}`, {
     postId: id,
-    reason,
-    description,
-    reportedBy: userId
+    reportId: report.id,
+    reason
   });
 
   res.status(200).json({
@@ -589,12 +1073,20 @@ module.exports = {
   getPost,
   getUserPosts,
   updatePost,
+  getPostRevisions,
+  restorePostRevision,
   deletePost,
+  getScheduledPosts,
+  updateScheduledPost,
+  deleteScheduledPost,
   toggleLike,
+  getPostLikes,
   createComment,
   getComments,
+  getCommentReplies,
   sharePost,
   searchPosts,
   getTrendingHashtags,
+  getHashtagPosts,
   reportPost
 };
\ No newline at end of file
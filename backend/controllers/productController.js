@@ -0,0 +1,143 @@
+/**
+ * Product Controller
+ * Handles the purchasable product catalog and its administration
+ */
+
+const { asyncHandler } = require('../utils/asyncHandler');
+const { NotFoundError, ConflictError } = require('../errors/AppError');
+const { logger } = require('../config/logger');
+const Product = require('../models/Product');
+const PaymentOrder = require('../models/PaymentOrder');
+
+/**
+ * Get product catalog
+ * @route GET /api/v1/products
+ */
+const getProducts = asyncHandler(async (req, res, next) => {
+  const { productType, includeInactive } = req.query;
+
+  // Only admins can see products that are no longer sold
+  const products = await Product.getCatalog({
+    productType,
+    includeInactive: includeInactive && req.user.role === 'admin'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      products
+    }
+  });
+});
+
+/**
+ * Get single product
+ * @route GET /api/v1/products/:productId
+ */
+const getProduct = asyncHandler(async (req, res, next) => {
+  const { productId } = req.params;
+
+  const product = await Product.findByPk(productId);
+
+  if (!product || (!product.isActive && req.user.role !== 'admin')) {
+    return next(new NotFoundError('Product not found'));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      product
+    }
+  });
+});
+
+/**
+ * Create product
+ * @route POST /api/v1/products
+ */
+const createProduct = asyncHandler(async (req, res, next) => {
+  const product = await Product.create(req.body);
+
+  logger.info(`Product ${product.sku} created by admin ${req.user.id}`, {
+    productId: product.id,
+    productType: product.productType,
+    price: product.price
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Product created successfully',
+    data: {
+      product
+    }
+  });
+});
+
+/**
+ * Update product
+ * Existing orders keep the effect they were bought with
+ * @route PUT /api/v1/products/:productId
+ */
+const updateProduct = asyncHandler(async (req, res, next) => {
+  const { productId } = req.params;
+
+  const product = await Product.findByPk(productId);
+
+  if (!product) {
+    return next(new NotFoundError('Product not found'));
+  }
+
+  await product.update(req.body);
+
+  logger.info(`Product ${product.sku} updated by admin ${req.user.id}`, {
+    productId: product.id,
+    fields: Object.keys(req.body)
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Product updated successfully',
+    data: {
+      product
+    }
+  });
+});
+
+/**
+ * Delete product
+ * Products that have been ordered are kept for order history and should be deactivated instead
+ * @route DELETE /api/v1/products/:productId
+ */
+const deleteProduct = asyncHandler(async (req, res, next) => {
+  const { productId } = req.params;
+
+  const product = await Product.findByPk(productId);
+
+  if (!product) {
+    return next(new NotFoundError('Product not found'));
+  }
+
+  const orderCount = await PaymentOrder.count({ where: { productId } });
+  if (orderCount > 0) {
+    return next(new ConflictError('Product has orders; deactivate it instead'));
+  }
+
+  await product.destroy();
+
+  logger.info(`Product ${product.sku} deleted by admin ${req.user.id}`, {
+    productId: product.id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Product deleted successfully'
+  });
+});
+
+module.exports = {
+  getProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct
+};
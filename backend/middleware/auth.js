@@ -84,7 +84,8 @@ const authenticate = async (req, res, next) => {
       attributes: [
         'id', 'username', 'email', 'phone_number', 'first_name', 'last_name',
         'is_active', 'is_verified', 'phone_verified', 'email_verified',
-        'last_login', 'password_changed_at', 'role', 'created_at'
+        'last_login', 'password_changed_at', 'role', 'created_at',
+        'suspended_until'
       ]
     });
 
@@ -108,6 +109,17 @@ const authenticate = async (req, res, next) => {
       return next(new AuthenticationError('User account is deactivated'));
     }
 
+    // Check if user account is suspended by a moderator
+    if (user.isSuspended()) {
+      logger.warn('Suspended user authentication attempt:', {
+        userId: user.id,
+        suspendedUntil: user.suspended_until,
+        ip: req.ip,
+        url: req.originalUrl
+      });
+      return next(new AuthenticationError('User account is suspended'));
+    }
+
     // 7) Check if user changed password after token was issued
     if (user.password_changed_at) {
       const passwordChangedTimestamp = Math.floor(user.password_changed_at.getTime() / 1000);
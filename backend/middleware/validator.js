@@ -22,6 +22,12 @@ const commonSchemas = {
     offset: Joi.number().integer().min(0).max(100000)
   }),
   
+  // Opaque cursor returned as nextCursor/prevCursor by paginated endpoints
+  cursor: Joi.string().max(512).pattern(/^[A-Za-z0-9_-]+$/).optional()
+    .messages({
+      'string.pattern.base': 'Invalid pagination cursor'
+    }),
+  
   // Enhanced phone number validation for China
   phoneNumber: Joi.string().pattern(/^(\+86)?1[3-9]\d{9}$/).required()
     .messages({
@@ -274,7 +280,11 @@ const postSchemas = {
     media_urls: commonSchemas.mediaUrls,
     privacy: commonSchemas.privacy,
     location: commonSchemas.location,
-    tagged_users: Joi.array().items(commonSchemas.userId).max(20).optional()
+    tagged_users: Joi.array().items(commonSchemas.userId).max(20).optional(),
+    scheduled_at: Joi.date().iso().greater('now').optional()
+      .messages({
+        'date.greater': 'Scheduled time must be in the future'
+      })
   }).or('content', 'media_urls')
     .messages({
       'object.missing': 'Post must have either content or media'
@@ -293,10 +303,39 @@ const postSchemas = {
       .messages({
         'string.pattern.base': 'Comment cannot contain HTML tags'
       }),
-    media_urls: Joi.array().items(Joi.string().uri()).max(5).optional()
+    media_urls: Joi.array().items(Joi.string().uri()).max(5).optional(),
+    parent_comment_id: Joi.string().uuid().optional()
+  }),
+  
+  updateScheduledPost: Joi.object({
+    content: commonSchemas.postContent,
+    media_urls: commonSchemas.mediaUrls,
+    privacy: Joi.string().valid('public', 'friends', 'private').optional(),
+    location: commonSchemas.location,
+    tagged_users: Joi.array().items(commonSchemas.userId).max(20).optional(),
+    scheduled_at: Joi.date().iso().greater('now').optional()
+      .messages({
+        'date.greater': 'Scheduled time must be in the future'
+      })
+  }),
+  
+  getScheduledPosts: Joi.object({
+    ...commonSchemas.pagination
   }),
   
   getFeed: Joi.object({
+    mode: Joi.string().valid('chronological', 'ranked').optional().default('chronological'),
+    cursor: commonSchemas.cursor,
+    ...commonSchemas.pagination
+  }),
+  
+  getComments: Joi.object({
+    cursor: commonSchemas.cursor,
+    ...commonSchemas.pagination
+  }),
+
+  getReplies: Joi.object({
+    cursor: commonSchemas.cursor,
     ...commonSchemas.pagination
   }),
   
@@ -304,9 +343,41 @@ const postSchemas = {
     userId: commonSchemas.userId,
     ...commonSchemas.pagination
   }),
+
+  getPostLikes: Joi.object({
+    ...commonSchemas.pagination
+  }),
+
+  getPostRevisions: Joi.object({
+    ...commonSchemas.pagination
+  }),
   
   searchPosts: Joi.object({
     query: commonSchemas.searchQuery,
+    author_id: Joi.string().uuid().optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    hashtag: Joi.string().pattern(/^#?\w{1,100}$/).optional()
+      .messages({
+        'string.pattern.base': 'Invalid hashtag format'
+      }),
+    media_type: Joi.string().valid('none', 'image', 'video', 'mixed').optional(),
+    ...commonSchemas.pagination
+  }),
+
+  getTrendingHashtags: Joi.object({
+    window: Joi.string().valid('1h', '24h', '7d').optional().default('24h'),
+    limit: Joi.number().integer().min(1).max(50).optional().default(10)
+  }),
+
+  hashtagParams: Joi.object({
+    tag: Joi.string().pattern(/^#?\w{1,100}$/).required()
+      .messages({
+        'string.pattern.base': 'Invalid hashtag format'
+      })
+  }),
+
+  getHashtagPosts: Joi.object({
     ...commonSchemas.pagination
   }),
 
@@ -324,8 +395,27 @@ const postSchemas = {
  */
 const messageSchemas = {
   sendMessage: Joi.object({
-    receiver_id: commonSchemas.userId,
-    content: commonSchemas.messageContent.optional(),
+    receiver_id: commonSchemas.userId.optional(),
+    conversation_id: Joi.string().uuid().optional()
+      .when('is_encrypted', { is: true, then: Joi.forbidden() })
+      .messages({
+        'any.unknown': 'Only direct messages can be end-to-end encrypted'
+      }),
+    client_message_id: Joi.string().trim().min(1).max(64).optional(),
+    is_encrypted: Joi.boolean().optional().default(false),
+    sender_device_id: commonSchemas.deviceId.optional()
+      .when('is_encrypted', { is: true, then: Joi.required(), otherwise: Joi.forbidden() }),
+    // Opaque envelopes keyed by recipient device ID; the server never decrypts them
+    ciphertext: Joi.object().pattern(
+      Joi.string().min(10).max(255).pattern(/^[a-zA-Z0-9_-]+$/),
+      Joi.object({
+        type: Joi.number().integer().min(1).max(3).required(),
+        body: Joi.string().base64().max(65536).required()
+      })
+    ).min(1).max(20)
+      .when('is_encrypted', { is: true, then: Joi.required(), otherwise: Joi.forbidden() }),
+    content: commonSchemas.messageContent.optional()
+      .when('is_encrypted', { is: true, then: Joi.forbidden() }),
     message_type: commonSchemas.messageType,
     media_url: Joi.string().uri({ scheme: ['http', 'https'] }).max(500).optional(),
     reply_to_id: commonSchemas.userId.optional(),
@@ -333,22 +423,30 @@ const messageSchemas = {
       latitude: Joi.number().min(-90).max(90).required(),
       longitude: Joi.number().min(-180).max(180).required(),
       address: Joi.string().max(200).optional()
-    }).optional(),
+    }).optional()
+      .when('is_encrypted', { is: true, then: Joi.forbidden() }),
     contact_data: Joi.object({
       name: Joi.string().max(100).required(),
       phone: Joi.string().max(20).optional(),
       email: Joi.string().email().optional()
     }).optional()
-  }).or('content', 'media_url')
+      .when('is_encrypted', { is: true, then: Joi.forbidden() })
+  }).or('content', 'media_url', 'ciphertext')
+    .xor('receiver_id', 'conversation_id')
     .messages({
-      'object.missing': 'Message must have either content or media'
+      'object.missing': 'Message must have either content, media or ciphertext',
+      'object.xor': 'Message must have either a receiver or a group conversation, not both'
     }),
   
   getConversation: Joi.object({
-    conversationId: Joi.string().pattern(/^[a-f0-9-]+_[a-f0-9-]+$/).required()
+    conversationId: Joi.alternatives().try(
+      Joi.string().pattern(/^[a-f0-9-]+_[a-f0-9-]+$/),
+      Joi.string().uuid()
+    ).required()
       .messages({
         'string.pattern.base': 'Invalid conversation ID format'
       }),
+    cursor: commonSchemas.cursor,
     ...commonSchemas.pagination
   }),
   
@@ -363,10 +461,30 @@ const messageSchemas = {
   deleteMessage: Joi.object({
     messageId: commonSchemas.userId
   }),
+
+  editMessage: Joi.object({
+    content: commonSchemas.messageContent
+  }),
+
+  getMessageRevisions: Joi.object({
+    ...commonSchemas.pagination
+  }),
   
+  // Filters alone are enough, so media and files without a caption can be found
   searchMessages: Joi.object({
-    query: commonSchemas.searchQuery,
+    query: commonSchemas.searchQuery.optional(),
+    conversation_id: Joi.string().max(100).optional(),
+    sender_id: Joi.string().uuid().optional(),
+    message_type: Joi.string().valid('media', 'file', 'link').optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    context: Joi.number().integer().min(0).max(5).optional().default(2),
     ...commonSchemas.pagination
+  }).or('query', 'conversation_id', 'sender_id', 'message_type', 'from', 'to'),
+
+  getMessageContext: Joi.object({
+    before: Joi.number().integer().min(0).max(50).optional().default(20),
+    after: Joi.number().integer().min(0).max(50).optional().default(20)
   }),
 
   addReaction: Joi.object({
@@ -382,6 +500,59 @@ const messageSchemas = {
         'array.min': 'At least one recipient is required',
         'array.max': 'Cannot forward to more than 10 recipients'
       })
+  }),
+
+  uploadKeys: Joi.object({
+    device_id: commonSchemas.deviceId,
+    registration_id: Joi.number().integer().min(1).max(16380).required(),
+    identity_key: Joi.string().base64().max(255).required(),
+    signed_prekey: Joi.object({
+      key_id: Joi.number().integer().min(0).required(),
+      public_key: Joi.string().base64().max(255).required(),
+      signature: Joi.string().base64().max(255).required()
+    }).required(),
+    one_time_prekeys: Joi.array().items(Joi.object({
+      key_id: Joi.number().integer().min(0).required(),
+      public_key: Joi.string().base64().max(255).required()
+    })).max(100).unique('key_id').optional()
+  }),
+
+  updateDisappearingTimer: Joi.object({
+    timer: Joi.string().valid('off', '24h', '7d', '90d').required()
+  }),
+
+  syncMessages: Joi.object({
+    device_id: commonSchemas.deviceId,
+    since: Joi.string().max(200).optional(),
+    limit: Joi.number().integer().min(1).max(500).optional().default(100)
+  }),
+
+  createGroup: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    avatar_url: Joi.string().uri({ scheme: ['http', 'https'] }).max(500).optional(),
+    member_ids: Joi.array().items(commonSchemas.userId).min(1).required()
+      .messages({
+        'array.min': 'At least one other member is required'
+      })
+  }),
+
+  renameGroup: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required()
+  }),
+
+  updateGroupAvatar: Joi.object({
+    avatar_url: Joi.string().uri({ scheme: ['http', 'https'] }).max(500).allow(null).required()
+  }),
+
+  addGroupMembers: Joi.object({
+    user_ids: Joi.array().items(commonSchemas.userId).min(1).required()
+      .messages({
+        'array.min': 'At least one user is required'
+      })
+  }),
+
+  updateGroupMemberRole: Joi.object({
+    role: Joi.string().valid('admin', 'member').required()
   })
 };
 
@@ -426,6 +597,7 @@ const friendSchemas = {
 const notificationSchemas = {
   getNotifications: Joi.object({
     category: Joi.string().valid('social', 'system', 'promotional', 'security').optional(),
+    cursor: commonSchemas.cursor,
     ...commonSchemas.pagination
   }),
   
@@ -486,22 +658,6 @@ const notificationSchemas = {
  * Payment validation schemas
  */
 const paymentSchemas = {
-  createOrder: Joi.object({
-    amount: commonSchemas.amount,
-    description: Joi.string().min(1).max(200).pattern(/^[^<>]*$/).required()
-      .messages({
-        'string.pattern.base': 'Description cannot contain HTML tags'
-      }),
-    provider: Joi.string().valid('wechat', 'alipay').default('wechat'),
-    orderType: Joi.string().valid('premium', 'gift', 'boost', 'coins').required(),
-    returnUrl: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
-    notifyUrl: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
-    recipientId: commonSchemas.userId.optional(),
-    postId: commonSchemas.userId.optional(),
-    boostDuration: Joi.number().integer().min(1).max(720).optional(), // Max 30 days in hours
-    giftType: Joi.string().valid('premium', 'coins', 'sticker').optional()
-  }),
-
   refundOrder: Joi.object({
     outTradeNo: Joi.string().min(10).max(100).required(),
     refundAmount: commonSchemas.amount,
@@ -568,6 +724,130 @@ const pushSchemas = {
   })
 };
 
+/**
+ * Product catalog validation schemas
+ */
+const productSchemas = {
+  createProduct: Joi.object({
+    sku: Joi.string().max(64).pattern(/^[A-Za-z0-9_.-]+$/).required()
+      .messages({
+        'string.pattern.base': 'SKU can only contain letters, numbers, dots, dashes and underscores'
+      }),
+    name: Joi.string().min(1).max(100).pattern(/^[^<>]*$/).required()
+      .messages({
+        'string.pattern.base': 'Name cannot contain HTML tags'
+      }),
+    description: Joi.string().max(500).pattern(/^[^<>]*$/).optional().allow('')
+      .messages({
+        'string.pattern.base': 'Description cannot contain HTML tags'
+      }),
+    productType: Joi.string().valid('premium', 'coins', 'boost', 'gift').required(),
+    price: Joi.number().positive().precision(2).max(100000).required(),
+    // Which effect field is required depends on productType and giftType; the model checks the combination
+    durationDays: Joi.number().integer().min(1).max(3650).optional(),
+    coinAmount: Joi.number().integer().min(1).max(10000000).optional(),
+    boostHours: Joi.number().integer().min(1).max(720).optional(), // Max 30 days
+    giftType: Joi.string().valid('premium', 'coins', 'sticker').optional(),
+    isActive: Joi.boolean().optional().default(true),
+    sortOrder: Joi.number().integer().min(0).max(10000).optional().default(0),
+    metadata: Joi.object().optional()
+  }),
+
+  // productType is fixed once created; effect fields can be cleared with null
+  updateProduct: Joi.object({
+    sku: Joi.string().max(64).pattern(/^[A-Za-z0-9_.-]+$/).optional()
+      .messages({
+        'string.pattern.base': 'SKU can only contain letters, numbers, dots, dashes and underscores'
+      }),
+    name: Joi.string().min(1).max(100).pattern(/^[^<>]*$/).optional()
+      .messages({
+        'string.pattern.base': 'Name cannot contain HTML tags'
+      }),
+    description: Joi.string().max(500).pattern(/^[^<>]*$/).optional().allow('', null)
+      .messages({
+        'string.pattern.base': 'Description cannot contain HTML tags'
+      }),
+    price: Joi.number().positive().precision(2).max(100000).optional(),
+    durationDays: Joi.number().integer().min(1).max(3650).optional().allow(null),
+    coinAmount: Joi.number().integer().min(1).max(10000000).optional().allow(null),
+    boostHours: Joi.number().integer().min(1).max(720).optional().allow(null),
+    giftType: Joi.string().valid('premium', 'coins', 'sticker').optional().allow(null),
+    isActive: Joi.boolean().optional(),
+    sortOrder: Joi.number().integer().min(0).max(10000).optional(),
+    metadata: Joi.object().optional().allow(null)
+  }).min(1),
+
+  getProducts: Joi.object({
+    productType: Joi.string().valid('premium', 'coins', 'boost', 'gift').optional(),
+    includeInactive: Joi.boolean().optional()
+  })
+};
+
+/**
+ * Moderation validation schemas
+ */
+const moderationSchemas = {
+  createReport: Joi.object({
+    target_type: Joi.string().valid('post', 'comment', 'message', 'user').required(),
+    target_id: Joi.string().uuid({ version: 'uuidv4' }).required(),
+    reason: Joi.string().valid(
+      'spam', 'harassment', 'hate_speech', 'violence', 
+      'nudity', 'false_information', 'copyright', 'other'
+    ).required(),
+    description: Joi.string().max(500).optional().allow('')
+  }),
+
+  getReports: Joi.object({
+    status: Joi.string().valid('pending', 'in_review', 'resolved', 'dismissed').optional(),
+    target_type: Joi.string().valid('post', 'comment', 'message', 'user').optional(),
+    assigned_to_me: Joi.boolean().optional(),
+    ...commonSchemas.pagination
+  }),
+
+  resolveReport: Joi.object({
+    resolution: Joi.string().valid(
+      'no_action', 'hide_post', 'delete_content', 'warn_user', 'suspend_user'
+    ).required(),
+    note: Joi.string().max(1000).pattern(/^[^<>]*$/).optional().allow('')
+      .messages({
+        'string.pattern.base': 'Note cannot contain HTML tags'
+      }),
+    suspend_days: Joi.number().integer().min(1).max(365).when('resolution', {
+      is: 'suspend_user',
+      then: Joi.optional().default(7),
+      otherwise: Joi.forbidden()
+    })
+  })
+};
+
+// Joi options shared by request and socket event validation
+const VALIDATION_OPTIONS = {
+  abortEarly: false, // Return all validation errors
+  stripUnknown: true, // Remove unknown fields
+  convert: true, // Convert types when possible
+  allowUnknown: false, // Reject unknown fields
+  presence: 'required' // Make all fields required by default unless specified
+};
+
+/**
+ * Validate data outside the request pipeline, e.g. socket event payloads
+ * @param {Object} schema - Joi validation schema
+ * @param {*} data - Data to validate
+ * @returns {Object} Sanitized value and error ({ value, error }); error is a ValidationError or null
+ */
+const validateData = (schema, data) => {
+  const { error, value } = schema.validate(data, VALIDATION_OPTIONS);
+
+  if (error) {
+    return {
+      value,
+      error: new ValidationError(`Validation failed: ${error.details.map(detail => detail.message).join(', ')}`)
+    };
+  }
+
+  return { value, error: null };
+};
+
 /**
  * Enhanced validation middleware with comprehensive error handling
  * @param {Object} schema - Joi validation schema
@@ -579,13 +859,7 @@ const validate = (schema, source = 'body') => {
     try {
       const dataToValidate = req[source];
       
-      const { error, value } = schema.validate(dataToValidate, {
-        abortEarly: false, // Return all validation errors
-        stripUnknown: true, // Remove unknown fields
-        convert: true, // Convert types when possible
-        allowUnknown: false, // Reject unknown fields
-        presence: 'required' // Make all fields required by default unless specified
-      });
+      const { error, value } = schema.validate(dataToValidate, VALIDATION_OPTIONS);
       
       if (error) {
         const validationErrors = error.details.map(detail => ({
@@ -833,7 +1107,8 @@ const customValidations = {
       const allowedTypes = [
         'image/jpeg', 'image/png', 'image/gif', 'image/webp',
         'video/mp4', 'video/avi', 'video/mov',
-        'audio/mp3', 'audio/wav', 'audio/aac'
+        'audio/mp3', 'audio/wav', 'audio/aac',
+        'audio/x-aac', 'audio/amr', 'audio/mp4', 'audio/m4a', 'audio/x-m4a', 'audio/ogg', 'audio/opus'
       ];
 
       for (const file of files) {
@@ -917,6 +1192,7 @@ const sanitizeFields = (fields = []) => {
 
 module.exports = {
   validate,
+  validateData,
   commonSchemas,
   authSchemas,
   userSchemas,
@@ -927,6 +1203,8 @@ module.exports = {
   paymentSchemas,
   uploadSchemas,
   pushSchemas,
+  productSchemas,
+  moderationSchemas,
   customValidations,
   combineValidations,
   conditionalValidation,
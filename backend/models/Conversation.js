@@ -0,0 +1,268 @@
+/**
+ * Conversation Model
+ * Defines group conversations; direct conversations are keyed by Message.generateConversationId
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * Conversation model definition
+ */
+const Conversation = sequelize.define('Conversation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Used as Message.conversation_id for messages in the group'
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100]
+    }
+  },
+
+  avatar_url: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    validate: {
+      isUrl: true
+    }
+  },
+
+  owner_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+    comment: 'Current owner; null once every member has left'
+  },
+
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE'
+  },
+
+  members_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+
+  last_message_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'conversations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+
+  // Indexes for better performance
+  indexes: [
+    {
+      fields: ['owner_id']
+    },
+    {
+      fields: ['last_message_at']
+    }
+  ],
+
+  // Scopes for common queries
+  scopes: {
+    withMembers: {
+      include: [{
+        model: sequelize.models.ConversationMember,
+        as: 'members',
+        include: [{
+          model: sequelize.models.User,
+          as: 'user',
+          attributes: ['id', 'username', 'first_name', 'last_name', 'profile_picture', 'is_verified']
+        }]
+      }]
+    }
+  }
+});
+
+/**
+ * Class methods
+ */
+
+/**
+ * Check if a conversation ID belongs to a group
+ * Direct conversation IDs join two user IDs with an underscore
+ * @param {string} conversationId - Conversation ID
+ * @returns {boolean} Whether the ID is a group conversation ID
+ */
+Conversation.isGroupId = function(conversationId) {
+  return typeof conversationId === 'string' && !conversationId.includes('_');
+};
+
+/**
+ * Create a group with its owner and initial members
+ * @param {string} ownerId - Creating user, who becomes the owner
+ * @param {Object} data - Group data ({ name, avatarUrl, memberIds })
+ * @returns {Promise<Conversation>} Created conversation
+ */
+Conversation.createGroup = async function(ownerId, data) {
+  const ConversationMember = sequelize.models.ConversationMember;
+  const memberIds = [...new Set(data.memberIds)].filter(id => id !== ownerId);
+
+  return await sequelize.transaction(async (transaction) => {
+    const conversation = await Conversation.create({
+      name: data.name,
+      avatar_url: data.avatarUrl || null,
+      owner_id: ownerId,
+      created_by: ownerId,
+      members_count: memberIds.length + 1
+    }, { transaction });
+
+    const joinedAt = new Date();
+
+    await ConversationMember.bulkCreate([
+      {
+        conversation_id: conversation.id,
+        user_id: ownerId,
+        role: 'owner',
+        joined_at: joinedAt
+      },
+      ...memberIds.map(userId => ({
+        conversation_id: conversation.id,
+        user_id: userId,
+        role: 'member',
+        added_by: ownerId,
+        joined_at: joinedAt
+      }))
+    ], { transaction });
+
+    return conversation;
+  });
+};
+
+/**
+ * Add members to a group, skipping users who are already members
+ * @param {string} conversationId - Conversation ID
+ * @param {Array<string>} userIds - Users to add
+ * @param {string} addedBy - User adding the members
+ * @param {number} maxMembers - Maximum group size
+ * @returns {Promise<Object>} Result ({ addedIds, limitExceeded }); nothing is added when the limit would be exceeded
+ */
+Conversation.addMembers = async function(conversationId, userIds, addedBy, maxMembers) {
+  const ConversationMember = sequelize.models.ConversationMember;
+
+  return await sequelize.transaction(async (transaction) => {
+    // Lock the group so concurrent additions cannot exceed the size limit
+    const conversation = await Conversation.findByPk(conversationId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const existingMembers = await ConversationMember.findAll({
+      where: {
+        conversation_id: conversationId,
+        user_id: userIds
+      },
+      attributes: ['user_id'],
+      transaction
+    });
+    const existingIds = existingMembers.map(member => member.user_id);
+    const newIds = [...new Set(userIds)].filter(id => !existingIds.includes(id));
+
+    if (conversation.members_count + newIds.length > maxMembers) {
+      return { addedIds: [], limitExceeded: true };
+    }
+
+    if (newIds.length === 0) {
+      return { addedIds: [], limitExceeded: false };
+    }
+
+    const joinedAt = new Date();
+    await ConversationMember.bulkCreate(newIds.map(userId => ({
+      conversation_id: conversationId,
+      user_id: userId,
+      role: 'member',
+      added_by: addedBy,
+      joined_at: joinedAt
+    })), { transaction });
+
+    await conversation.increment('members_count', { by: newIds.length, transaction });
+
+    return { addedIds: newIds, limitExceeded: false };
+  });
+};
+
+/**
+ * Remove a member from a group, handing ownership on if the owner leaves
+ * The longest-standing admin becomes owner, or the longest-standing member if there is no admin
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Member to remove
+ * @returns {Promise<Object>} Result ({ removed, newOwnerId })
+ */
+Conversation.removeMember = async function(conversationId, userId) {
+  const ConversationMember = sequelize.models.ConversationMember;
+
+  return await sequelize.transaction(async (transaction) => {
+    const conversation = await Conversation.findByPk(conversationId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const member = await ConversationMember.findOne({
+      where: {
+        conversation_id: conversationId,
+        user_id: userId
+      },
+      transaction
+    });
+
+    if (!member) {
+      return { removed: false, newOwnerId: null };
+    }
+
+    await member.destroy({ transaction });
+    await conversation.decrement('members_count', { transaction });
+
+    let newOwnerId = null;
+
+    if (member.role === 'owner') {
+      const successor = await ConversationMember.findOne({
+        where: { conversation_id: conversationId },
+        order: [
+          // ENUM columns sort in declaration order, so admins come before members
+          ['role', 'ASC'],
+          ['joined_at', 'ASC']
+        ],
+        transaction
+      });
+
+      if (successor) {
+        await successor.update({ role: 'owner' }, { transaction });
+        newOwnerId = successor.user_id;
+      }
+
+      await conversation.update({ owner_id: newOwnerId }, { transaction });
+    }
+
+    return { removed: true, newOwnerId };
+  });
+};
+
+module.exports = Conversation;
@@ -0,0 +1,229 @@
+/**
+ * ConversationMember Model
+ * Defines membership and roles of users in group conversations
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * ConversationMember model definition
+ */
+const ConversationMember = sequelize.define('ConversationMember', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  conversation_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'conversations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+
+  role: {
+    type: DataTypes.ENUM('owner', 'admin', 'member'),
+    defaultValue: 'member',
+    allowNull: false
+  },
+
+  added_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE'
+  },
+
+  joined_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  last_read_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Messages after this time count as unread for the member'
+  }
+}, {
+  tableName: 'conversation_members',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+
+  // Indexes for better performance
+  indexes: [
+    {
+      unique: true,
+      fields: ['conversation_id', 'user_id'],
+      name: 'unique_conversation_member'
+    },
+    {
+      fields: ['user_id']
+    }
+  ],
+
+  // Scopes for common queries
+  scopes: {
+    withUser: {
+      include: [{
+        model: sequelize.models.User,
+        as: 'user',
+        attributes: ['id', 'username', 'first_name', 'last_name', 'profile_picture', 'is_verified']
+      }]
+    }
+  }
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Check if member can manage the group (rename, avatar, members)
+ * @returns {boolean} Whether member is an owner or admin
+ */
+ConversationMember.prototype.isAdmin = function() {
+  return this.role === 'owner' || this.role === 'admin';
+};
+
+/**
+ * Check if member can remove another member
+ * Owners can remove anyone; admins can only remove regular members
+ * @param {ConversationMember} target - Member to remove
+ * @returns {boolean} Whether removal is allowed
+ */
+ConversationMember.prototype.canRemove = function(target) {
+  if (this.role === 'owner') {
+    return target.role !== 'owner';
+  }
+
+  return this.role === 'admin' && target.role === 'member';
+};
+
+/**
+ * Mark messages up to a time as read
+ * @param {Date} readAt - Time of the newest read message
+ */
+ConversationMember.prototype.markReadUntil = async function(readAt = new Date()) {
+  if (!this.last_read_at || new Date(readAt) > this.last_read_at) {
+    this.last_read_at = readAt;
+    await this.save();
+  }
+};
+
+/**
+ * Count unread messages in the group for this member
+ * @returns {Promise<number>} Unread message count
+ */
+ConversationMember.prototype.getUnreadCount = async function() {
+  const Message = sequelize.models.Message;
+
+  return await Message.count({
+    where: {
+      conversation_id: this.conversation_id,
+      sender_id: { [sequelize.Sequelize.Op.ne]: this.user_id },
+      is_deleted: false,
+      created_at: { [sequelize.Sequelize.Op.gt]: this.last_read_at || this.joined_at }
+    }
+  });
+};
+
+/**
+ * Class methods
+ */
+
+/**
+ * Get a user's membership in a group
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<ConversationMember|null>} Membership, or null if not a member
+ */
+ConversationMember.findMembership = async function(conversationId, userId) {
+  return await ConversationMember.findOne({
+    where: {
+      conversation_id: conversationId,
+      user_id: userId
+    }
+  });
+};
+
+/**
+ * Get IDs of the groups a user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Conversation IDs
+ */
+ConversationMember.getConversationIds = async function(userId) {
+  const memberships = await ConversationMember.findAll({
+    where: { user_id: userId },
+    attributes: ['conversation_id']
+  });
+
+  return memberships.map(membership => membership.conversation_id);
+};
+
+/**
+ * Get IDs of a group's members
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array<string>>} User IDs
+ */
+ConversationMember.getMemberIds = async function(conversationId) {
+  const members = await ConversationMember.findAll({
+    where: { conversation_id: conversationId },
+    attributes: ['user_id']
+  });
+
+  return members.map(member => member.user_id);
+};
+
+/**
+ * Get other members' read positions in a user's groups that changed in a time range
+ * @param {string} userId - User ID
+ * @param {Date} from - Start of the range (inclusive)
+ * @param {Date} to - End of the range (exclusive)
+ * @returns {Promise<Array>} Read markers ({ conversation_id, user_id, last_read_at })
+ */
+ConversationMember.getReadMarkersBetween = async function(userId, from, to) {
+  const conversationIds = await ConversationMember.getConversationIds(userId);
+  if (conversationIds.length === 0) {
+    return [];
+  }
+
+  return await ConversationMember.findAll({
+    where: {
+      conversation_id: conversationIds,
+      user_id: { [sequelize.Sequelize.Op.ne]: userId },
+      last_read_at: { [sequelize.Sequelize.Op.ne]: null },
+      updated_at: {
+        [sequelize.Sequelize.Op.gte]: from,
+        [sequelize.Sequelize.Op.lt]: to
+      }
+    },
+    attributes: ['conversation_id', 'user_id', 'last_read_at'],
+    raw: true
+  });
+};
+
+module.exports = ConversationMember;
@@ -0,0 +1,116 @@
+/**
+ * ConversationSetting Model
+ * Per-conversation settings shared by both users of a direct conversation or all members of a group
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+// Disappearing message timers in seconds
+const DISAPPEARING_TIMERS = {
+  '24h': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60,
+  '90d': 90 * 24 * 60 * 60
+};
+
+/**
+ * ConversationSetting model definition
+ */
+const ConversationSetting = sequelize.define('ConversationSetting', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  conversation_id: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Message.conversation_id of a direct conversation, or a group conversation ID'
+  },
+
+  disappearing_timer: {
+    type: DataTypes.ENUM('off', '24h', '7d', '90d'),
+    defaultValue: 'off',
+    allowNull: false
+  },
+
+  updated_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE'
+  }
+}, {
+  tableName: 'conversation_settings',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+
+  // Indexes for better performance
+  indexes: [
+    {
+      unique: true,
+      fields: ['conversation_id']
+    }
+  ]
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get the disappearing message timer
+ * @returns {number|null} Seconds before messages disappear, or null when off
+ */
+ConversationSetting.prototype.getDisappearAfter = function() {
+  return DISAPPEARING_TIMERS[this.disappearing_timer] || null;
+};
+
+/**
+ * Class methods
+ */
+
+/**
+ * Get the disappearing message timer of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<number|null>} Seconds, or null when off
+ */
+ConversationSetting.getDisappearAfter = async function(conversationId) {
+  const setting = await ConversationSetting.findOne({
+    where: { conversation_id: conversationId },
+    attributes: ['disappearing_timer']
+  });
+
+  return setting ? setting.getDisappearAfter() : null;
+};
+
+/**
+ * Set the disappearing message timer of a conversation
+ * Only affects messages sent afterwards
+ * @param {string} conversationId - Conversation ID
+ * @param {string} timer - Timer ('off', '24h', '7d' or '90d')
+ * @param {string} userId - User changing the setting
+ * @returns {Promise<ConversationSetting>} Updated setting
+ */
+ConversationSetting.setDisappearingTimer = async function(conversationId, timer, userId) {
+  const [setting] = await ConversationSetting.findOrCreate({
+    where: { conversation_id: conversationId },
+    defaults: { updated_by: userId }
+  });
+
+  await setting.update({
+    disappearing_timer: timer,
+    updated_by: userId
+  });
+
+  return setting;
+};
+
+module.exports = ConversationSetting;
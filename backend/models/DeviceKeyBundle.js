@@ -0,0 +1,206 @@
+/**
+ * DeviceKeyBundle Model
+ * Public identity and signed prekeys a device publishes for end-to-end encrypted messaging
+ * The server only stores public keys; private keys never leave the device
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * DeviceKeyBundle model definition
+ */
+const DeviceKeyBundle = sequelize.define('DeviceKeyBundle', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+
+  device_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+
+  registration_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Client registration ID, used to detect reinstalled devices'
+  },
+
+  identity_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Base64 public identity key'
+  },
+
+  signed_prekey_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  signed_prekey: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Base64 public signed prekey'
+  },
+
+  signed_prekey_signature: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Base64 signature of the signed prekey by the identity key'
+  }
+}, {
+  tableName: 'device_key_bundles',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+
+  // Indexes for better performance
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'device_id'],
+      name: 'unique_user_device_key_bundle'
+    }
+  ]
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get the bundle in the format clients use to start a session
+ * @param {OneTimePrekey|null} oneTimePrekey - Claimed one-time prekey
+ * @returns {Object} Public key bundle
+ */
+DeviceKeyBundle.prototype.toPublicBundle = function(oneTimePrekey = null) {
+  return {
+    device_id: this.device_id,
+    registration_id: this.registration_id,
+    identity_key: this.identity_key,
+    signed_prekey: {
+      key_id: this.signed_prekey_id,
+      public_key: this.signed_prekey,
+      signature: this.signed_prekey_signature
+    },
+    one_time_prekey: oneTimePrekey
+      ? { key_id: oneTimePrekey.key_id, public_key: oneTimePrekey.public_key }
+      : null
+  };
+};
+
+/**
+ * Class methods
+ */
+
+/**
+ * Publish or replace a device's key bundle and add one-time prekeys
+ * A new identity key invalidates the device's remaining one-time prekeys
+ * @param {string} userId - User ID
+ * @param {Object} data - Bundle data ({ deviceId, registrationId, identityKey, signedPrekey, oneTimePrekeys })
+ * @returns {Promise<Object>} Result ({ bundle, prekeysCount })
+ */
+DeviceKeyBundle.publishBundle = async function(userId, data) {
+  const OneTimePrekey = sequelize.models.OneTimePrekey;
+
+  return await sequelize.transaction(async (transaction) => {
+    let bundle = await DeviceKeyBundle.findOne({
+      where: {
+        user_id: userId,
+        device_id: data.deviceId
+      },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const values = {
+      registration_id: data.registrationId,
+      identity_key: data.identityKey,
+      signed_prekey_id: data.signedPrekey.key_id,
+      signed_prekey: data.signedPrekey.public_key,
+      signed_prekey_signature: data.signedPrekey.signature
+    };
+
+    if (bundle) {
+      if (bundle.identity_key !== data.identityKey) {
+        await OneTimePrekey.destroy({
+          where: {
+            user_id: userId,
+            device_id: data.deviceId
+          },
+          transaction
+        });
+      }
+
+      await bundle.update(values, { transaction });
+    } else {
+      bundle = await DeviceKeyBundle.create({
+        user_id: userId,
+        device_id: data.deviceId,
+        ...values
+      }, { transaction });
+    }
+
+    if (data.oneTimePrekeys && data.oneTimePrekeys.length > 0) {
+      await OneTimePrekey.bulkCreate(data.oneTimePrekeys.map(prekey => ({
+        user_id: userId,
+        device_id: data.deviceId,
+        key_id: prekey.key_id,
+        public_key: prekey.public_key
+      })), {
+        transaction,
+        // Re-uploaded key IDs keep the stored key
+        ignoreDuplicates: true
+      });
+    }
+
+    const prekeysCount = await OneTimePrekey.count({
+      where: {
+        user_id: userId,
+        device_id: data.deviceId
+      },
+      transaction
+    });
+
+    return { bundle, prekeysCount };
+  });
+};
+
+/**
+ * Get a user's device bundles, each with a freshly claimed one-time prekey
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Public bundles with the claimed prekey and how many remain ({ bundle, remainingPrekeys })
+ */
+DeviceKeyBundle.claimBundles = async function(userId) {
+  const OneTimePrekey = sequelize.models.OneTimePrekey;
+
+  const bundles = await DeviceKeyBundle.findAll({
+    where: { user_id: userId },
+    order: [['created_at', 'ASC']]
+  });
+
+  return await Promise.all(bundles.map(async (bundle) => {
+    const { prekey, remaining } = await OneTimePrekey.claim(userId, bundle.device_id);
+
+    return {
+      bundle: bundle.toPublicBundle(prekey),
+      remainingPrekeys: remaining
+    };
+  }));
+};
+
+module.exports = DeviceKeyBundle;
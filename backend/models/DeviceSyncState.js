@@ -0,0 +1,152 @@
+/**
+ * DeviceSyncState Model
+ * Tracks how far each of a user's devices has synced message changes
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * DeviceSyncState model definition
+ */
+const DeviceSyncState = sequelize.define('DeviceSyncState', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+
+  device_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+
+  cursor_updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'updated_at of the last message change delivered to the device'
+  },
+
+  cursor_message_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Breaks ties between messages changed in the same second'
+  },
+
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'device_sync_states',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+
+  // Indexes for better performance
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'device_id'],
+      name: 'unique_user_device'
+    }
+  ]
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get the device's position as a sync cursor
+ * @returns {Object|null} Cursor ({ updatedAt, id }), or null if the device never synced
+ */
+DeviceSyncState.prototype.getCursor = function() {
+  if (!this.cursor_updated_at) {
+    return null;
+  }
+
+  return {
+    updatedAt: new Date(this.cursor_updated_at),
+    id: this.cursor_message_id || ''
+  };
+};
+
+/**
+ * Move the device's position forward
+ * @param {Object} cursor - Cursor the device has now received ({ updatedAt, id })
+ */
+DeviceSyncState.prototype.advance = async function(cursor) {
+  this.cursor_updated_at = cursor.updatedAt;
+  this.cursor_message_id = cursor.id || null;
+  this.last_synced_at = new Date();
+  await this.save();
+};
+
+/**
+ * Class methods
+ */
+
+/**
+ * Get a device's sync state, creating it on first sync
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Client device ID
+ * @returns {Promise<DeviceSyncState>} Sync state
+ */
+DeviceSyncState.findForDevice = async function(userId, deviceId) {
+  const [state] = await DeviceSyncState.findOrCreate({
+    where: {
+      user_id: userId,
+      device_id: deviceId
+    }
+  });
+
+  return state;
+};
+
+/**
+ * Encode a sync cursor for clients
+ * @param {Object} cursor - Cursor ({ updatedAt, id })
+ * @returns {string} Opaque cursor
+ */
+DeviceSyncState.encodeCursor = function(cursor) {
+  const payload = {
+    u: new Date(cursor.updatedAt).toISOString(),
+    id: cursor.id || ''
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a sync cursor sent by a client
+ * @param {string} value - Opaque cursor from a previous sync
+ * @returns {Object|null} Cursor ({ updatedAt, id }), or null if invalid
+ */
+DeviceSyncState.decodeCursor = function(value) {
+  try {
+    const { u, id } = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    const updatedAt = new Date(u);
+
+    if (typeof id !== 'string' || isNaN(updatedAt.getTime())) {
+      return null;
+    }
+
+    return { updatedAt, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = DeviceSyncState;
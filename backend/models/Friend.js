@@ -369,6 +369,81 @@ Friend.getUserFriends = async function(userId, limit = 50, offset = 0) {
   });
 };
 
+/**
+ * Get IDs of all of a user's friends
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Friend user IDs
+ */
+Friend.getFriendIds = async function(userId) {
+  const friendships = await Friend.scope('accepted').findAll({
+    where: {
+      [sequelize.Sequelize.Op.or]: [
+        { user_id: userId },
+        { friend_id: userId }
+      ]
+    },
+    attributes: ['user_id', 'friend_id']
+  });
+
+  return friendships.map(friendship =>
+    friendship.user_id === userId ? friendship.friend_id : friendship.user_id
+  );
+};
+
+/**
+ * Filter candidate users down to the ones a user is friends with
+ * @param {string} userId - User ID
+ * @param {Array<string>} candidateIds - Candidate user IDs
+ * @returns {Promise<Array<string>>} Candidate IDs that are friends of the user
+ */
+Friend.getFriendIdsAmong = async function(userId, candidateIds) {
+  if (!candidateIds || candidateIds.length === 0) {
+    return [];
+  }
+
+  const friendships = await Friend.scope('accepted').findAll({
+    where: {
+      [sequelize.Sequelize.Op.or]: [
+        { user_id: userId, friend_id: candidateIds },
+        { friend_id: userId, user_id: candidateIds }
+      ]
+    },
+    attributes: ['user_id', 'friend_id']
+  });
+
+  return friendships.map(friendship =>
+    friendship.user_id === userId ? friendship.friend_id : friendship.user_id
+  );
+};
+
+/**
+ * Get ranking signals for each of a user's friends
+ * @param {string} userId - User ID
+ * @returns {Promise<Map>} Map of friend ID to { interactionCount, isCloseFriend }
+ */
+Friend.getFriendAffinities = async function(userId) {
+  const friendships = await Friend.scope('accepted').findAll({
+    where: {
+      [sequelize.Sequelize.Op.or]: [
+        { user_id: userId },
+        { friend_id: userId }
+      ]
+    },
+    attributes: ['user_id', 'friend_id', 'interaction_count', 'is_close_friend']
+  });
+
+  const affinities = new Map();
+  for (const friendship of friendships) {
+    const friendId = friendship.user_id === userId ? friendship.friend_id : friendship.user_id;
+    affinities.set(friendId, {
+      interactionCount: friendship.interaction_count,
+      isCloseFriend: friendship.is_close_friend
+    });
+  }
+
+  return affinities;
+};
+
 /**
  * Get pending friend requests for a user
  * @param {string} userId - User ID
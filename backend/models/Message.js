@@ -5,6 +5,30 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/db');
+const { applyCursor } = require('../utils/helpers');
+const searchService = require('../services/search');
+
+// Message types matched by the media and file search filters; links are text messages with a URL
+const SEARCH_MESSAGE_TYPES = {
+  media: ['image', 'video', 'audio', 'gif'],
+  file: ['file']
+};
+
+/**
+ * Build the filter for messages pinned in a conversation
+ * Deleting a message unpins it; expired messages are left out until the purge job unpins them
+ * @param {string} conversationId - Conversation ID
+ * @returns {Object} Where clause
+ */
+const pinnedWhere = (conversationId) => ({
+  conversation_id: conversationId,
+  is_pinned: true,
+  is_deleted: false,
+  [sequelize.Sequelize.Op.or]: [
+    { expires_at: null },
+    { expires_at: { [sequelize.Sequelize.Op.gt]: new Date() } }
+  ]
+});
 
 /**
  * Message model definition
@@ -30,19 +54,20 @@ const Message = sequelize.define('Message', {
   
   receiver_id: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: 'users',
       key: 'id'
     },
     onDelete: 'CASCADE',
-    onUpdate: 'CASCADE'
+    onUpdate: 'CASCADE',
+    comment: 'Null for group messages'
   },
   
   conversation_id: {
     type: DataTypes.STRING(255),
     allowNull: false,
-    comment: 'Unique identifier for the conversation between two users'
+    comment: 'Direct conversation key for two users, or the Conversation ID for group messages'
   },
   
   content: {
@@ -185,6 +210,12 @@ const Message = sequelize.define('Message', {
     allowNull: true,
     comment: 'For disappearing messages'
   },
+
+  disappear_after: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Disappearing timer in seconds from the conversation setting at send time'
+  },
   
   is_pinned: {
     type: DataTypes.BOOLEAN,
@@ -196,11 +227,47 @@ const Message = sequelize.define('Message', {
     type: DataTypes.DATE,
     allowNull: true
   },
+
+  pinned_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE'
+  },
   
   encryption_key: {
     type: DataTypes.STRING(255),
     allowNull: true,
     comment: 'Encryption key for end-to-end encrypted messages'
+  },
+
+  is_encrypted: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: 'End-to-end encrypted; content is empty and the server only relays ciphertext'
+  },
+
+  sender_device_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Device whose session encrypted the message'
+  },
+
+  ciphertext: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Opaque ciphertext envelopes keyed by recipient device ID'
+  },
+
+  client_message_id: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Client-generated idempotency key; retried sends return the stored message'
   }
 }, {
   tableName: 'messages',
@@ -245,6 +312,23 @@ const Message = sequelize.define('Message', {
     },
     {
       fields: ['expires_at']
+    },
+    {
+      fields: ['updated_at']
+    },
+    {
+      fields: ['conversation_id', 'is_pinned']
+    },
+    {
+      unique: true,
+      fields: ['sender_id', 'client_message_id'],
+      name: 'unique_sender_client_message'
+    },
+    {
+      type: 'FULLTEXT',
+      fields: ['content'],
+      name: 'ft_messages_content',
+      parser: 'ngram'
     }
   ],
   
@@ -257,22 +341,42 @@ const Message = sequelize.define('Message', {
     },
     
     hasContent() {
-      if (!this.content && !this.media_url && this.message_type === 'text') {
+      if (!this.content && !this.media_url && !this.is_encrypted && this.message_type === 'text') {
         throw new Error('Text messages must have content');
       }
+    },
+
+    encryptedHasNoPlaintext() {
+      if (this.is_encrypted && (this.content || this.location_data || this.contact_data)) {
+        throw new Error('Encrypted messages cannot carry plaintext content');
+      }
+
+      if (this.is_encrypted && !this.receiver_id) {
+        throw new Error('Only direct messages can be end-to-end encrypted');
+      }
     }
   },
   
   // Hooks for maintaining data integrity
   hooks: {
-    beforeCreate: (message) => {
-      // Generate conversation ID if not provided
-      if (!message.conversation_id) {
+    beforeCreate: async (message) => {
+      // Generate conversation ID if not provided (group messages always carry one)
+      if (!message.conversation_id && message.receiver_id) {
         const [user1, user2] = message.sender_id < message.receiver_id ? 
           [message.sender_id, message.receiver_id] : 
           [message.receiver_id, message.sender_id];
         message.conversation_id = `${user1}_${user2}`;
       }
+
+      // Apply the conversation's disappearing timer: direct messages start it when read,
+      // group messages have no per-member read state so start it when sent
+      const disappearAfter = await sequelize.models.ConversationSetting.getDisappearAfter(message.conversation_id);
+      if (disappearAfter) {
+        message.disappear_after = disappearAfter;
+        if (!message.receiver_id) {
+          message.expires_at = new Date(Date.now() + disappearAfter * 1000);
+        }
+      }
     },
     
     beforeUpdate: (message) => {
@@ -355,6 +459,12 @@ Message.prototype.markAsRead = async function() {
   if (!this.is_read) {
     this.is_read = true;
     this.read_at = new Date();
+
+    // Start the disappearing timer
+    if (this.disappear_after && !this.expires_at) {
+      this.expires_at = new Date(this.read_at.getTime() + this.disappear_after * 1000);
+    }
+
     await this.save();
   }
 };
@@ -375,7 +485,10 @@ Message.prototype.markAsDelivered = async function() {
  * @param {string} userId - User ID who is deleting
  */
 Message.prototype.deleteForUser = async function(userId) {
-  if (userId === this.sender_id && userId === this.receiver_id) {
+  if (this.isGroupMessage()) {
+    // Group messages have no per-member copy, so deleting removes them for everyone
+    this.deleted_for = 'both';
+  } else if (userId === this.sender_id && userId === this.receiver_id) {
     // Delete for both (shouldn't happen but handle it)
     this.deleted_for = 'both';
   } else if (userId === this.sender_id) {
@@ -387,6 +500,9 @@ Message.prototype.deleteForUser = async function(userId) {
   if (this.deleted_for === 'both') {
     this.is_deleted = true;
     this.deleted_at = new Date();
+    this.is_pinned = false;
+    this.pinned_at = null;
+    this.pinned_by = null;
   }
   
   await this.save();
@@ -398,13 +514,12 @@ Message.prototype.deleteForUser = async function(userId) {
  * @param {string} emoji - Emoji reaction
  */
 Message.prototype.addReaction = async function(userId, emoji) {
-  const reactions = this.reactions || {};
-  if (!reactions[emoji]) {
-    reactions[emoji] = [];
-  }
+  // Copy before changing, otherwise Sequelize sees the same object and skips the save
+  const reactions = { ...(this.reactions || {}) };
+  const users = reactions[emoji] || [];
   
-  if (!reactions[emoji].includes(userId)) {
-    reactions[emoji].push(userId);
+  if (!users.includes(userId)) {
+    reactions[emoji] = [...users, userId];
     this.reactions = reactions;
     await this.save();
   }
@@ -416,7 +531,7 @@ Message.prototype.addReaction = async function(userId, emoji) {
  * @param {string} emoji - Emoji reaction
  */
 Message.prototype.removeReaction = async function(userId, emoji) {
-  const reactions = this.reactions || {};
+  const reactions = { ...(this.reactions || {}) };
   if (reactions[emoji]) {
     reactions[emoji] = reactions[emoji].filter(id => id !== userId);
     if (reactions[emoji].length === 0) {
@@ -427,6 +542,49 @@ Message.prototype.removeReaction = async function(userId, emoji) {
   }
 };
 
+/**
+ * Pin message to its conversation unless the conversation already has the most pinned messages
+ * The conversation's first message is locked while counting, so concurrent pins in the same
+ * conversation cannot exceed the limit together
+ * @param {string} userId - User pinning the message
+ * @param {number} maxPinned - Most pinned messages a conversation can have
+ * @returns {Promise<boolean>} Whether the message was pinned; false when the limit is reached
+ */
+Message.prototype.pin = async function(userId, maxPinned) {
+  return await sequelize.transaction(async (transaction) => {
+    // Messages are only ever soft-deleted, so the first one is a stable lock for the conversation
+    await Message.findOne({
+      where: { conversation_id: this.conversation_id },
+      attributes: ['id'],
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const pinnedCount = await Message.countPinnedMessages(this.conversation_id, { transaction });
+    if (pinnedCount >= maxPinned) {
+      return false;
+    }
+
+    this.is_pinned = true;
+    this.pinned_at = new Date();
+    this.pinned_by = userId;
+    await this.save({ transaction });
+
+    return true;
+  });
+};
+
+/**
+ * Unpin message from its conversation
+ */
+Message.prototype.unpin = async function() {
+  this.is_pinned = false;
+  this.pinned_at = null;
+  this.pinned_by = null;
+  await this.save();
+};
+
 /**
  * Check if message is visible to user
  * @param {string} userId - User ID to check
@@ -436,6 +594,11 @@ Message.prototype.isVisibleToUser = function(userId) {
   if (this.is_deleted) {
     return false;
   }
+
+  // Expired messages stay hidden until the purge job removes them
+  if (this.expires_at && new Date(this.expires_at) <= new Date()) {
+    return false;
+  }
   
   if (this.deleted_for === 'both') {
     return false;
@@ -449,14 +612,32 @@ Message.prototype.isVisibleToUser = function(userId) {
     return false;
   }
   
+  // Group membership is checked by the caller through ConversationMember
+  if (this.isGroupMessage()) {
+    return true;
+  }
+  
   return userId === this.sender_id || userId === this.receiver_id;
 };
 
+/**
+ * Check if message was sent to a group
+ * @returns {boolean} Whether message belongs to a group conversation
+ */
+Message.prototype.isGroupMessage = function() {
+  return !this.receiver_id;
+};
+
 /**
  * Get message preview for conversation list
  * @returns {string} Message preview
  */
 Message.prototype.getPreview = function() {
+  // The server cannot read encrypted messages, so clients decrypt their own previews
+  if (this.is_encrypted) {
+    return '🔒 Encrypted message';
+  }
+
   if (this.message_type === 'text') {
     return this.content && this.content.length > 50 ? 
       this.content.substring(0, 50) + '...' : 
@@ -486,26 +667,37 @@ Message.prototype.getPreview = function() {
  * @param {string} conversationId - Conversation ID
  * @param {string} userId - User requesting messages
  * @param {number} limit - Number of messages to fetch
- * @param {number} offset - Offset for pagination
+ * @param {number} offset - Offset for pagination (ignored when a cursor is given)
+ * @param {Object} cursor - Decoded pagination cursor
  * @returns {Promise<Message[]>} Array of messages
  */
-Message.getConversationMessages = async function(conversationId, userId, limit = 50, offset = 0) {
-  return await Message.scope(['active', 'withUsers']).findAll({
-    where: {
-      conversation_id: conversationId,
+Message.getConversationMessages = async function(conversationId, userId, limit = 50, offset = 0, cursor = null) {
+  const { where, order } = applyCursor({
+    conversation_id: conversationId,
+    [sequelize.Sequelize.Op.or]: [
+      { deleted_for: null },
+      { deleted_for: { [sequelize.Sequelize.Op.ne]: userId === this.sender_id ? 'sender' : 'receiver' } }
+    ],
+    // Hide expired messages the purge job has not reached yet
+    [sequelize.Sequelize.Op.and]: [{
       [sequelize.Sequelize.Op.or]: [
-        { deleted_for: null },
-        { deleted_for: { [sequelize.Sequelize.Op.ne]: userId === this.sender_id ? 'sender' : 'receiver' } }
+        { expires_at: null },
+        { expires_at: { [sequelize.Sequelize.Op.gt]: new Date() } }
       ]
-    },
-    order: [['created_at', 'DESC']],
+    }]
+  }, cursor, 'DESC');
+
+  return await Message.scope(['active', 'withUsers']).findAll({
+    where,
+    order,
     limit: limit,
-    offset: offset
+    offset: cursor ? 0 : offset
   });
 };
 
 /**
  * Get user conversations using Sequelize ORM instead of raw SQL
+ * Direct and group conversations are merged and ordered by their latest activity
  * @param {string} userId - User ID
  * @param {number} limit - Number of conversations to fetch
  * @returns {Promise<Object[]>} Array of conversations with last message
@@ -525,6 +717,7 @@ Message.getUserConversations = async function(userId, limit = 20) {
           { sender_id: userId },
           { receiver_id: userId }
         ],
+        receiver_id: { [sequelize.Sequelize.Op.ne]: null },
         is_deleted: false
       },
       group: ['conversation_id'],
@@ -576,8 +769,11 @@ Message.getUserConversations = async function(userId, limit = 20) {
 
         return {
           conversation_id: conv.conversation_id,
+          type: 'direct',
           last_message_id: lastMessage.id,
           last_message_content: lastMessage.content,
+          last_message_preview: lastMessage.getPreview(),
+          last_message_is_encrypted: lastMessage.is_encrypted,
           last_message_type: lastMessage.message_type,
           last_message_time: lastMessage.created_at,
           last_sender_id: lastMessage.sender_id,
@@ -592,8 +788,12 @@ Message.getUserConversations = async function(userId, limit = 20) {
       })
     );
 
-    // Filter out null results and return
-    return conversationDetails.filter(conv => conv !== null);
+    const groupConversations = await Message.getUserGroupConversations(userId, limit);
+
+    // Filter out null results and return the most recently active conversations
+    return [...conversationDetails.filter(conv => conv !== null), ...groupConversations]
+      .sort((a, b) => new Date(b.last_message_time) - new Date(a.last_message_time))
+      .slice(0, limit);
 
   } catch (error) {
     console.error('Error getting user conversations:', error);
@@ -601,16 +801,84 @@ Message.getUserConversations = async function(userId, limit = 20) {
   }
 };
 
+/**
+ * Get a user's group conversations with their last message
+ * @param {string} userId - User ID
+ * @param {number} limit - Number of conversations to fetch
+ * @returns {Promise<Object[]>} Array of group conversations
+ */
+Message.getUserGroupConversations = async function(userId, limit = 20) {
+  const User = sequelize.models.User;
+  const Conversation = sequelize.models.Conversation;
+  const ConversationMember = sequelize.models.ConversationMember;
+
+  const memberships = await ConversationMember.findAll({
+    where: { user_id: userId },
+    include: [{
+      model: Conversation,
+      as: 'conversation'
+    }],
+    order: [
+      [{ model: Conversation, as: 'conversation' }, 'last_message_at', 'DESC'],
+      [{ model: Conversation, as: 'conversation' }, 'created_at', 'DESC']
+    ],
+    limit: limit
+  });
+
+  return await Promise.all(memberships.map(async (membership) => {
+    const conversation = membership.conversation;
+
+    const lastMessage = await Message.findOne({
+      where: {
+        conversation_id: conversation.id,
+        is_deleted: false
+      },
+      order: [['created_at', 'DESC']],
+      include: [
+        {
+          model: User,
+          as: 'sender',
+          attributes: ['id', 'username', 'first_name', 'last_name', 'profile_picture', 'is_verified']
+        }
+      ]
+    });
+
+    return {
+      conversation_id: conversation.id,
+      type: 'group',
+      name: conversation.name,
+      avatar_url: conversation.avatar_url,
+      members_count: conversation.members_count,
+      role: membership.role,
+      last_message_id: lastMessage ? lastMessage.id : null,
+      last_message_content: lastMessage ? lastMessage.content : null,
+      last_message_preview: lastMessage ? lastMessage.getPreview() : null,
+      last_message_type: lastMessage ? lastMessage.message_type : null,
+      // Groups without messages sort by when they were created
+      last_message_time: lastMessage ? lastMessage.created_at : conversation.created_at,
+      last_sender_id: lastMessage ? lastMessage.sender_id : null,
+      last_sender: lastMessage ? lastMessage.sender : null,
+      unread_count: await membership.getUnreadCount()
+    };
+  }));
+};
+
 /**
  * Mark conversation as read
  * @param {string} conversationId - Conversation ID
  * @param {string} userId - User ID marking as read
  */
 Message.markConversationAsRead = async function(conversationId, userId) {
+  const readAt = new Date();
+
   await Message.update(
     { 
       is_read: true, 
-      read_at: new Date() 
+      read_at: readAt,
+      // Start the disappearing timer of messages that have one
+      expires_at: sequelize.literal(
+        `CASE WHEN disappear_after IS NULL THEN expires_at ELSE ${sequelize.escape(readAt)} + INTERVAL disappear_after SECOND END`
+      )
     },
     {
       where: {
@@ -622,50 +890,252 @@ Message.markConversationAsRead = async function(conversationId, userId) {
   );
 };
 
+/**
+ * Mark messages as delivered
+ * @param {Array<string>} messageIds - Message IDs
+ * @param {Date} deliveredAt - Delivery time
+ */
+Message.markDelivered = async function(messageIds, deliveredAt = new Date()) {
+  await Message.update(
+    {
+      is_delivered: true,
+      delivered_at: deliveredAt
+    },
+    {
+      where: {
+        id: messageIds,
+        is_delivered: false
+      }
+    }
+  );
+};
+
+/**
+ * Get pinned messages of a conversation, most recently pinned first
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User requesting the pins
+ * @returns {Promise<Message[]>} Pinned messages visible to the user
+ */
+Message.getPinnedMessages = async function(conversationId, userId) {
+  const messages = await Message.scope('withSender').findAll({
+    where: pinnedWhere(conversationId),
+    order: [['pinned_at', 'DESC']]
+  });
+
+  // Direct messages can be hidden from one side only
+  return messages.filter(message => message.isVisibleToUser(userId));
+};
+
+/**
+ * Count pinned messages of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - Query options, e.g. { transaction }
+ * @returns {Promise<number>} Number of pinned messages
+ */
+Message.countPinnedMessages = async function(conversationId, options = {}) {
+  return await Message.count({
+    where: pinnedWhere(conversationId),
+    ...options
+  });
+};
+
+/**
+ * Get messages in a user's conversations changed after a sync cursor
+ * Every change (edit, deletion, reaction, read or delivery) bumps updated_at
+ * @param {string} userId - User ID
+ * @param {Object} cursor - Sync cursor ({ updatedAt, id })
+ * @param {Date} before - Only include changes before this time
+ * @param {number} limit - Number of messages to return
+ * @returns {Promise<Array>} Messages in (updated_at, id) order
+ */
+Message.getChangesSince = async function(userId, cursor, before, limit = 100) {
+  const ConversationMember = sequelize.models.ConversationMember;
+  const groupIds = await ConversationMember.getConversationIds(userId);
+
+  const participantConditions = [
+    { sender_id: userId, receiver_id: { [sequelize.Sequelize.Op.ne]: null } },
+    { receiver_id: userId }
+  ];
+  if (groupIds.length > 0) {
+    participantConditions.push({ conversation_id: groupIds });
+  }
+
+  return await Message.scope('withSender').findAll({
+    where: {
+      [sequelize.Sequelize.Op.and]: [
+        { [sequelize.Sequelize.Op.or]: participantConditions },
+        { updated_at: { [sequelize.Sequelize.Op.lt]: before } },
+        {
+          [sequelize.Sequelize.Op.or]: [
+            { updated_at: { [sequelize.Sequelize.Op.gt]: cursor.updatedAt } },
+            { updated_at: cursor.updatedAt, id: { [sequelize.Sequelize.Op.gt]: cursor.id } }
+          ]
+        }
+      ]
+    },
+    order: [['updated_at', 'ASC'], ['id', 'ASC']],
+    limit
+  });
+};
+
 /**
  * Get unread message count for user
  * @param {string} userId - User ID
  * @returns {Promise<number>} Unread message count
  */
 Message.getUnreadCount = async function(userId) {
-  return await Message.count({
+  const ConversationMember = sequelize.models.ConversationMember;
+
+  const directUnread = await Message.count({
     where: {
       receiver_id: userId,
       is_read: false,
       is_deleted: false
     }
   });
+
+  // Group messages are tracked per member through last_read_at
+  const memberships = await ConversationMember.findAll({
+    where: { user_id: userId }
+  });
+  const groupUnread = await Promise.all(memberships.map(membership => membership.getUnreadCount()));
+
+  return groupUnread.reduce((total, count) => total + count, directUnread);
 };
 
 /**
- * Search messages
+ * Search messages, most relevant first
+ * Uses the FULLTEXT index; queries with terms shorter than the ngram size fall back to LIKE
  * @param {string} userId - User ID searching
- * @param {string} query - Search query
- * @param {number} limit - Number of results
- * @returns {Promise<Message[]>} Array of messages
+ * @param {string} query - Search query; may be empty when a filter is given
+ * @param {Object} options - Search options
+ * @param {string} options.conversationId - Only messages in this conversation
+ * @param {string} options.senderId - Only messages from this sender
+ * @param {string} options.type - Kind of message ('media', 'file' or 'link')
+ * @param {Date} options.from - Oldest creation time
+ * @param {Date} options.to - Newest creation time
+ * @param {number} options.limit - Number of results
+ * @param {number} options.offset - Offset for pagination
+ * @returns {Promise<Message[]>} Array of messages with a relevance attribute
  */
-Message.searchMessages = async function(userId, query, limit = 20) {
+Message.searchMessages = async function(userId, query, options = {}) {
+  const {
+    conversationId,
+    senderId,
+    type,
+    from,
+    to,
+    limit = 20,
+    offset = 0
+  } = options;
+
+  const terms = query ? searchService.getTerms(query) : [];
+  const hasFilters = !!(conversationId || senderId || type || from || to);
+
+  // A query of only operators or punctuation has nothing to match, and without a query
+  // only filters narrow the results
+  if (terms.length === 0 && (query || !hasFilters)) {
+    return [];
+  }
+
+  const ConversationMember = sequelize.models.ConversationMember;
+  const groupIds = await ConversationMember.getConversationIds(userId);
+
+  const booleanQuery = searchService.buildBooleanQuery(terms);
+  const matchExpression = booleanQuery
+    ? searchService.buildMatchExpression(sequelize, ['`Message`.`content`'], booleanQuery)
+    : null;
+
+  const conditions = matchExpression
+    ? [sequelize.literal(`${matchExpression} > 0`)]
+    : terms.map(term => ({
+      content: {
+        [sequelize.Sequelize.Op.like]: searchService.buildLikePattern(term)
+      }
+    }));
+
+  if (type === 'link') {
+    conditions.push({
+      message_type: 'text',
+      content: { [sequelize.Sequelize.Op.regexp]: 'https?://' }
+    });
+  } else if (type) {
+    conditions.push({ message_type: SEARCH_MESSAGE_TYPES[type] });
+  }
+
+  const whereClause = {
+    [sequelize.Sequelize.Op.and]: [
+      {
+        [sequelize.Sequelize.Op.or]: [
+          { sender_id: userId },
+          { receiver_id: userId },
+          ...(groupIds.length > 0 ? [{ conversation_id: { [sequelize.Sequelize.Op.in]: groupIds } }] : [])
+        ]
+      },
+      // Encrypted messages have no searchable content on the server
+      { is_encrypted: false },
+      ...conditions
+    ]
+  };
+
+  if (conversationId) {
+    whereClause.conversation_id = conversationId;
+  }
+
+  if (senderId) {
+    whereClause.sender_id = senderId;
+  }
+
+  if (from || to) {
+    whereClause.created_at = {
+      ...(from ? { [sequelize.Sequelize.Op.gte]: from } : {}),
+      ...(to ? { [sequelize.Sequelize.Op.lte]: to } : {})
+    };
+  }
+
   return await Message.scope(['active', 'withUsers']).findAll({
-    where: {
-      [sequelize.Sequelize.Op.and]: [
-        {
-          [sequelize.Sequelize.Op.or]: [
-            { sender_id: userId },
-            { receiver_id: userId }
-          ]
-        },
-        {
-          content: {
-            [sequelize.Sequelize.Op.like]: `%${query}%`
-          }
-        }
-      ]
+    where: whereClause,
+    attributes: {
+      include: [[sequelize.literal(matchExpression || '0'), 'relevance']]
     },
-    order: [['created_at', 'DESC']],
-    limit: limit
+    order: [
+      [sequelize.literal('relevance'), 'DESC'],
+      ['created_at', 'DESC']
+    ],
+    limit: limit,
+    offset: offset
   });
 };
 
+/**
+ * Get the messages around a message in its conversation
+ * @param {Message} message - Message to center on
+ * @param {string} userId - User requesting the messages
+ * @param {number} before - Number of older messages
+ * @param {number} after - Number of newer messages
+ * @returns {Promise<Object>} Surrounding messages, oldest first ({ before, after, hasMoreBefore, hasMoreAfter })
+ */
+Message.getMessageContext = async function(message, userId, before = 2, after = 2) {
+  const position = { createdAt: message.created_at, id: message.id };
+
+  // Conversation pages run newest first: 'next' continues to older messages, 'prev' to newer ones
+  const [older, newer] = await Promise.all([
+    before > 0
+      ? Message.getConversationMessages(message.conversation_id, userId, before + 1, 0, { ...position, direction: 'next' })
+      : [],
+    after > 0
+      ? Message.getConversationMessages(message.conversation_id, userId, after + 1, 0, { ...position, direction: 'prev' })
+      : []
+  ]);
+
+  return {
+    before: older.slice(0, before).reverse(),
+    after: newer.slice(0, after),
+    hasMoreBefore: older.length > before,
+    hasMoreAfter: newer.length > after
+  };
+};
+
 /**
  * Generate conversation ID for two users
  * @param {string} userId1 - First user ID
@@ -678,25 +1148,80 @@ Message.generateConversationId = function(userId1, userId2) {
 };
 
 /**
- * Clean up expired messages
+ * Purge a batch of expired messages
+ * Content, ciphertext, media and attachments are cleared, earlier versions of edited text are deleted and
+ * the message is marked deleted
+ * @param {number} limit - Maximum messages to purge
+ * @returns {Promise<Array>} Purged messages as they were before purging
  */
-Message.cleanupExpiredMessages = async function() {
-  await Message.update(
-    { 
-      is_deleted: true, 
-      deleted_at: new Date(),
-      content: null,
-      media_url: null
+Message.cleanupExpiredMessages = async function(limit = 500) {
+  const expiredMessages = await Message.findAll({
+    where: {
+      expires_at: {
+        [sequelize.Sequelize.Op.lt]: new Date()
+      },
+      is_deleted: false
     },
-    {
-      where: {
-        expires_at: {
-          [sequelize.Sequelize.Op.lt]: new Date()
+    attributes: ['id', 'conversation_id', 'sender_id', 'receiver_id', 'media_url'],
+    order: [['expires_at', 'ASC']],
+    limit
+  });
+
+  if (expiredMessages.length === 0) {
+    return [];
+  }
+
+  const messageIds = expiredMessages.map(message => message.id);
+
+  await sequelize.transaction(async (transaction) => {
+    await Message.update(
+      { 
+        is_deleted: true, 
+        deleted_at: new Date(),
+        content: null,
+        media_url: null,
+        media_metadata: null,
+        location_data: null,
+        contact_data: null,
+        ciphertext: null,
+        sender_device_id: null,
+        is_pinned: false,
+        pinned_at: null,
+        pinned_by: null
+      },
+      {
+        where: {
+          id: messageIds,
+          is_deleted: false
         },
-        is_deleted: false
+        transaction
       }
+    );
+
+    await sequelize.models.MessageRevision.destroy({
+      where: { message_id: messageIds },
+      transaction
+    });
+  });
+
+  return expiredMessages;
+};
+
+/**
+ * Check if any message still uses a media file
+ * Forwarded messages share their original's media URL
+ * @param {string} mediaUrl - Media URL
+ * @returns {Promise<boolean>} Whether a non-deleted message references the file
+ */
+Message.isMediaReferenced = async function(mediaUrl) {
+  const count = await Message.count({
+    where: {
+      media_url: mediaUrl,
+      is_deleted: false
     }
-  );
+  });
+
+  return count > 0;
 };
 
 module.exports = Message;
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * MessageRevision Model
+ * Keeps the previous text of a message each time its sender edits it
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * MessageRevision model definition
+ */
+const MessageRevision = sequelize.define('MessageRevision', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  message_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'messages',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+
+  revision_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Sequential per message, starting at 1 for the originally sent text'
+  },
+
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'message_revisions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+
+  // Indexes for better performance
+  indexes: [
+    {
+      unique: true,
+      fields: ['message_id', 'revision_number'],
+      name: 'unique_message_revision'
+    }
+  ]
+});
+
+/**
+ * Class methods
+ */
+
+/**
+ * Replace the text of a message, snapshotting its current text first
+ * @param {string} messageId - Message ID
+ * @param {string} content - New message text
+ * @returns {Promise<Object>} Updated message and the snapshot ({ message, revision })
+ */
+MessageRevision.reviseMessage = async function(messageId, content) {
+  const Message = sequelize.models.Message;
+
+  return await sequelize.transaction(async (transaction) => {
+    // Lock the message row so concurrent edits get consecutive revision numbers
+    const message = await Message.findByPk(messageId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const lastRevision = await MessageRevision.max('revision_number', {
+      where: { message_id: messageId },
+      transaction
+    });
+
+    const revision = await MessageRevision.create({
+      message_id: messageId,
+      revision_number: (lastRevision || 0) + 1,
+      content: message.content
+    }, { transaction });
+
+    // The beforeUpdate hook marks the message as edited
+    await message.update({ content }, { transaction });
+
+    return { message, revision };
+  });
+};
+
+/**
+ * Get previous versions of a message, newest first
+ * @param {string} messageId - Message ID
+ * @param {number} limit - Number of revisions to fetch
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<MessageRevision[]>} Array of revisions
+ */
+MessageRevision.getMessageRevisions = async function(messageId, limit = 20, offset = 0) {
+  return await MessageRevision.findAll({
+    where: {
+      message_id: messageId
+    },
+    order: [['revision_number', 'DESC']],
+    limit: limit,
+    offset: offset
+  });
+};
+
+module.exports = MessageRevision;
@@ -5,6 +5,7 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/db');
+const { applyCursor } = require('../utils/helpers');
 
 /**
  * Notification model definition
@@ -464,11 +465,12 @@ Notification.createNotification = async function(notificationData) {
  * Get user notifications
  * @param {string} userId - User ID
  * @param {number} limit - Number of notifications to fetch
- * @param {number} offset - Offset for pagination
+ * @param {number} offset - Offset for pagination (ignored when a cursor is given)
  * @param {string} category - Filter by category
+ * @param {Object} cursor - Decoded pagination cursor
  * @returns {Promise<Notification[]>} Array of notifications
  */
-Notification.getUserNotifications = async function(userId, limit = 20, offset = 0, category = null) {
+Notification.getUserNotifications = async function(userId, limit = 20, offset = 0, category = null, cursor = null) {
   const whereClause = {
     user_id: userId
   };
@@ -477,10 +479,14 @@ Notification.getUserNotifications = async function(userId, limit = 20, offset =
     whereClause.category = category;
   }
   
-  return await Notification.scope(['active', 'withFromUser', 'recent']).findAll({
-    where: whereClause,
+  // Ordering comes from the cursor, so the 'recent' scope is not applied here
+  const { where, order } = applyCursor(whereClause, cursor, 'DESC');
+  
+  return await Notification.scope(['active', 'withFromUser']).findAll({
+    where,
+    order,
     limit: limit,
-    offset: offset
+    offset: cursor ? 0 : offset
   });
 };
 
@@ -687,24 +693,50 @@ Notification.createLikeNotification = async function(userId, fromUserId, postId)
 
 /**
  * Create comment notification
- * @param {string} userId - Post owner
+ * @param {string} userId - Post owner, or parent comment author for replies
  * @param {string} fromUserId - User who commented
  * @param {string} postId - Post ID
  * @param {string} commentId - Comment ID
+ * @param {string} parentCommentId - Comment being replied to (null for top-level comments)
  * @returns {Promise<Notification>} Created notification
  */
-Notification.createCommentNotification = async function(userId, fromUserId, postId, commentId) {
+Notification.createCommentNotification = async function(userId, fromUserId, postId, commentId, parentCommentId = null) {
   return await Notification.createNotification({
     userId,
     fromUserId,
     type: 'comment',
-    title: 'New Comment',
-    message: 'commented on your post',
-    data: { post_id: postId, comment_id: commentId },
+    title: parentCommentId ? 'New Reply' : 'New Comment',
+    message: parentCommentId ? 'replied to your comment' : 'commented on your post',
+    data: {
+      post_id: postId,
+      comment_id: commentId,
+      ...(parentCommentId ? { parent_comment_id: parentCommentId } : {})
+    },
     actionUrl: `/posts/${postId}#comment-${commentId}`,
     priority: 'normal',
     category: 'social'
   });
 };
 
+/**
+ * Create post tag notification
+ * @param {string} userId - Tagged user
+ * @param {string} fromUserId - Post author
+ * @param {string} postId - Post ID
+ * @returns {Promise<Notification>} Created notification
+ */
+Notification.createPostTagNotification = async function(userId, fromUserId, postId) {
+  return await Notification.createNotification({
+    userId,
+    fromUserId,
+    type: 'post_tag',
+    title: 'Tagged in Post',
+    message: 'tagged you in a post',
+    data: { post_id: postId },
+    actionUrl: `/posts/${postId}`,
+    priority: 'normal',
+    category: 'social'
+  });
+};
+
 module.exports = Notification;
\ No newline at end of file
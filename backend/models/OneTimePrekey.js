@@ -0,0 +1,98 @@
+/**
+ * OneTimePrekey Model
+ * Public one-time prekeys of a device; each is handed out once to start a session
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * OneTimePrekey model definition
+ */
+const OneTimePrekey = sequelize.define('OneTimePrekey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+
+  device_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+
+  key_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  public_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Base64 public key'
+  }
+}, {
+  tableName: 'one_time_prekeys',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+
+  // Indexes for better performance
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'device_id', 'key_id'],
+      name: 'unique_device_prekey'
+    }
+  ]
+});
+
+/**
+ * Class methods
+ */
+
+/**
+ * Claim a device's oldest one-time prekey, removing it so no one else receives it
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object>} Claim result ({ prekey, remaining }); prekey is null when none are left
+ */
+OneTimePrekey.claim = async function(userId, deviceId) {
+  return await sequelize.transaction(async (transaction) => {
+    const where = {
+      user_id: userId,
+      device_id: deviceId
+    };
+
+    // Skip rows another claim has locked instead of waiting for it
+    const prekey = await OneTimePrekey.findOne({
+      where,
+      order: [['key_id', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true
+    });
+
+    if (prekey) {
+      await prekey.destroy({ transaction });
+    }
+
+    const remaining = await OneTimePrekey.count({ where, transaction });
+
+    return { prekey, remaining };
+  });
+};
+
+module.exports = OneTimePrekey;
@@ -61,9 +61,21 @@ const PaymentOrder = sequelize.define('PaymentOrder', {
     allowNull: false,
     comment: 'Type of order/purchase'
   },
+
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+    comment: 'Catalog product bought; its effect at order time is kept in paymentData.product'
+  },
   
   status: {
-    type: DataTypes.ENUM('pending', 'paid', 'failed', 'cancelled', 'refunded'),
+    type: DataTypes.ENUM('pending', 'paid', 'failed', 'cancelled', 'partially_refunded', 'refunded'),
     defaultValue: 'pending',
     allowNull: false
   },
@@ -82,7 +94,7 @@ const PaymentOrder = sequelize.define('PaymentOrder', {
   refundId: {
     type: DataTypes.STRING(255),
     allowNull: true,
-    comment: 'Refund transaction ID'
+    comment: 'Latest refund transaction ID; every refund is kept in PaymentRefund'
   },
   
   refundedAt: {
@@ -95,7 +107,8 @@ const PaymentOrder = sequelize.define('PaymentOrder', {
     allowNull: true,
     validate: {
       min: 0
-    }
+    },
+    comment: 'Total refunded so far in yuan'
   },
   
   refundReason: {
@@ -129,6 +142,9 @@ const PaymentOrder = sequelize.define('PaymentOrder', {
       unique: true,
       fields: ['outTradeNo']
     },
+    {
+      fields: ['productId']
+    },
     {
       fields: ['status']
     },
@@ -234,18 +250,22 @@ PaymentOrder.prototype.markAsFailed = async function(reason) {
 };
 
 /**
- * Process refund
- * @param {number} refundAmount - Amount to refund
+ * Record a completed refund
+ * Refunds add up; the order is refunded once they reach the paid amount
+ * @param {number} refundAmount - Amount refunded
  * @param {string} reason - Refund reason
  * @param {string} refundId - Refund transaction ID
+ * @param {Object} options - Save options, e.g. { transaction }
  */
-PaymentOrder.prototype.processRefund = async function(refundAmount, reason, refundId) {
-  this.status = 'refunded';
-  this.refundAmount = refundAmount;
+PaymentOrder.prototype.processRefund = async function(refundAmount, reason, refundId, options = {}) {
+  const refundedCents = Math.round(parseFloat(this.refundAmount || 0) * 100) + Math.round(refundAmount * 100);
+
+  this.status = refundedCents >= Math.round(parseFloat(this.amount) * 100) ? 'refunded' : 'partially_refunded';
+  this.refundAmount = refundedCents / 100;
   this.refundReason = reason;
   this.refundId = refundId;
   this.refundedAt = new Date();
-  await this.save();
+  await this.save(options);
 };
 
 /**
@@ -253,7 +273,7 @@ PaymentOrder.prototype.processRefund = async function(refundAmount, reason, refu
  * @returns {boolean} Whether order can be refunded
  */
 PaymentOrder.prototype.canBeRefunded = function() {
-  return this.status === 'paid' && !this.refundedAt;
+  return this.status === 'paid' || this.status === 'partially_refunded';
 };
 
 /**
@@ -268,6 +288,7 @@ PaymentOrder.prototype.getSummary = function() {
     description: this.description,
     provider: this.provider,
     orderType: this.orderType,
+    productId: this.productId,
     status: this.status,
     createdAt: this.created_at,
     paidAt: this.paidAt
@@ -289,6 +310,42 @@ PaymentOrder.findByTradeNo = async function(outTradeNo) {
   });
 };
 
+/**
+ * Mark a pending order as paid and apply its effects, once
+ * The order row stays locked until the effects are applied, so concurrent callbacks for the
+ * same order wait and then find it paid. The effects must write within the given transaction:
+ * if they fail, the order and every effect written so far roll back together and the
+ * provider's retry applies them again.
+ * @param {string} outTradeNo - Order trade number
+ * @param {string} transactionId - Payment provider transaction ID
+ * @param {Function} applyEffects - Async function applying the purchase, called with the order
+ *   and the options to write with ({ transaction })
+ * @returns {Promise<Object>} Result ({ order, processed, result }); processed is false when the
+ *   order does not exist or is no longer pending
+ */
+PaymentOrder.settlePayment = async function(outTradeNo, transactionId, applyEffects) {
+  return await sequelize.transaction(async (transaction) => {
+    const order = await PaymentOrder.findOne({
+      where: { outTradeNo },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!order || order.status !== 'pending') {
+      return { order, processed: false, result: null };
+    }
+
+    order.status = 'paid';
+    order.transactionId = transactionId;
+    order.paidAt = new Date();
+    await order.save({ transaction });
+
+    const result = await applyEffects(order, { transaction });
+
+    return { order, processed: true, result };
+  });
+};
+
 /**
  * Get user orders
  * @param {string} userId - User ID
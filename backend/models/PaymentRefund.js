@@ -0,0 +1,262 @@
+/**
+ * PaymentRefund Model
+ * Ledger of refunds issued against a payment order; an order can be refunded in several parts
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * PaymentRefund model definition
+ */
+const PaymentRefund = sequelize.define('PaymentRefund', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'payment_orders',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+
+  outRefundNo: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'Refund number sent to the provider (out_refund_no / out_request_no)'
+  },
+
+  provider: {
+    type: DataTypes.ENUM('wechat', 'alipay'),
+    allowNull: false
+  },
+
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    },
+    comment: 'Refunded amount in yuan'
+  },
+
+  reason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'success', 'failed', 'closed'),
+    defaultValue: 'pending',
+    allowNull: false,
+    comment: 'pending until the provider reports the money moved (success) or the refund failed or was closed'
+  },
+
+  refundId: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Provider refund or trade ID'
+  },
+
+  refundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  failureReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+
+  providerData: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Provider response for the refund'
+  }
+}, {
+  tableName: 'payment_refunds',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+
+  // Indexes for better performance
+  indexes: [
+    {
+      fields: ['orderId']
+    },
+    {
+      unique: true,
+      fields: ['outRefundNo']
+    },
+    {
+      fields: ['userId', 'created_at']
+    },
+    {
+      fields: ['status', 'created_at']
+    }
+  ]
+});
+
+/**
+ * Class methods
+ */
+
+/**
+ * Record a pending refund if the order still has enough unrefunded balance
+ * The order row is locked so concurrent refunds cannot exceed the paid amount together
+ * @param {string} orderId - Payment order ID
+ * @param {number} amount - Refund amount in yuan
+ * @param {string} reason - Refund reason
+ * @param {string} outRefundNo - Refund number sent to the provider
+ * @returns {Promise<Object>} Result ({ refund, order, refundableAmount }); refund is null when the
+ *   amount exceeds what is left to refund
+ */
+PaymentRefund.reserve = async function(orderId, amount, reason, outRefundNo) {
+  const PaymentOrder = sequelize.models.PaymentOrder;
+
+  return await sequelize.transaction(async (transaction) => {
+    const order = await PaymentOrder.findByPk(orderId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    // Pending refunds count as refunded until the provider reports them failed or closed
+    const reserved = await PaymentRefund.sum('amount', {
+      where: {
+        orderId,
+        status: ['pending', 'success']
+      },
+      transaction
+    });
+
+    const refundableCents = Math.round(parseFloat(order.amount) * 100) - Math.round((parseFloat(reserved) || 0) * 100);
+    const refundableAmount = Math.max(refundableCents, 0) / 100;
+
+    if (Math.round(amount * 100) > refundableCents) {
+      return { refund: null, order, refundableAmount };
+    }
+
+    const refund = await PaymentRefund.create({
+      orderId,
+      userId: order.userId,
+      outRefundNo,
+      provider: order.provider,
+      amount,
+      reason
+    }, { transaction });
+
+    return { refund, order, refundableAmount };
+  });
+};
+
+/**
+ * Move a pending refund to its final state
+ * Only the first report of a refund's outcome is applied, so provider notifications, queries
+ * and retries can report the same refund safely; successful refunds are added to the order
+ * @param {string} refundId - PaymentRefund ID
+ * @param {string} status - Final status ('success', 'failed' or 'closed')
+ * @param {Object} details - Outcome details ({ providerRefundId, refundedAt, failureReason, providerData })
+ * @returns {Promise<Object>} Result ({ refund, order, previousRefunded, changed })
+ */
+PaymentRefund.complete = async function(refundId, status, details = {}) {
+  const PaymentOrder = sequelize.models.PaymentOrder;
+
+  return await sequelize.transaction(async (transaction) => {
+    const refund = await PaymentRefund.findByPk(refundId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!refund || refund.status !== 'pending') {
+      return { refund, order: null, previousRefunded: null, changed: false };
+    }
+
+    // Lock the order too so refunds completing together add up correctly
+    const order = await PaymentOrder.findByPk(refund.orderId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const previousRefunded = parseFloat(order.refundAmount || 0);
+
+    await refund.update({
+      status,
+      refundId: details.providerRefundId || refund.refundId,
+      refundedAt: status === 'success' ? (details.refundedAt || new Date()) : null,
+      failureReason: details.failureReason ? String(details.failureReason).substring(0, 500) : null,
+      providerData: details.providerData || refund.providerData
+    }, { transaction });
+
+    if (status === 'success') {
+      await order.processRefund(parseFloat(refund.amount), refund.reason, refund.refundId, { transaction });
+    }
+
+    return { refund, order, previousRefunded, changed: true };
+  });
+};
+
+/**
+ * Find a refund by the refund number sent to the provider
+ * @param {string} outRefundNo - Refund number
+ * @returns {Promise<PaymentRefund|null>} Refund
+ */
+PaymentRefund.findByRefundNo = async function(outRefundNo) {
+  return await PaymentRefund.findOne({
+    where: { outRefundNo }
+  });
+};
+
+/**
+ * Get refunds still waiting for their outcome
+ * @param {Date} createdBefore - Only refunds requested before this time
+ * @param {number} limit - Maximum refunds to return
+ * @returns {Promise<PaymentRefund[]>} Pending refunds with their order, oldest first
+ */
+PaymentRefund.findPending = async function(createdBefore, limit = 100) {
+  return await PaymentRefund.findAll({
+    where: {
+      status: 'pending',
+      created_at: { [sequelize.Sequelize.Op.lt]: createdBefore }
+    },
+    include: [{
+      model: sequelize.models.PaymentOrder,
+      as: 'order',
+      attributes: ['id', 'outTradeNo', 'provider']
+    }],
+    order: [['created_at', 'ASC']],
+    limit
+  });
+};
+
+/**
+ * Get refunds of an order, newest first
+ * @param {string} orderId - Payment order ID
+ * @returns {Promise<PaymentRefund[]>} Refunds
+ */
+PaymentRefund.getOrderRefunds = async function(orderId) {
+  return await PaymentRefund.findAll({
+    where: { orderId },
+    order: [['created_at', 'DESC']]
+  });
+};
+
+module.exports = PaymentRefund;
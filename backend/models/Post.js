@@ -5,6 +5,8 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/db');
+const { applyCursor } = require('../utils/helpers');
+const searchService = require('../services/search');
 
 /**
  * Post model definition
@@ -64,7 +66,26 @@ const Post = sequelize.define('Post', {
     },
     onDelete: 'CASCADE',
     onUpdate: 'CASCADE',
-    comment: 'For comments and shares - references the original post'
+    comment: 'For comments and shares - references the original post; for replies - references the parent comment'
+  },
+
+  root_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'posts',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE',
+    comment: 'For comments and replies - references the post the thread belongs to'
+  },
+
+  depth: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    comment: '0 for posts, 1 for top-level comments, 2 and up for nested replies'
   },
   
   shared_post_id: {
@@ -130,6 +151,16 @@ const Post = sequelize.define('Post', {
       min: 0
     }
   },
+
+  replies_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    comment: 'For comments - number of direct replies'
+  },
   
   is_edited: {
     type: DataTypes.BOOLEAN,
@@ -168,6 +199,13 @@ const Post = sequelize.define('Post', {
     }
   },
   
+  is_hidden: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: 'Hidden by a moderator'
+  },
+  
   is_pinned: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
@@ -228,6 +266,16 @@ const Post = sequelize.define('Post', {
     },
     {
       fields: ['parent_id', 'created_at']
+    },
+    {
+      fields: ['root_id']
+    },
+    {
+      // ngram parser tokenizes CJK text, which the default parser cannot split into words
+      type: 'FULLTEXT',
+      fields: ['content'],
+      name: 'ft_posts_content',
+      parser: 'ngram'
     }
   ],
   
@@ -251,7 +299,8 @@ const Post = sequelize.define('Post', {
     published: {
       where: {
         is_published: true,
-        is_deleted: false
+        is_deleted: false,
+        is_hidden: false
       }
     },
     
@@ -259,7 +308,8 @@ const Post = sequelize.define('Post', {
       where: {
         privacy: 'public',
         is_published: true,
-        is_deleted: false
+        is_deleted: false,
+        is_hidden: false
       }
     },
     
@@ -325,6 +375,27 @@ Post.prototype.decrementComments = async function() {
   }
 };
 
+/**
+ * Increment replies count
+ */
+Post.prototype.incrementReplies = async function() {
+  this.replies_count += 1;
+  await this.save();
+};
+
+/**
+ * Get ID of the post a comment thread belongs to
+ * Comments created before threading have no root_id and always sit directly under the post
+ * @returns {string|null} Root post ID
+ */
+Post.prototype.getRootPostId = function() {
+  if (this.post_type !== 'comment') {
+    return null;
+  }
+
+  return this.root_id || this.parent_id;
+};
+
 /**
  * Increment shares count
  */
@@ -339,7 +410,7 @@ Post.prototype.incrementShares = async function() {
  * @returns {Promise<boolean>} Whether user can view the post
  */
 Post.prototype.canUserView = async function(userId) {
-  if (this.is_deleted || !this.is_published) {
+  if (this.is_deleted || !this.is_published || this.is_hidden) {
     return false;
   }
   
@@ -419,13 +490,16 @@ Post.prototype.extractMentions = function() {
  */
 
 /**
- * Get feed posts for a user with complete privacy logic
- * @param {string} userId - User ID
- * @param {number} limit - Number of posts to fetch
- * @param {number} offset - Offset for pagination
- * @returns {Promise<Post[]>} Array of posts
+ * Build the feed visibility clause for a viewer
+ * Public posts, the viewer's own posts and friends-only posts from friends
+ * @param {string|null} userId - Viewer's user ID (null for anonymous viewers)
+ * @returns {Promise<Object>} Where clause fragment
  */
-Post.getFeedPosts = async function(userId, limit = 20, offset = 0) {
+Post.getVisibilityClause = async function(userId) {
+  if (!userId) {
+    return { privacy: 'public' };
+  }
+
   const Friend = sequelize.models.Friend;
   
   // Get user's friend IDs
@@ -441,9 +515,7 @@ Post.getFeedPosts = async function(userId, limit = 20, offset = 0) {
     }
   }
   
-  // Build where clause for feed posts
-  const whereClause = {
-    post_type: 'post',
+  return {
     [sequelize.Sequelize.Op.or]: [
       // Public posts
       { privacy: 'public' },
@@ -456,7 +528,137 @@ Post.getFeedPosts = async function(userId, limit = 20, offset = 0) {
       }] : [])
     ]
   };
+};
+
+/**
+ * Get feed posts for a user with complete privacy logic
+ * @param {string} userId - User ID
+ * @param {number} limit - Number of posts to fetch
+ * @param {number} offset - Offset for pagination (ignored when a cursor is given)
+ * @param {Object} cursor - Decoded pagination cursor
+ * @returns {Promise<Post[]>} Array of posts
+ */
+Post.getFeedPosts = async function(userId, limit = 20, offset = 0, cursor = null) {
+  // Build where clause for feed posts
+  const whereClause = {
+    post_type: 'post',
+    ...(await Post.getVisibilityClause(userId))
+  };
+  
+  const { where, order } = applyCursor(whereClause, cursor, 'DESC');
   
+  return await Post.scope(['published', 'withAuthor']).findAll({
+    where,
+    order,
+    limit: limit,
+    offset: cursor ? 0 : offset
+  });
+};
+
+/**
+ * Get recent posts that feed home timelines
+ * Friends' public and friends-only posts, plus every post of the viewer when given
+ * @param {Array<string>} authorIds - Friend user IDs
+ * @param {Object} options - { viewerId, since, limit, cursor }
+ * @returns {Promise<Post[]>} Array of posts with id, user_id and created_at only
+ */
+Post.getTimelineSourcePosts = async function(authorIds, options = {}) {
+  const { viewerId = null, since = null, limit = 20, cursor = null } = options;
+
+  const sources = [];
+  if (authorIds.length > 0) {
+    sources.push({
+      user_id: { [sequelize.Sequelize.Op.in]: authorIds },
+      privacy: { [sequelize.Sequelize.Op.in]: ['public', 'friends'] }
+    });
+  }
+  if (viewerId) {
+    sources.push({ user_id: viewerId });
+  }
+
+  if (sources.length === 0) {
+    return [];
+  }
+
+  const whereClause = {
+    post_type: 'post',
+    [sequelize.Sequelize.Op.or]: sources
+  };
+
+  if (since) {
+    whereClause.created_at = { [sequelize.Sequelize.Op.gte]: since };
+  }
+
+  const { where, order } = applyCursor(whereClause, cursor, 'DESC');
+
+  return await Post.scope('published').findAll({
+    where,
+    attributes: ['id', 'user_id', 'created_at'],
+    order,
+    limit: limit
+  });
+};
+
+/**
+ * Get recent public posts from everyone
+ * @param {Date} since - Oldest creation time to include
+ * @param {number} limit - Maximum number of posts
+ * @returns {Promise<Post[]>} Array of posts with id and created_at only
+ */
+Post.getRecentPublicPosts = async function(since, limit = 1000) {
+  return await Post.scope('public').findAll({
+    where: {
+      post_type: 'post',
+      created_at: { [sequelize.Sequelize.Op.gte]: since }
+    },
+    attributes: ['id', 'created_at'],
+    order: [['created_at', 'DESC']],
+    limit: limit
+  });
+};
+
+/**
+ * Get recent feed candidates for ranking
+ * @param {string} userId - User ID
+ * @param {Date} since - Oldest creation time to consider
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Promise<Post[]>} Array of posts without author details
+ */
+Post.getFeedCandidates = async function(userId, since, limit = 500) {
+  return await Post.scope('published').findAll({
+    where: {
+      post_type: 'post',
+      created_at: {
+        [sequelize.Sequelize.Op.gte]: since
+      },
+      ...(await Post.getVisibilityClause(userId))
+    },
+    attributes: ['id', 'user_id', 'likes_count', 'comments_count', 'shares_count', 'created_at'],
+    order: [['created_at', 'DESC']],
+    limit: limit
+  });
+};
+
+/**
+ * Get posts tagged with a hashtag, using the same privacy rules as the feed
+ * @param {string} hashtag - Normalized hashtag (e.g. '#flutter')
+ * @param {string|null} userId - Viewer's user ID
+ * @param {number} limit - Number of posts to fetch
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<Post[]>} Array of posts
+ */
+Post.getHashtagPosts = async function(hashtag, userId, limit = 20, offset = 0) {
+  const whereClause = {
+    post_type: 'post',
+    ...(await Post.getVisibilityClause(userId)),
+    [sequelize.Sequelize.Op.and]: [
+      sequelize.where(
+        sequelize.fn('JSON_CONTAINS', sequelize.col('Post.hashtags'), JSON.stringify(hashtag)),
+        1
+      )
+    ]
+  };
+
   return await Post.scope(['published', 'withAuthor']).findAll({
     where: whereClause,
     order: [['created_at', 'DESC']],
@@ -465,6 +667,39 @@ Post.getFeedPosts = async function(userId, limit = 20, offset = 0) {
   });
 };
 
+/**
+ * Count hashtags on recent public posts
+ * Used when the Redis trending counters are unavailable
+ * @param {Date} since - Window start
+ * @param {number} limit - Number of hashtags to return
+ * @returns {Promise<Array>} Array of { hashtag, count }
+ */
+Post.getTrendingHashtags = async function(since, limit = 10) {
+  const posts = await Post.scope(['published', 'public']).findAll({
+    where: {
+      post_type: 'post',
+      created_at: {
+        [sequelize.Sequelize.Op.gte]: since
+      }
+    },
+    attributes: ['hashtags'],
+    order: [['created_at', 'DESC']],
+    limit: 5000
+  });
+
+  const counts = new Map();
+  for (const post of posts) {
+    for (const hashtag of new Set(post.hashtags || [])) {
+      counts.set(hashtag, (counts.get(hashtag) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .map(([hashtag, count]) => ({ hashtag, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+};
+
 /**
  * Get user's posts with complete privacy logic
  * @param {string} userId - User ID
@@ -478,7 +713,8 @@ Post.getUserPosts = async function(userId, viewerId, limit = 20, offset = 0) {
     user_id: userId,
     post_type: 'post',
     is_deleted: false,
-    is_published: true
+    is_published: true,
+    is_hidden: false
   };
   
   // If viewing own posts, show all privacy levels
@@ -515,42 +751,203 @@ Post.getUserPosts = async function(userId, viewerId, limit = 20, offset = 0) {
 
 /**
  * Get post comments
+ * Returns top-level comments only; replies are fetched per comment with getReplies
  * @param {string} postId - Post ID
  * @param {number} limit - Number of comments to fetch
- * @param {number} offset - Offset for pagination
+ * @param {number} offset - Offset for pagination (ignored when a cursor is given)
+ * @param {Object} cursor - Decoded pagination cursor
  * @returns {Promise<Post[]>} Array of comments
  */
-Post.getComments = async function(postId, limit = 20, offset = 0) {
+Post.getComments = async function(postId, limit = 20, offset = 0, cursor = null) {
+  const { where, order } = applyCursor({
+    parent_id: postId,
+    post_type: 'comment',
+    is_deleted: false,
+    is_published: true,
+    is_hidden: false
+  }, cursor, 'ASC');
+
   return await Post.scope('withAuthor').findAll({
-    where: {
-      parent_id: postId,
-      post_type: 'comment',
-      is_deleted: false,
-      is_published: true
+    where,
+    order,
+    limit: limit,
+    offset: cursor ? 0 : offset
+  });
+};
+
+/**
+ * Get direct replies to a comment
+ * @param {string} commentId - Parent comment ID
+ * @param {number} limit - Number of replies to fetch
+ * @param {number} offset - Offset for pagination (ignored when a cursor is given)
+ * @param {Object} cursor - Decoded pagination cursor
+ * @returns {Promise<Post[]>} Array of replies
+ */
+Post.getReplies = async function(commentId, limit = 20, offset = 0, cursor = null) {
+  return await Post.getComments(commentId, limit, offset, cursor);
+};
+
+/**
+ * Search posts by content, most relevant first
+ * Uses the FULLTEXT index; queries with terms shorter than the ngram size fall back to LIKE
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {string|null} options.viewerId - Viewer's user ID, used for privacy rules
+ * @param {string} options.authorId - Only posts by this author
+ * @param {Date} options.from - Oldest creation time
+ * @param {Date} options.to - Newest creation time
+ * @param {string} options.hashtag - Normalized hashtag the post must contain
+ * @param {string} options.mediaType - Media type ('none', 'image', 'video' or 'mixed')
+ * @param {number} options.limit - Number of posts to fetch
+ * @param {number} options.offset - Offset for pagination
+ * @returns {Promise<Post[]>} Array of posts with a relevance attribute
+ */
+Post.searchPosts = async function(query, options = {}) {
+  const {
+    viewerId = null,
+    authorId,
+    from,
+    to,
+    hashtag,
+    mediaType,
+    limit = 20,
+    offset = 0
+  } = options;
+
+  const terms = searchService.getTerms(query);
+  // A query of only operators or punctuation has nothing to match
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const booleanQuery = searchService.buildBooleanQuery(terms);
+  const matchExpression = booleanQuery
+    ? searchService.buildMatchExpression(sequelize, ['`Post`.`content`'], booleanQuery)
+    : null;
+
+  const conditions = matchExpression
+    ? [sequelize.literal(`${matchExpression} > 0`)]
+    : terms.map(term => ({ content: { [sequelize.Sequelize.Op.like]: searchService.buildLikePattern(term) } }));
+
+  if (hashtag) {
+    conditions.push(sequelize.where(
+      sequelize.fn('JSON_CONTAINS', sequelize.col('Post.hashtags'), JSON.stringify(hashtag)),
+      1
+    ));
+  }
+
+  const whereClause = {
+    post_type: 'post',
+    ...(await Post.getVisibilityClause(viewerId)),
+    [sequelize.Sequelize.Op.and]: conditions
+  };
+
+  if (authorId) {
+    whereClause.user_id = authorId;
+  }
+
+  if (mediaType) {
+    whereClause.media_type = mediaType;
+  }
+
+  if (from || to) {
+    whereClause.created_at = {
+      ...(from ? { [sequelize.Sequelize.Op.gte]: from } : {}),
+      ...(to ? { [sequelize.Sequelize.Op.lte]: to } : {})
+    };
+  }
+
+  return await Post.scope(['published', 'withAuthor']).findAll({
+    where: whereClause,
+    attributes: {
+      include: [[sequelize.literal(matchExpression || '0'), 'relevance']]
     },
-    order: [['created_at', 'ASC']],
+    order: [
+      [sequelize.literal('relevance'), 'DESC'],
+      ['created_at', 'DESC']
+    ],
     limit: limit,
     offset: offset
   });
 };
 
 /**
- * Search posts by content
- * @param {string} query - Search query
+ * Get a user's scheduled posts that have not been published yet
+ * @param {string} userId - Author's user ID
  * @param {number} limit - Number of posts to fetch
- * @returns {Promise<Post[]>} Array of posts
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<Post[]>} Array of posts, next to publish first
  */
-Post.searchPosts = async function(query, limit = 20) {
-  return await Post.scope(['published', 'public', 'withAuthor']).findAll({
+Post.getScheduledPosts = async function(userId, limit = 20, offset = 0) {
+  return await Post.scope('withAuthor').findAll({
     where: {
+      user_id: userId,
       post_type: 'post',
-      content: {
-        [sequelize.Sequelize.Op.like]: `%${query}%`
+      is_published: false,
+      is_deleted: false,
+      scheduled_at: {
+        [sequelize.Sequelize.Op.ne]: null
       }
     },
-    order: [['created_at', 'DESC']],
+    order: [['scheduled_at', 'ASC']],
+    limit: limit,
+    offset: offset
+  });
+};
+
+/**
+ * Get scheduled posts whose publish time has passed
+ * @param {number} limit - Maximum number of posts to fetch
+ * @returns {Promise<Post[]>} Array of due posts
+ */
+Post.getDueScheduledPosts = async function(limit = 100) {
+  return await Post.findAll({
+    where: {
+      is_published: false,
+      is_deleted: false,
+      scheduled_at: {
+        [sequelize.Sequelize.Op.lte]: new Date()
+      }
+    },
+    order: [['scheduled_at', 'ASC']],
     limit: limit
   });
 };
 
+/**
+ * Publish a scheduled post
+ * The conditional update lets only one caller win when several workers race
+ * @param {string} postId - Post ID
+ * @returns {Promise<boolean>} Whether this call published the post
+ */
+Post.publishScheduled = async function(postId) {
+  // created_at is moved to the publish time so the post surfaces at the top of feeds
+  const [affectedRows] = await Post.update({
+    is_published: true,
+    created_at: new Date()
+  }, {
+    where: {
+      id: postId,
+      is_published: false,
+      is_deleted: false
+    }
+  });
+
+  return affectedRows > 0;
+};
+
+/**
+ * Count a user's published posts
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Published post count
+ */
+Post.countUserPosts = async function(userId) {
+  return await Post.scope('published').count({
+    where: {
+      user_id: userId,
+      post_type: 'post'
+    }
+  });
+};
+
 module.exports = Post;
\ No newline at end of file
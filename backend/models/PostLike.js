@@ -0,0 +1,151 @@
+/**
+ * PostLike Model
+ * Defines the durable record of which users liked which posts
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * PostLike model definition
+ */
+const PostLike = sequelize.define('PostLike', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  post_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'posts',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  }
+}, {
+  tableName: 'post_likes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+
+  // Indexes for better performance
+  indexes: [
+    {
+      unique: true,
+      fields: ['post_id', 'user_id'],
+      name: 'unique_post_like'
+    },
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['post_id', 'created_at']
+    }
+  ],
+
+  // Scopes for common queries
+  scopes: {
+    withUser: {
+      include: [{
+        model: sequelize.models.User,
+        as: 'user',
+        attributes: ['id', 'username', 'first_name', 'last_name', 'profile_picture', 'is_verified']
+      }]
+    }
+  }
+});
+
+/**
+ * Class methods
+ */
+
+/**
+ * Toggle a user's like on a post, keeping Post.likes_count in sync
+ * @param {string} postId - Post ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Whether the post is now liked and the new likes count
+ */
+PostLike.toggle = async function(postId, userId) {
+  const Post = sequelize.models.Post;
+
+  return await sequelize.transaction(async (transaction) => {
+    // Lock the post row so concurrent toggles serialize on the counter
+    const post = await Post.findByPk(postId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const existingLike = await PostLike.findOne({
+      where: { post_id: postId, user_id: userId },
+      transaction
+    });
+
+    if (existingLike) {
+      await existingLike.destroy({ transaction });
+
+      if (post.likes_count > 0) {
+        await post.decrement('likes_count', { transaction });
+      }
+    } else {
+      await PostLike.create({ post_id: postId, user_id: userId }, { transaction });
+      await post.increment('likes_count', { transaction });
+    }
+
+    await post.reload({ transaction });
+
+    return {
+      liked: !existingLike,
+      likes_count: post.likes_count
+    };
+  });
+};
+
+/**
+ * Check if user liked a post
+ * @param {string} postId - Post ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Like status
+ */
+PostLike.hasLiked = async function(postId, userId) {
+  const like = await PostLike.findOne({
+    where: { post_id: postId, user_id: userId },
+    attributes: ['id']
+  });
+  return !!like;
+};
+
+/**
+ * Get users who liked a post
+ * @param {string} postId - Post ID
+ * @param {number} limit - Number of likes to fetch
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<PostLike[]>} Array of likes with user details
+ */
+PostLike.getPostLikes = async function(postId, limit = 20, offset = 0) {
+  return await PostLike.scope('withUser').findAll({
+    where: {
+      post_id: postId
+    },
+    order: [['created_at', 'DESC']],
+    limit: limit,
+    offset: offset
+  });
+};
+
+module.exports = PostLike;
@@ -0,0 +1,196 @@
+/**
+ * PostRevision Model
+ * Keeps a snapshot of a post each time it is edited or restored
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * PostRevision model definition
+ */
+const PostRevision = sequelize.define('PostRevision', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  post_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'posts',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+
+  revision_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Sequential per post, starting at 1 for the originally published version'
+  },
+
+  editor_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+    comment: 'User whose change replaced this version'
+  },
+
+  change_type: {
+    type: DataTypes.ENUM('edit', 'restore'),
+    allowNull: false,
+    defaultValue: 'edit',
+    comment: 'How this version was replaced'
+  },
+
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  media_urls: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
+
+  media_type: {
+    type: DataTypes.ENUM('none', 'image', 'video', 'mixed'),
+    defaultValue: 'none',
+    allowNull: false
+  },
+
+  privacy: {
+    type: DataTypes.ENUM('public', 'friends', 'private'),
+    allowNull: false
+  },
+
+  hashtags: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  }
+}, {
+  tableName: 'post_revisions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+
+  // Indexes for better performance
+  indexes: [
+    {
+      unique: true,
+      fields: ['post_id', 'revision_number'],
+      name: 'unique_post_revision'
+    },
+    {
+      fields: ['editor_id']
+    }
+  ],
+
+  // Scopes for common queries
+  scopes: {
+    withEditor: {
+      include: [{
+        model: sequelize.models.User,
+        as: 'editor',
+        attributes: ['id', 'username', 'first_name', 'last_name', 'profile_picture', 'is_verified']
+      }]
+    }
+  }
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get post fields needed to bring a post back to this version
+ * @returns {Object} Post field values
+ */
+PostRevision.prototype.toPostValues = function() {
+  return {
+    content: this.content,
+    media_urls: this.media_urls || [],
+    media_type: this.media_type,
+    privacy: this.privacy,
+    hashtags: this.hashtags || []
+  };
+};
+
+/**
+ * Class methods
+ */
+
+/**
+ * Update a post, snapshotting its current version first
+ * @param {string} postId - Post ID
+ * @param {Object} changes - Post fields to update
+ * @param {string} editorId - User making the change
+ * @param {string} changeType - 'edit' or 'restore'
+ * @returns {Promise<Object>} Updated post, plain values before the change and the snapshot
+ */
+PostRevision.revisePost = async function(postId, changes, editorId, changeType = 'edit') {
+  const Post = sequelize.models.Post;
+
+  return await sequelize.transaction(async (transaction) => {
+    // Lock the post row so concurrent edits get consecutive revision numbers
+    const post = await Post.findByPk(postId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const previousPost = post.get({ plain: true });
+
+    const lastRevision = await PostRevision.max('revision_number', {
+      where: { post_id: postId },
+      transaction
+    });
+
+    const revision = await PostRevision.create({
+      post_id: postId,
+      revision_number: (lastRevision || 0) + 1,
+      editor_id: editorId,
+      change_type: changeType,
+      content: post.content,
+      media_urls: post.media_urls,
+      media_type: post.media_type,
+      privacy: post.privacy,
+      hashtags: post.hashtags
+    }, { transaction });
+
+    await post.update(changes, { transaction });
+
+    return { post, previousPost, revision };
+  });
+};
+
+/**
+ * Get revisions of a post, newest first
+ * @param {string} postId - Post ID
+ * @param {number} limit - Number of revisions to fetch
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<PostRevision[]>} Array of revisions with editor details
+ */
+PostRevision.getPostRevisions = async function(postId, limit = 20, offset = 0) {
+  return await PostRevision.scope('withEditor').findAll({
+    where: {
+      post_id: postId
+    },
+    order: [['revision_number', 'DESC']],
+    limit: limit,
+    offset: offset
+  });
+};
+
+module.exports = PostRevision;
@@ -0,0 +1,220 @@
+/**
+ * Product Model
+ * Catalog of purchasable premium plans, coin packs, post boosts and gifts with server-defined prices
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+// Fields describing what a purchase gives
+const EFFECT_FIELDS = ['durationDays', 'coinAmount', 'boostHours'];
+
+/**
+ * Get the effect field a product uses
+ * @param {string} productType - Product type
+ * @param {string|null} giftType - What a gift gives
+ * @returns {string|null} Effect field, or null for gifts without one (stickers)
+ */
+function getEffectField(productType, giftType) {
+  switch (productType) {
+    case 'premium':
+      return 'durationDays';
+    case 'coins':
+      return 'coinAmount';
+    case 'boost':
+      return 'boostHours';
+    case 'gift':
+      return giftType === 'premium' ? 'durationDays' : giftType === 'coins' ? 'coinAmount' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Product model definition
+ */
+const Product = sequelize.define('Product', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  sku: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'Stable product code used by clients and reports'
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+
+  productType: {
+    type: DataTypes.ENUM('premium', 'coins', 'boost', 'gift'),
+    allowNull: false,
+    comment: 'Becomes the orderType of orders for this product'
+  },
+
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    },
+    comment: 'Price in yuan'
+  },
+
+  durationDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Premium days granted (premium plans and premium gifts)'
+  },
+
+  coinAmount: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Coins granted (coin packs and coin gifts)'
+  },
+
+  boostHours: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Hours a post stays boosted'
+  },
+
+  giftType: {
+    type: DataTypes.ENUM('premium', 'coins', 'sticker'),
+    allowNull: true,
+    comment: 'What a gift gives its recipient'
+  },
+
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+    comment: 'Inactive products are hidden and cannot be ordered'
+  },
+
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Display data such as icons or badges'
+  }
+}, {
+  tableName: 'products',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+
+  // Indexes for better performance
+  indexes: [
+    {
+      unique: true,
+      fields: ['sku']
+    },
+    {
+      fields: ['productType', 'isActive', 'sortOrder']
+    }
+  ],
+
+  validate: {
+    // Each product type carries exactly the effect it applies
+    effectMatchesType() {
+      if ((this.productType === 'gift') !== !!this.giftType) {
+        throw new Error('giftType is required for gifts and not allowed for other products');
+      }
+
+      const effectField = getEffectField(this.productType, this.giftType);
+      EFFECT_FIELDS.forEach(field => {
+        const isSet = this[field] !== null && this[field] !== undefined;
+        if (field === effectField && !isSet) {
+          throw new Error(`${field} is required for this product`);
+        }
+        if (field !== effectField && isSet) {
+          throw new Error(`${field} does not apply to this product`);
+        }
+      });
+    }
+  }
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get the effect of buying this product
+ * Orders keep this copy, so later catalog edits do not change what was bought
+ * @returns {Object} Effect ({ productId, sku, name, productType, durationDays, coinAmount, boostHours, giftType })
+ */
+Product.prototype.getEffect = function() {
+  return {
+    productId: this.id,
+    sku: this.sku,
+    name: this.name,
+    productType: this.productType,
+    durationDays: this.durationDays,
+    coinAmount: this.coinAmount,
+    boostHours: this.boostHours,
+    giftType: this.giftType
+  };
+};
+
+/**
+ * Class methods
+ */
+
+/**
+ * Get catalog products in display order
+ * @param {Object} options - Filters ({ productType, includeInactive })
+ * @returns {Promise<Product[]>} Products
+ */
+Product.getCatalog = async function(options = {}) {
+  const { productType, includeInactive = false } = options;
+
+  const whereClause = {};
+  if (productType) whereClause.productType = productType;
+  if (!includeInactive) whereClause.isActive = true;
+
+  return await Product.findAll({
+    where: whereClause,
+    order: [['productType', 'ASC'], ['sortOrder', 'ASC'], ['price', 'ASC']]
+  });
+};
+
+/**
+ * Find a product that can be ordered
+ * @param {string} productId - Product ID
+ * @returns {Promise<Product|null>} Active product
+ */
+Product.findOrderable = async function(productId) {
+  return await Product.findOne({
+    where: { id: productId, isActive: true }
+  });
+};
+
+module.exports = Product;
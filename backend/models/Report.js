@@ -0,0 +1,273 @@
+/**
+ * Report Model
+ * Defines user reports against posts, comments, messages and users for moderation review
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * Report model definition
+ */
+const Report = sequelize.define('Report', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+
+  reporter_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE',
+    comment: 'User who filed the report'
+  },
+
+  target_type: {
+    type: DataTypes.ENUM('post', 'comment', 'message', 'user'),
+    allowNull: false
+  },
+
+  target_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'ID of the reported post, comment, message or user'
+  },
+
+  reported_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+    comment: 'Author of the reported content, or the reported user'
+  },
+
+  reason: {
+    type: DataTypes.ENUM(
+      'spam', 'harassment', 'hate_speech', 'violence',
+      'nudity', 'false_information', 'copyright', 'other'
+    ),
+    allowNull: false
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 500]
+    }
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'in_review', 'resolved', 'dismissed'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+
+  moderator_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+    comment: 'Moderator who claimed the report'
+  },
+
+  claimed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  resolution: {
+    type: DataTypes.ENUM('no_action', 'hide_post', 'delete_content', 'warn_user', 'suspend_user'),
+    allowNull: true,
+    comment: 'Action taken when the report was closed'
+  },
+
+  resolution_note: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 1000]
+    }
+  },
+
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'reports',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+
+  // Indexes for better performance
+  indexes: [
+    {
+      fields: ['status', 'created_at']
+    },
+    {
+      fields: ['target_type', 'target_id']
+    },
+    {
+      fields: ['reporter_id']
+    },
+    {
+      fields: ['reported_user_id']
+    },
+    {
+      fields: ['moderator_id']
+    }
+  ],
+
+  // Scopes for common queries
+  scopes: {
+    open: {
+      where: {
+        status: ['pending', 'in_review']
+      }
+    },
+
+    withUsers: {
+      include: [
+        {
+          model: sequelize.models.User,
+          as: 'reporter',
+          attributes: ['id', 'username', 'first_name', 'last_name', 'profile_picture', 'is_verified']
+        },
+        {
+          model: sequelize.models.User,
+          as: 'reportedUser',
+          attributes: ['id', 'username', 'first_name', 'last_name', 'profile_picture', 'is_verified']
+        },
+        {
+          model: sequelize.models.User,
+          as: 'moderator',
+          attributes: ['id', 'username', 'first_name', 'last_name', 'profile_picture', 'is_verified']
+        }
+      ]
+    }
+  }
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Check if report is still awaiting a decision
+ * @returns {boolean} Open status
+ */
+Report.prototype.isOpen = function() {
+  return this.status === 'pending' || this.status === 'in_review';
+};
+
+/**
+ * Class methods
+ */
+
+/**
+ * File a report, reusing the reporter's open report on the same target
+ * @param {Object} reportData - Report data
+ * @returns {Promise<Object>} The report and whether it was newly created
+ */
+Report.fileReport = async function(reportData) {
+  const {
+    reporterId,
+    targetType,
+    targetId,
+    reportedUserId,
+    reason,
+    description
+  } = reportData;
+
+  const existingReport = await Report.scope('open').findOne({
+    where: {
+      reporter_id: reporterId,
+      target_type: targetType,
+      target_id: targetId
+    }
+  });
+
+  if (existingReport) {
+    return { report: existingReport, created: false };
+  }
+
+  const report = await Report.create({
+    reporter_id: reporterId,
+    target_type: targetType,
+    target_id: targetId,
+    reported_user_id: reportedUserId,
+    reason,
+    description
+  });
+
+  return { report, created: true };
+};
+
+/**
+ * Get the moderation queue
+ * @param {Object} filters - Queue filters (status, targetType, moderatorId)
+ * @param {number} limit - Number of reports to fetch
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<Report[]>} Array of reports, oldest first
+ */
+Report.getQueue = async function(filters = {}, limit = 20, offset = 0) {
+  const { status, targetType, moderatorId } = filters;
+
+  const whereClause = {
+    status: status || ['pending', 'in_review']
+  };
+
+  if (targetType) {
+    whereClause.target_type = targetType;
+  }
+
+  if (moderatorId) {
+    whereClause.moderator_id = moderatorId;
+  }
+
+  return await Report.scope('withUsers').findAll({
+    where: whereClause,
+    order: [['created_at', 'ASC']],
+    limit: limit,
+    offset: offset
+  });
+};
+
+/**
+ * Claim a pending report for review
+ * @param {string} reportId - Report ID
+ * @param {string} moderatorId - Moderator user ID
+ * @returns {Promise<boolean>} Whether the claim succeeded
+ */
+Report.claim = async function(reportId, moderatorId) {
+  const [affectedRows] = await Report.update({
+    status: 'in_review',
+    moderator_id: moderatorId,
+    claimed_at: new Date()
+  }, {
+    where: {
+      id: reportId,
+      status: 'pending'
+    }
+  });
+
+  return affectedRows > 0;
+};
+
+module.exports = Report;
@@ -8,6 +8,7 @@ const bcrypt = require('bcryptjs');
 const { sequelize } = require('../config/db');
 const config = require('../config/env');
 const { logger } = require('../config/logger');
+const searchService = require('../services/search');
 
 /**
  * Enhanced User model definition with comprehensive security features
@@ -299,6 +300,28 @@ const User = sequelize.define('User', {
     comment: 'Account lock expiration time'
   },
   
+  suspended_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Moderation suspension expiration time'
+  },
+  
+  suspension_reason: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'Reason given for the current suspension'
+  },
+  
+  warnings_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    comment: 'Moderation warnings received'
+  },
+  
   password_changed_at: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -574,6 +597,12 @@ const User = sequelize.define('User', {
     {
       fields: ['password_reset_expires'],
       name: 'idx_users_password_reset_expires'
+    },
+    {
+      type: 'FULLTEXT',
+      fields: ['username', 'first_name', 'last_name'],
+      name: 'ft_users_names',
+      parser: 'ngram'
     }
   ],
   
@@ -851,6 +880,31 @@ User.prototype.isLocked = function() {
   return this.locked_until && new Date() < this.locked_until;
 };
 
+/**
+ * Suspend account after a moderation decision
+ * @param {Date} until - Suspension expiration time
+ * @param {string} reason - Suspension reason
+ */
+User.prototype.suspend = async function(until, reason = null) {
+  this.suspended_until = until;
+  this.suspension_reason = reason;
+  await this.save();
+  
+  logger.warn('User account suspended:', {
+    userId: this.id,
+    username: this.username,
+    suspendedUntil: this.suspended_until
+  });
+};
+
+/**
+ * Check if account is currently suspended
+ * @returns {boolean} Suspension status
+ */
+User.prototype.isSuspended = function() {
+  return !!this.suspended_until && new Date() < this.suspended_until;
+};
+
 /**
  * Enhanced failed login attempt tracking
  */
@@ -964,38 +1018,47 @@ User.findByEmail = async function(email) {
 
 /**
  * Enhanced user search with privacy controls and performance optimization
+ * Uses the FULLTEXT index; queries with terms shorter than the ngram size fall back to LIKE
  * @param {string} query - Search query
  * @param {number} limit - Result limit
  * @param {string} viewerId - ID of user performing search
- * @returns {Promise<User[]>} Array of users
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<User[]>} Array of users with a relevance attribute
  */
-User.searchUsers = async function(query, limit = 20, viewerId = null) {
+User.searchUsers = async function(query, limit = 20, viewerId = null, offset = 0) {
   try {
     const normalizedQuery = query.toLowerCase().trim();
-    
+
+    const terms = searchService.getTerms(normalizedQuery);
+    // A query of only operators or punctuation has nothing to match
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const booleanQuery = searchService.buildBooleanQuery(terms);
+    const matchExpression = booleanQuery
+      ? searchService.buildMatchExpression(
+        sequelize,
+        ['`User`.`username`', '`User`.`first_name`', '`User`.`last_name`'],
+        booleanQuery
+      )
+      : null;
+
+    const matchCondition = matchExpression
+      ? sequelize.literal(`${matchExpression} > 0`)
+      : {
+        [sequelize.Sequelize.Op.and]: terms.map(term => ({
+          [sequelize.Sequelize.Op.or]: ['username', 'first_name', 'last_name'].map(field => ({
+            [field]: { [sequelize.Sequelize.Op.like]: searchService.buildLikePattern(term) }
+          }))
+        }))
+      };
+
     return await User.findAll({
       where: {
         [sequelize.Sequelize.Op.and]: [
           { is_active: true },
-          {
-            [sequelize.Sequelize.Op.or]: [
-              { 
-                username: { 
-                  [sequelize.Sequelize.Op.like]: `%${normalizedQuery}%` 
-                } 
-              },
-              { 
-                first_name: { 
-                  [sequelize.Sequelize.Op.like]: `%${normalizedQuery}%` 
-                } 
-              },
-              { 
-                last_name: { 
-                  [sequelize.Sequelize.Op.like]: `%${normalizedQuery}%` 
-                } 
-              }
-            ]
-          },
+          matchCondition,
           // Exclude private users unless they're friends (simplified for now)
           {
             [sequelize.Sequelize.Op.or]: [
@@ -1007,12 +1070,15 @@ User.searchUsers = async function(query, limit = 20, viewerId = null) {
       },
       attributes: [
         'id', 'username', 'first_name', 'last_name', 
-        'profile_picture', 'is_verified', 'is_premium'
+        'profile_picture', 'is_verified', 'is_premium',
+        [sequelize.literal(matchExpression || '0'), 'relevance']
       ],
       limit: limit,
+      offset: offset,
       order: [
         // Prioritize exact username matches
-        [sequelize.Sequelize.literal(`CASE WHEN username = '${normalizedQuery}' THEN 0 ELSE 1 END`)],
+        [sequelize.literal(`CASE WHEN \`User\`.\`username\` = ${sequelize.escape(normalizedQuery)} THEN 0 ELSE 1 END`)],
+        [sequelize.literal('relevance'), 'DESC'],
         ['is_verified', 'DESC'],
         ['created_at', 'DESC']
       ]
@@ -10,12 +10,30 @@ const {
   getConversationMessages,
   markMessageAsRead,
   deleteMessage,
+  editMessage,
+  getMessageRevisions,
   searchMessages,
+  getMessageContext,
   getUnreadCount,
   addReaction,
   removeReaction,
   forwardMessage,
-  getMessageStatus
+  getMessageStatus,
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages,
+  syncMessages,
+  uploadKeys,
+  getUserKeys,
+  updateDisappearingTimer,
+  createGroup,
+  getGroup,
+  renameGroup,
+  updateGroupAvatar,
+  addGroupMembers,
+  removeGroupMember,
+  updateGroupMemberRole,
+  leaveGroup
 } = require('../controllers/chatController');
 
 const { authenticate } = require('../middleware/auth');
@@ -60,9 +78,52 @@ router.get('/conversations/:conversationId/messages',
   getConversationMessages
 );
 
+/**
+ * @route   POST /api/v1/chat/keys
+ * @desc    Publish device identity and prekeys for encrypted messages
+ * @access  Private
+ */
+router.post('/keys',
+  authenticate,
+  validate(messageSchemas.uploadKeys),
+  uploadKeys
+);
+
+/**
+ * @route   GET /api/v1/chat/keys/:userId
+ * @desc    Get a user's device key bundles, claiming one-time prekeys
+ * @access  Private
+ */
+router.get('/keys/:userId',
+  authenticate,
+  messageRateLimit,
+  getUserKeys
+);
+
+/**
+ * @route   PUT /api/v1/chat/conversations/:conversationId/disappearing
+ * @desc    Set disappearing message timer
+ * @access  Private
+ */
+router.put('/conversations/:conversationId/disappearing',
+  authenticate,
+  validate(messageSchemas.updateDisappearingTimer),
+  updateDisappearingTimer
+);
+
+/**
+ * @route   GET /api/v1/chat/conversations/:conversationId/pins
+ * @desc    Get pinned messages of a conversation
+ * @access  Private
+ */
+router.get('/conversations/:conversationId/pins',
+  authenticate,
+  getPinnedMessages
+);
+
 /**
  * @route   GET /api/v1/chat/search
- * @desc    Search messages
+ * @desc    Search messages by conversation, sender, type and date, with context around each hit
  * @access  Private
  */
 router.get('/search',
@@ -72,6 +133,17 @@ router.get('/search',
   searchMessages
 );
 
+/**
+ * @route   GET /api/v1/chat/sync
+ * @desc    Get message changes since the device's last sync
+ * @access  Private
+ */
+router.get('/sync',
+  authenticate,
+  validate(messageSchemas.syncMessages, 'query'),
+  syncMessages
+);
+
 /**
  * @route   GET /api/v1/chat/unread-count
  * @desc    Get unread messages count
@@ -102,6 +174,30 @@ router.delete('/messages/:messageId',
   deleteMessage
 );
 
+/**
+ * @route   PUT /api/v1/chat/messages/:messageId
+ * @desc    Edit message text within the edit window
+ * @access  Private
+ */
+router.put('/messages/:messageId',
+  authenticate,
+  messageRateLimit,
+  loggingSQLInjectionFilter,
+  validate(messageSchemas.editMessage),
+  editMessage
+);
+
+/**
+ * @route   GET /api/v1/chat/messages/:messageId/revisions
+ * @desc    Get message edit history
+ * @access  Private
+ */
+router.get('/messages/:messageId/revisions',
+  authenticate,
+  validate(messageSchemas.getMessageRevisions, 'query'),
+  getMessageRevisions
+);
+
 /**
  * @route   POST /api/v1/chat/messages/:messageId/reactions
  * @desc    Add reaction to message
@@ -143,4 +239,122 @@ router.get('/messages/:messageId/status',
   getMessageStatus
 );
 
+/**
+ * @route   GET /api/v1/chat/messages/:messageId/context
+ * @desc    Get messages around a message, to jump to it in history
+ * @access  Private
+ */
+router.get('/messages/:messageId/context',
+  authenticate,
+  validate(messageSchemas.getMessageContext, 'query'),
+  getMessageContext
+);
+
+/**
+ * @route   POST /api/v1/chat/messages/:messageId/pin
+ * @desc    Pin message to its conversation (group admins only in groups)
+ * @access  Private
+ */
+router.post('/messages/:messageId/pin',
+  authenticate,
+  pinMessage
+);
+
+/**
+ * @route   DELETE /api/v1/chat/messages/:messageId/pin
+ * @desc    Unpin message
+ * @access  Private
+ */
+router.delete('/messages/:messageId/pin',
+  authenticate,
+  unpinMessage
+);
+
+/**
+ * @route   POST /api/v1/chat/groups
+ * @desc    Create group conversation
+ * @access  Private
+ */
+router.post('/groups',
+  authenticate,
+  loggingSQLInjectionFilter,
+  validate(messageSchemas.createGroup),
+  createGroup
+);
+
+/**
+ * @route   GET /api/v1/chat/groups/:conversationId
+ * @desc    Get group conversation details and members
+ * @access  Private (Members)
+ */
+router.get('/groups/:conversationId',
+  authenticate,
+  getGroup
+);
+
+/**
+ * @route   PUT /api/v1/chat/groups/:conversationId
+ * @desc    Rename group conversation
+ * @access  Private (Group owner, Group admin)
+ */
+router.put('/groups/:conversationId',
+  authenticate,
+  loggingSQLInjectionFilter,
+  validate(messageSchemas.renameGroup),
+  renameGroup
+);
+
+/**
+ * @route   PUT /api/v1/chat/groups/:conversationId/avatar
+ * @desc    Update group avatar
+ * @access  Private (Group owner, Group admin)
+ */
+router.put('/groups/:conversationId/avatar',
+  authenticate,
+  validate(messageSchemas.updateGroupAvatar),
+  updateGroupAvatar
+);
+
+/**
+ * @route   POST /api/v1/chat/groups/:conversationId/members
+ * @desc    Add members to group conversation
+ * @access  Private (Group owner, Group admin)
+ */
+router.post('/groups/:conversationId/members',
+  authenticate,
+  validate(messageSchemas.addGroupMembers),
+  addGroupMembers
+);
+
+/**
+ * @route   DELETE /api/v1/chat/groups/:conversationId/members/:userId
+ * @desc    Remove member from group conversation
+ * @access  Private (Group owner, Group admin)
+ */
+router.delete('/groups/:conversationId/members/:userId',
+  authenticate,
+  removeGroupMember
+);
+
+/**
+ * @route   PUT /api/v1/chat/groups/:conversationId/members/:userId/role
+ * @desc    Promote or demote group member
+ * @access  Private (Group owner)
+ */
+router.put('/groups/:conversationId/members/:userId/role',
+  authenticate,
+  validate(messageSchemas.updateGroupMemberRole),
+  updateGroupMemberRole
+);
+
+/**
+ * @route   POST /api/v1/chat/groups/:conversationId/leave
+ * @desc    Leave group conversation
+ * @access  Private (Members)
+ */
+router.post('/groups/:conversationId/leave',
+  authenticate,
+  leaveGroup
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Moderation Routes
+ * Defines report submission and moderator review queue endpoints
+ */
+
+const express = require('express');
+const {
+  createReport,
+  getReports,
+  getReport,
+  claimReport,
+  resolveReport
+} = require('../controllers/moderationController');
+
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate, moderationSchemas } = require('../middleware/validator');
+const { loggingSQLInjectionFilter } = require('../middleware/sqlInjectionFilter');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/moderation/reports
+ * @desc    Report a post, comment, message or user
+ * @access  Private
+ */
+router.post('/reports',
+  authenticate,
+  loggingSQLInjectionFilter,
+  validate(moderationSchemas.createReport),
+  createReport
+);
+
+/**
+ * @route   GET /api/v1/moderation/reports
+ * @desc    Get moderation queue
+ * @access  Private (Moderator, Admin)
+ */
+router.get('/reports',
+  authenticate,
+  requireRole('moderator', 'admin'),
+  validate(moderationSchemas.getReports, 'query'),
+  getReports
+);
+
+/**
+ * @route   GET /api/v1/moderation/reports/:id
+ * @desc    Get report with the reported content
+ * @access  Private (Moderator, Admin)
+ */
+router.get('/reports/:id',
+  authenticate,
+  requireRole('moderator', 'admin'),
+  getReport
+);
+
+/**
+ * @route   POST /api/v1/moderation/reports/:id/claim
+ * @desc    Claim report for review
+ * @access  Private (Moderator, Admin)
+ */
+router.post('/reports/:id/claim',
+  authenticate,
+  requireRole('moderator', 'admin'),
+  claimReport
+);
+
+/**
+ * @route   POST /api/v1/moderation/reports/:id/resolve
+ * @desc    Resolve report with a moderation action
+ * @access  Private (Moderator, Admin)
+ */
+router.post('/reports/:id/resolve',
+  authenticate,
+  requireRole('moderator', 'admin'),
+  loggingSQLInjectionFilter,
+  validate(moderationSchemas.resolveReport),
+  resolveReport
+);
+
+module.exports = router;
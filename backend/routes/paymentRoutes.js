@@ -10,7 +10,7 @@ const { loggingSQLInjectionFilter } = require('../middleware/sqlInjectionFilter'
 const paymentService = require('../services/payment');
 const PaymentProcessor = require('../services/paymentProcessor');
 const { logger } = require('../config/logger');
-const { AppError } = require('../errors/AppError');
+const { AppError, NotFoundError, AuthorizationError } = require('../errors/AppError');
 const Joi = require('joi');
 
 const router = express.Router();
@@ -18,17 +18,13 @@ const router = express.Router();
 // Payment validation schemas
 const paymentSchemas = {
   createOrder: Joi.object({
-    amount: Joi.number().positive().required(),
-    description: Joi.string().min(1).max(200).required(),
+    productId: Joi.string().uuid().required(), // Price and effect come from the product catalog
     provider: Joi.string().valid('wechat', 'alipay').default('wechat'),
-    orderType: Joi.string().valid('premium', 'gift', 'boost', 'coins').required(),
     returnUrl: Joi.string().uri().optional(),
     notifyUrl: Joi.string().uri().optional(),
     // Additional data for specific order types
     recipientId: Joi.string().uuid().optional(), // For gifts
-    postId: Joi.string().uuid().optional(), // For post boosts
-    boostDuration: Joi.number().positive().optional(), // For post boosts
-    giftType: Joi.string().valid('premium', 'coins', 'sticker').optional() // For gifts
+    postId: Joi.string().uuid().optional() // For post boosts
   }),
 
   queryOrder: Joi.object({
@@ -38,12 +34,45 @@ const paymentSchemas = {
 
   refundOrder: Joi.object({
     outTradeNo: Joi.string().required(),
-    refundAmount: Joi.number().positive().required(),
+    refundAmount: Joi.number().positive().precision(2).required(),
     refundReason: Joi.string().min(1).max(200).required(),
-    provider: Joi.string().valid('wechat', 'alipay').required()
+    provider: Joi.string().valid('wechat', 'alipay').optional() // Must match the order's provider if given
   })
 };
 
+/**
+ * Apply a verified Alipay refund notification
+ * Alipay sends refund notifications to the order's notify URL with trade_status left as is;
+ * refund_fee and out_biz_no (the refund's out_request_no) tell them apart from payments
+ * @param {Object} verification - Result of paymentService.verifyAlipayCallback
+ * @returns {Promise<Object>} Settlement result
+ */
+const processAlipayRefundNotification = async (verification) => {
+  const { outTradeNo, outRefundNo, tradeNo, refundedAt, data } = verification;
+
+  try {
+    return await PaymentProcessor.processRefundNotification(outRefundNo, 'success', {
+      providerRefundId: tradeNo,
+      refundedAt,
+      providerData: data
+    });
+  } catch (error) {
+    // Refunds made outside this app are acknowledged so Alipay stops resending them
+    if (error instanceof NotFoundError) {
+      logger.warn('Alipay refund notification for unknown refund:', { outTradeNo, outRefundNo });
+      return { changed: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check if a verified Alipay notification reports a refund
+ * @param {Object} verification - Result of paymentService.verifyAlipayCallback
+ * @returns {boolean} Whether the notification is about a refund
+ */
+const isAlipayRefundNotification = (verification) => !!(verification.refundFee && verification.outRefundNo);
+
 /**
  * @route   POST /api/v1/payment/create-order
  * @desc    Create payment order
@@ -56,28 +85,65 @@ router.post('/create-order',
   async (req, res, next) => {
     try {
       const { 
-        amount, 
-        description, 
+        productId,
         provider, 
-        orderType, 
         returnUrl, 
         notifyUrl,
         recipientId,
-        postId,
-        boostDuration,
-        giftType
+        postId
       } = req.body;
       const userId = req.user.id;
 
+      // The catalog sets what is bought and what it costs
+      const Product = require('../models/Product');
+      const product = await Product.findOrderable(productId);
+      if (!product) {
+        return next(new AppError('Product not found', 404));
+      }
+
+      const orderType = product.productType;
+      const amount = parseFloat(product.price);
+      const description = product.name;
+
+      if (orderType === 'gift' && !recipientId) {
+        return next(new AppError('recipientId is required for gifts', 400));
+      }
+      if (orderType === 'boost' && !postId) {
+        return next(new AppError('postId is required for post boosts', 400));
+      }
+
+      // Check the target now; once the customer has paid, a bad target can only fail settlement
+      if (orderType === 'gift') {
+        const User = require('../models/User');
+        const recipient = await User.findOne({
+          where: { id: recipientId, is_active: true },
+          attributes: ['id']
+        });
+        if (!recipient) {
+          return next(new NotFoundError('Gift recipient not found'));
+        }
+      }
+      if (orderType === 'boost') {
+        const Post = require('../models/Post');
+        const post = await Post.findOne({
+          where: { id: postId, is_deleted: false },
+          attributes: ['id', 'user_id']
+        });
+        if (!post) {
+          return next(new NotFoundError('Post not found'));
+        }
+        if (post.user_id !== userId) {
+          return next(new AuthorizationError('You can only boost your own posts'));
+        }
+      }
+
       // Generate unique order number
       const outTradeNo = `${orderType}_${userId}_${Date.now()}`;
 
       // Prepare additional payment data
       const additionalData = {};
-      if (recipientId) additionalData.recipientId = recipientId;
-      if (postId) additionalData.postId = postId;
-      if (boostDuration) additionalData.boostDuration = boostDuration;
-      if (giftType) additionalData.giftType = giftType;
+      if (recipientId && orderType === 'gift') additionalData.recipientId = recipientId;
+      if (postId && orderType === 'boost') additionalData.postId = postId;
 
       const orderData = {
         outTradeNo,
@@ -92,35 +158,40 @@ router.post('/create-order',
         ...additionalData
       };
 
+      // Store the pending order first; callbacks can only settle an order that exists
+      const PaymentOrder = require('../models/PaymentOrder');
+      let order;
+      try {
+        order = await PaymentOrder.create({
+          userId,
+          outTradeNo,
+          amount,
+          description,
+          provider,
+          orderType,
+          productId: product.id,
+          status: 'pending',
+          // Keep the effect as bought; the catalog may change before the payment arrives
+          paymentData: { ...additionalData, product: product.getEffect() }
+        });
+      } catch (dbError) {
+        logger.error('Failed to store payment order in database:', dbError);
+        return next(new AppError('Payment order creation failed', 500));
+      }
+
       const result = await paymentService.createPaymentOrder(orderData, provider);
 
       if (!result.success) {
+        await order.markAsFailed(result.error).catch((error) => {
+          logger.error('Failed to mark payment order as failed:', { outTradeNo, error: error.message });
+        });
         return next(new AppError('Payment order creation failed: ' + result.error, 500));
       }
 
-      // Store order in database
-      const PaymentOrder = require('../models/PaymentOrder');
-      if (PaymentOrder) {
-        try {
-          await PaymentOrder.create({
-            userId,
-            outTradeNo,
-            amount,
-            description,
-            provider,
-            orderType,
-            status: 'pending',
-            paymentData: additionalData
-          });
-        } catch (dbError) {
-          logger.error('Failed to store payment order in database:', dbError);
-          // Continue with payment creation even if DB storage fails
-        }
-      }
-
       logger.info('Payment order created:', {
         userId,
         outTradeNo,
+        productId: product.id,
         amount,
         provider,
         orderType
@@ -131,6 +202,8 @@ router.post('/create-order',
         message: 'Payment order created successfully',
         data: {
           outTradeNo,
+          productId: product.id,
+          amount,
           provider: result.provider,
           payUrl: result.payUrl,
           prepayId: result.prepayId,
@@ -151,11 +224,12 @@ router.post('/create-order',
  * @access  Public
  */
 router.post('/callback/wechat',
+  express.text({ type: ['text/xml', 'application/xml'] }),
   async (req, res, next) => {
     try {
       const xmlData = req.body;
 
-      const verification = paymentService.verifyWechatCallback(xmlData);
+      const verification = await paymentService.verifyWechatCallback(xmlData);
 
       if (!verification.isValid) {
         logger.error('WeChat Pay callback verification failed');
@@ -164,34 +238,28 @@ router.post('/callback/wechat',
 
       const { outTradeNo, transactionId, totalFee } = verification;
 
-      // Update order status in database
-      const PaymentOrder = require('../models/PaymentOrder');
-      if (PaymentOrder) {
-        try {
-          await PaymentOrder.update(
-            { 
-              status: 'paid',
-              transactionId,
-              paidAt: new Date()
-            },
-            { where: { outTradeNo } }
-          );
-        } catch (dbError) {
-          logger.error('Failed to update payment order in database:', dbError);
-        }
+      if (!verification.isPaid) {
+        logger.warn('WeChat Pay callback reports an unsuccessful payment:', { outTradeNo });
+        return res.status(200).send('<xml><return_code><![CDATA[SUCCESS]]></return_code><return_msg><![CDATA[OK]]></return_msg></xml>');
       }
 
-      logger.info('WeChat Pay callback processed:', {
-        outTradeNo,
+      // Marks the order paid and applies it once; repeated callbacks are acknowledged as duplicates
+      const result = await PaymentProcessor.processSuccessfulPayment(outTradeNo, 'wechat', {
         transactionId,
-        totalFee
+        totalFee,
+        amount: totalFee / 100 // Convert back to yuan
       });
 
-      // Process the successful payment
-      await PaymentProcessor.processSuccessfulPayment(outTradeNo, 'wechat', {
+      if (!result.success) {
+        // WeChat retries callbacks that are not acknowledged
+        return res.status(500).send('<xml><return_code><![CDATA[FAIL]]></return_code><return_msg><![CDATA[Processing failed]]></return_msg></xml>');
+      }
+
+      logger.info('WeChat Pay callback processed:', {
+        outTradeNo,
         transactionId,
         totalFee,
-        amount: totalFee / 100 // Convert back to yuan
+        duplicate: result.duplicate
       });
 
       res.status(200).send('<xml><return_code><![CDATA[SUCCESS]]></return_code><return_msg><![CDATA[OK]]></return_msg></xml>');
@@ -220,36 +288,37 @@ router.post('/callback/alipay',
         return res.status(200).send('failure');
       }
 
+      // Refund results arrive here too and must not be processed as payments
+      if (isAlipayRefundNotification(verification)) {
+        await processAlipayRefundNotification(verification);
+        return res.status(200).send('success');
+      }
+
       const { outTradeNo, tradeNo, totalAmount } = verification;
 
-      // Update order status in database
-      const PaymentOrder = require('../models/PaymentOrder');
-      if (PaymentOrder) {
-        try {
-          await PaymentOrder.update(
-            { 
-              status: 'paid',
-              transactionId: tradeNo,
-              paidAt: new Date()
-            },
-            { where: { outTradeNo } }
-          );
-        } catch (dbError) {
-          logger.error('Failed to update payment order in database:', dbError);
-        }
+      // Alipay also notifies about trades waiting for payment or closed unpaid
+      if (!verification.isPaid) {
+        logger.info('Alipay callback for unpaid trade:', { outTradeNo, tradeStatus: verification.data.trade_status });
+        return res.status(200).send('success');
       }
 
-      logger.info('Alipay callback processed:', {
-        outTradeNo,
+      // Marks the order paid and applies it once; repeated callbacks are acknowledged as duplicates
+      const result = await PaymentProcessor.processSuccessfulPayment(outTradeNo, 'alipay', {
         tradeNo,
-        totalAmount
+        totalAmount,
+        amount: parseFloat(totalAmount)
       });
 
-      // Process the successful payment
-      await PaymentProcessor.processSuccessfulPayment(outTradeNo, 'alipay', {
+      if (!result.success) {
+        // Alipay retries callbacks answered with anything but success
+        return res.status(200).send('failure');
+      }
+
+      logger.info('Alipay callback processed:', {
+        outTradeNo,
         tradeNo,
         totalAmount,
-        amount: parseFloat(totalAmount)
+        duplicate: result.duplicate
       });
 
       res.status(200).send('success');
@@ -261,6 +330,87 @@ router.post('/callback/alipay',
   }
 );
 
+/**
+ * @route   POST /api/v1/payment/callback/wechat/refund
+ * @desc    WeChat Pay refund result notification
+ * @access  Public
+ */
+router.post('/callback/wechat/refund',
+  express.text({ type: ['text/xml', 'application/xml'] }),
+  async (req, res, next) => {
+    try {
+      const notification = await paymentService.decryptWechatRefundNotification(req.body);
+
+      if (!notification.isValid) {
+        logger.error('WeChat Pay refund notification could not be decrypted');
+        return res.status(400).send('<xml><return_code><![CDATA[FAIL]]></return_code><return_msg><![CDATA[Invalid notification]]></return_msg></xml>');
+      }
+
+      const { outTradeNo, outRefundNo, refundId, status, refundedAt, data } = notification;
+
+      try {
+        const result = await PaymentProcessor.processRefundNotification(outRefundNo, status, {
+          providerRefundId: refundId,
+          refundedAt,
+          failureReason: status === 'success' ? null : `WeChat refund status ${data.refund_status}`,
+          providerData: data
+        });
+
+        logger.info('WeChat Pay refund notification processed:', {
+          outTradeNo,
+          outRefundNo,
+          status,
+          changed: result.changed
+        });
+      } catch (error) {
+        // Refunds made outside this app are acknowledged so WeChat stops resending them
+        if (!(error instanceof NotFoundError)) {
+          throw error;
+        }
+        logger.warn('WeChat Pay refund notification for unknown refund:', { outTradeNo, outRefundNo });
+      }
+
+      res.status(200).send('<xml><return_code><![CDATA[SUCCESS]]></return_code><return_msg><![CDATA[OK]]></return_msg></xml>');
+
+    } catch (error) {
+      logger.error('WeChat Pay refund notification processing failed:', error);
+      res.status(500).send('<xml><return_code><![CDATA[FAIL]]></return_code><return_msg><![CDATA[Internal error]]></return_msg></xml>');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/v1/payment/callback/alipay/refund
+ * @desc    Alipay refund result notification
+ * @access  Public
+ */
+router.post('/callback/alipay/refund',
+  async (req, res, next) => {
+    try {
+      const verification = paymentService.verifyAlipayCallback(req.body);
+
+      if (!verification.isValid || !isAlipayRefundNotification(verification)) {
+        logger.error('Alipay refund notification verification failed');
+        return res.status(200).send('failure');
+      }
+
+      const result = await processAlipayRefundNotification(verification);
+
+      logger.info('Alipay refund notification processed:', {
+        outTradeNo: verification.outTradeNo,
+        outRefundNo: verification.outRefundNo,
+        changed: result.changed
+      });
+
+      res.status(200).send('success');
+
+    } catch (error) {
+      logger.error('Alipay refund notification processing failed:', error);
+      res.status(200).send('failure');
+    }
+  }
+);
+
 /**
  * @route   GET /api/v1/payment/query/:outTradeNo
  * @desc    Query payment order status
@@ -322,78 +472,56 @@ router.post('/refund',
       const { outTradeNo, refundAmount, refundReason, provider } = req.body;
       const userId = req.user.id;
 
-      // Verify order belongs to user and is refundable
+      // Verify order belongs to user before contacting the provider
       const PaymentOrder = require('../models/PaymentOrder');
-      if (PaymentOrder) {
-        const order = await PaymentOrder.findOne({
-          where: { outTradeNo, userId, status: 'paid' }
-        });
-        
-        if (!order) {
-          return next(new AppError('Order not found or not refundable', 404));
-        }
-      }
-
-      const outRefundNo = `refund_${outTradeNo}_${Date.now()}`;
-
-      let result;
-      if (provider === 'wechat') {
-        result = await paymentService.refundWechatOrder({
-          outTradeNo,
-          outRefundNo,
-          totalFee: Math.round(refundAmount * 100), // Original amount in cents
-          refundFee: Math.round(refundAmount * 100), // Refund amount in cents
-          refundDesc: refundReason
-        });
-      } else {
-        return next(new AppError('Alipay refund not implemented yet', 501));
-      }
+      const order = await PaymentOrder.findOne({
+        where: { outTradeNo, userId }
+      });
 
-      if (!result.success) {
-        return next(new AppError('Refund failed: ' + result.error, 500));
+      if (!order || !order.canBeRefunded()) {
+        return next(new AppError('Order not found or not refundable', 404));
       }
 
-      // Update order status in database
-      if (PaymentOrder) {
-        try {
-          await PaymentOrder.update(
-            { 
-              status: 'refunded',
-              refundId: result.refundId,
-              refundedAt: new Date(),
-              refundReason,
-              refundAmount
-            },
-            { where: { outTradeNo } }
-          );
-        } catch (dbError) {
-          logger.error('Failed to update refund status in database:', dbError);
-        }
+      if (provider && provider !== order.provider) {
+        return next(new AppError(`Order was paid with ${order.provider}`, 400));
       }
 
-      // Process the refund (reverse order effects)
-      await PaymentProcessor.processRefund(outTradeNo, refundAmount, refundReason);
+      // Refund through the order's provider; effects are reversed once the money is returned
+      const result = await PaymentProcessor.processRefund(outTradeNo, refundAmount, refundReason, {
+        userId,
+        notifyUrl: `${req.protocol}://${req.get('host')}/api/v1/payment/callback/wechat/refund`
+      });
 
       logger.info('Payment refund processed:', {
         userId,
         outTradeNo,
-        outRefundNo,
+        outRefundNo: result.outRefundNo,
         refundAmount,
-        provider
+        refundStatus: result.refundStatus,
+        provider: result.provider
       });
 
       res.status(200).json({
         status: 'success',
-        message: 'Refund processed successfully',
+        message: result.refundStatus === 'pending' ? 'Refund submitted' : 'Refund processed successfully',
         data: {
           outTradeNo,
-          outRefundNo,
+          outRefundNo: result.outRefundNo,
           refundId: result.refundId,
-          provider: result.provider
+          provider: result.provider,
+          refundAmount: result.refundAmount,
+          refundStatus: result.refundStatus,
+          refundedTotal: result.refundedTotal,
+          orderStatus: result.orderStatus
         }
       });
 
     } catch (error) {
+      // Amounts over the refundable balance and provider rejections
+      if (error.isOperational) {
+        return next(error);
+      }
+
       logger.error('Payment refund failed:', error);
       next(new AppError('Payment refund failed', 500));
     }
@@ -440,7 +568,7 @@ router.get('/orders',
         offset: (page - 1) * limit,
         attributes: [
           'id', 'outTradeNo', 'amount', 'description', 'provider', 
-          'orderType', 'status', 'createdAt', 'paidAt', 'refundedAt'
+          'orderType', 'productId', 'status', 'createdAt', 'paidAt', 'refundedAt', 'refundAmount'
         ]
       });
 
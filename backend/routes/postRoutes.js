@@ -10,17 +10,25 @@ const {
   getPost,
   getUserPosts,
   updatePost,
+  getPostRevisions,
+  restorePostRevision,
   deletePost,
+  getScheduledPosts,
+  updateScheduledPost,
+  deleteScheduledPost,
   toggleLike,
+  getPostLikes,
   createComment,
   getComments,
+  getCommentReplies,
   sharePost,
   searchPosts,
   getTrendingHashtags,
+  getHashtagPosts,
   reportPost
 } = require('../controllers/postController');
 
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { authenticate, optionalAuth, requireRole } = require('../middleware/auth');
 const { validate, postSchemas } = require('../middleware/validator');
 const { postRateLimit, searchRateLimit } = require('../middleware/rateLimiting');
 const { loggingSQLInjectionFilter } = require('../middleware/sqlInjectionFilter');
@@ -51,6 +59,39 @@ router.get('/feed',
   getFeed
 );
 
+/**
+ * @route   GET /api/v1/posts/scheduled
+ * @desc    Get current user's scheduled posts
+ * @access  Private
+ */
+router.get('/scheduled',
+  authenticate,
+  validate(postSchemas.getScheduledPosts, 'query'),
+  getScheduledPosts
+);
+
+/**
+ * @route   PUT /api/v1/posts/scheduled/:id
+ * @desc    Update scheduled post before it is published
+ * @access  Private
+ */
+router.put('/scheduled/:id',
+  authenticate,
+  loggingSQLInjectionFilter,
+  validate(postSchemas.updateScheduledPost),
+  updateScheduledPost
+);
+
+/**
+ * @route   DELETE /api/v1/posts/scheduled/:id
+ * @desc    Cancel scheduled post
+ * @access  Private
+ */
+router.delete('/scheduled/:id',
+  authenticate,
+  deleteScheduledPost
+);
+
 /**
  * @route   GET /api/v1/posts/search
  * @desc    Search posts
@@ -69,9 +110,22 @@ router.get('/search',
  * @access  Public
  */
 router.get('/trending-hashtags',
+  validate(postSchemas.getTrendingHashtags, 'query'),
   getTrendingHashtags
 );
 
+/**
+ * @route   GET /api/v1/posts/hashtag/:tag
+ * @desc    Get posts tagged with a hashtag
+ * @access  Public
+ */
+router.get('/hashtag/:tag',
+  optionalAuth,
+  validate(postSchemas.hashtagParams, 'params'),
+  validate(postSchemas.getHashtagPosts, 'query'),
+  getHashtagPosts
+);
+
 /**
  * @route   GET /api/v1/posts/user/:userId
  * @desc    Get user posts
@@ -115,6 +169,28 @@ router.delete('/:id',
   deletePost
 );
 
+/**
+ * @route   GET /api/v1/posts/:id/revisions
+ * @desc    Get post edit history
+ * @access  Private (Author, Moderator, Admin)
+ */
+router.get('/:id/revisions',
+  authenticate,
+  validate(postSchemas.getPostRevisions, 'query'),
+  getPostRevisions
+);
+
+/**
+ * @route   POST /api/v1/posts/:id/revisions/:revisionId/restore
+ * @desc    Restore a previous version of a post
+ * @access  Private (Moderator, Admin)
+ */
+router.post('/:id/revisions/:revisionId/restore',
+  authenticate,
+  requireRole('moderator', 'admin'),
+  restorePostRevision
+);
+
 /**
  * @route   POST /api/v1/posts/:id/like
  * @desc    Like/Unlike post
@@ -125,9 +201,20 @@ router.post('/:id/like',
   toggleLike
 );
 
+/**
+ * @route   GET /api/v1/posts/:id/likes
+ * @desc    Get users who liked a post
+ * @access  Public
+ */
+router.get('/:id/likes',
+  optionalAuth,
+  validate(postSchemas.getPostLikes, 'query'),
+  getPostLikes
+);
+
 /**
  * @route   POST /api/v1/posts/:id/comments
- * @desc    Create comment
+ * @desc    Create comment or reply to a comment
  * @access  Private
  */
 router.post('/:id/comments',
@@ -144,9 +231,21 @@ router.post('/:id/comments',
  */
 router.get('/:id/comments',
   optionalAuth,
+  validate(postSchemas.getComments, 'query'),
   getComments
 );
 
+/**
+ * @route   GET /api/v1/posts/:id/comments/:commentId/replies
+ * @desc    Get replies to a comment
+ * @access  Public
+ */
+router.get('/:id/comments/:commentId/replies',
+  optionalAuth,
+  validate(postSchemas.getReplies, 'query'),
+  getCommentReplies
+);
+
 /**
  * @route   POST /api/v1/posts/:id/share
  * @desc    Share post
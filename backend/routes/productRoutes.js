@@ -0,0 +1,79 @@
+/**
+ * Product Routes
+ * Defines product catalog endpoints and their admin management
+ */
+
+const express = require('express');
+const {
+  getProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct
+} = require('../controllers/productController');
+
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate, productSchemas } = require('../middleware/validator');
+const { loggingSQLInjectionFilter } = require('../middleware/sqlInjectionFilter');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/products
+ * @desc    Get product catalog
+ * @access  Private
+ */
+router.get('/',
+  authenticate,
+  validate(productSchemas.getProducts, 'query'),
+  getProducts
+);
+
+/**
+ * @route   GET /api/v1/products/:productId
+ * @desc    Get product
+ * @access  Private
+ */
+router.get('/:productId',
+  authenticate,
+  getProduct
+);
+
+/**
+ * @route   POST /api/v1/products
+ * @desc    Create product
+ * @access  Private (Admin)
+ */
+router.post('/',
+  authenticate,
+  requireRole('admin'),
+  loggingSQLInjectionFilter,
+  validate(productSchemas.createProduct),
+  createProduct
+);
+
+/**
+ * @route   PUT /api/v1/products/:productId
+ * @desc    Update product
+ * @access  Private (Admin)
+ */
+router.put('/:productId',
+  authenticate,
+  requireRole('admin'),
+  loggingSQLInjectionFilter,
+  validate(productSchemas.updateProduct),
+  updateProduct
+);
+
+/**
+ * @route   DELETE /api/v1/products/:productId
+ * @desc    Delete product that has never been ordered
+ * @access  Private (Admin)
+ */
+router.delete('/:productId',
+  authenticate,
+  requireRole('admin'),
+  deleteProduct
+);
+
+module.exports = router;
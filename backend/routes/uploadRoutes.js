@@ -5,11 +5,13 @@
 
 const express = require('express');
 const multer = require('multer');
+const path = require('path');
 const { authenticate } = require('../middleware/auth');
 const { uploadRateLimit } = require('../middleware/rateLimiting');
 const { loggingSQLInjectionFilter } = require('../middleware/sqlInjectionFilter');
 const { customValidations } = require('../middleware/validator');
 const storageService = require('../services/storage');
+const mediaService = require('../services/media');
 const { logger } = require('../config/logger');
 const { AppError } = require('../errors/AppError');
 
@@ -23,7 +25,7 @@ const upload = multer({
     files: 5 // Maximum 5 files
   },
   fileFilter: (req, file, cb) => {
-    // Allow images, videos, and documents
+    // Allow images, videos, voice notes, and documents
     const allowedTypes = [
       'image/jpeg',
       'image/png',
@@ -32,6 +34,14 @@ const upload = multer({
       'video/mp4',
       'video/avi',
       'video/mov',
+      'audio/amr',
+      'audio/aac',
+      'audio/x-aac',
+      'audio/mp4',
+      'audio/m4a',
+      'audio/x-m4a',
+      'audio/ogg',
+      'audio/opus',
       'application/pdf',
       'application/msword',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
@@ -233,18 +243,35 @@ router.post('/message-media',
         return next(new AppError('No file uploaded', 400));
       }
 
+      let { buffer, originalname, mimetype } = req.file;
+      let metadata = null;
+
+      // Voice notes are normalized to AAC so every client can play them
+      if (mediaService.isVoiceType(mimetype)) {
+        const voice = await mediaService.processVoiceMessage(buffer);
+        buffer = voice.buffer;
+        mimetype = voice.mimeType;
+        originalname = path.parse(originalname).name + voice.extension;
+        metadata = voice.metadata;
+      }
+
       const result = await storageService.uploadFile(
-        req.file.buffer,
-        req.file.originalname,
+        buffer,
+        originalname,
         req.user.id,
         'message',
-        req.file.mimetype
+        mimetype
       );
 
       if (!result.success) {
         return next(new AppError('File upload failed: ' + result.error, 500));
       }
 
+      // Attached to the message that is sent with this file
+      if (metadata) {
+        await mediaService.saveVoiceMetadata(result.key, req.user.id, metadata);
+      }
+
       logger.info('Message media uploaded successfully:', {
         userId: req.user.id,
         fileKey: result.key,
@@ -259,11 +286,17 @@ router.post('/message-media',
           key: result.key,
           provider: result.provider,
           size: result.size,
-          type: req.file.mimetype
+          type: mimetype,
+          metadata
         }
       });
 
     } catch (error) {
+      // Unreadable or too long voice notes
+      if (error.isOperational) {
+        return next(error);
+      }
+
       logger.error('Message media upload failed:', error);
       next(new AppError('Media upload failed', 500));
     }
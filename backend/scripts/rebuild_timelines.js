@@ -0,0 +1,127 @@
+/**
+ * Timeline Rebuild Command
+ * Rebuilds cached home timelines from the database
+ *
+ * Usage:
+ *   node scripts/rebuild_timelines.js <userId> [userId...]
+ *   node scripts/rebuild_timelines.js --active-days=7
+ *   node scripts/rebuild_timelines.js --public
+ */
+
+const { Op } = require('sequelize');
+const { testConnection, setupAssociations, closeConnection } = require('../config/db');
+const { logger } = require('../config/logger');
+const redisService = require('../services/redis');
+const timelineService = require('../services/timeline');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options ({ userIds, activeDays, includePublic })
+ */
+const parseArgs = (argv) => {
+  const options = {
+    userIds: [],
+    activeDays: null,
+    includePublic: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '--public') {
+      options.includePublic = true;
+    } else if (arg.startsWith('--active-days=')) {
+      options.activeDays = parseInt(arg.split('=')[1]);
+    } else if (!arg.startsWith('--')) {
+      options.userIds.push(arg);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.activeDays !== null && !(options.activeDays > 0)) {
+    throw new Error('--active-days must be a positive number');
+  }
+
+  if (options.userIds.length === 0 && !options.activeDays && !options.includePublic) {
+    throw new Error('Usage: rebuild_timelines.js <userId...> | --active-days=N | --public');
+  }
+
+  return options;
+};
+
+/**
+ * Get users who logged in recently
+ * @param {number} days - Number of days to look back
+ * @returns {Promise<Array<string>>} User IDs
+ */
+const getActiveUserIds = async (days) => {
+  const User = require('../models/User');
+
+  const users = await User.findAll({
+    where: {
+      is_active: true,
+      last_login: {
+        [Op.gte]: new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+      }
+    },
+    attributes: ['id']
+  });
+
+  return users.map(user => user.id);
+};
+
+/**
+ * Run the rebuild
+ * @returns {Promise<void>}
+ */
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!(await testConnection())) {
+    throw new Error('Database connection failed');
+  }
+
+  setupAssociations();
+  await redisService.connect();
+
+  if (!redisService.isReady()) {
+    throw new Error('Redis is not available');
+  }
+
+  if (options.includePublic) {
+    await timelineService.rebuildPublicTimeline();
+  }
+
+  const userIds = [...options.userIds];
+  if (options.activeDays) {
+    userIds.push(...(await getActiveUserIds(options.activeDays)));
+  }
+
+  let rebuiltCount = 0;
+  for (const userId of new Set(userIds)) {
+    try {
+      if (await timelineService.rebuildTimeline(userId)) {
+        rebuiltCount++;
+      } else {
+        logger.warn(`Timeline rebuild for user ${userId} skipped; another rebuild is in progress`);
+      }
+    } catch (error) {
+      logger.error(`Failed to rebuild timeline for user ${userId}:`, error);
+    }
+  }
+
+  logger.info(`Rebuilt ${rebuiltCount} home timelines`);
+};
+
+run()
+  .then(async () => {
+    await redisService.disconnect();
+    await closeConnection();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    logger.error('Timeline rebuild failed:', error);
+    await redisService.disconnect().catch(() => {});
+    await closeConnection().catch(() => {});
+    process.exit(1);
+  });
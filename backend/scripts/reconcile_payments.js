@@ -0,0 +1,92 @@
+/**
+ * Payment Reconciliation Command
+ * Reconciles a provider's daily bill with payment orders and prints the mismatch report
+ *
+ * Usage:
+ *   node scripts/reconcile_payments.js --provider=wechat [--date=2024-01-31]
+ *   node scripts/reconcile_payments.js --provider=alipay --date=2024-01-31 --file=./bill.zip
+ *   node scripts/reconcile_payments.js --provider=wechat --no-settle
+ */
+
+const fs = require('fs');
+const { testConnection, setupAssociations, closeConnection } = require('../config/db');
+const { logger } = require('../config/logger');
+const redisService = require('../services/redis');
+const paymentReconciliationService = require('../services/paymentReconciliation');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options ({ provider, billDate, file, autoSettle })
+ */
+const parseArgs = (argv) => {
+  const options = {
+    provider: null,
+    billDate: paymentReconciliationService.getBillDate(1),
+    file: null,
+    autoSettle: undefined
+  };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--provider=')) {
+      options.provider = arg.split('=')[1];
+    } else if (arg.startsWith('--date=')) {
+      options.billDate = arg.split('=')[1];
+    } else if (arg.startsWith('--file=')) {
+      options.file = arg.substring('--file='.length);
+    } else if (arg === '--settle') {
+      options.autoSettle = true;
+    } else if (arg === '--no-settle') {
+      options.autoSettle = false;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!['wechat', 'alipay'].includes(options.provider)) {
+    throw new Error('Usage: reconcile_payments.js --provider=wechat|alipay [--date=YYYY-MM-DD] [--file=path] [--settle|--no-settle]');
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.billDate)) {
+    throw new Error('--date must be formatted as YYYY-MM-DD');
+  }
+
+  return options;
+};
+
+/**
+ * Run the reconciliation
+ * @returns {Promise<void>}
+ */
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!(await testConnection())) {
+    throw new Error('Database connection failed');
+  }
+
+  setupAssociations();
+
+  // Redis only stores the report here, so the command also works without it
+  await redisService.connect().catch(() => {});
+
+  const report = await paymentReconciliationService.reconcileDay(options.provider, options.billDate, {
+    content: options.file ? fs.readFileSync(options.file) : undefined,
+    autoSettle: options.autoSettle
+  });
+
+  process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+};
+
+run()
+  .then(async () => {
+    await redisService.disconnect().catch(() => {});
+    await closeConnection();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    logger.error('Payment reconciliation failed:', error);
+    await redisService.disconnect().catch(() => {});
+    await closeConnection().catch(() => {});
+    process.exit(1);
+  });
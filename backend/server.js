@@ -16,6 +16,10 @@ const storageService = require('./services/storage');
 const pushService = require('./services/push');
 const paymentService = require('./services/payment');
 const analyticsService = require('./services/analytics');
+const postSchedulerService = require('./services/postScheduler');
+const messageExpiryService = require('./services/messageExpiry');
+const refundReconciliationService = require('./services/refundReconciliation');
+const paymentReconciliationService = require('./services/paymentReconciliation');
 const { initializeSecretRotation } = require('./secret_rotation');
 
 /**
@@ -151,6 +155,23 @@ async function initializeServices() {
       logger.warn('Analytics service is not configured');
     }
 
+    // Start scheduled post publishing
+    logger.info('Starting post scheduler...');
+    postSchedulerService.startBackgroundProcessing();
+
+    // Start disappearing message purging
+    logger.info('Starting message expiry...');
+    messageExpiryService.startBackgroundProcessing();
+
+    // Start reconciliation of refunds awaiting their result
+    if (paymentService.isAvailable()) {
+      logger.info('Starting refund reconciliation...');
+      refundReconciliationService.startBackgroundProcessing();
+
+      logger.info('Starting payment bill reconciliation...');
+      paymentReconciliationService.startBackgroundProcessing();
+    }
+
     logger.info('All services initialized successfully');
   } catch (error) {
     logger.error('Service initialization failed:', error);
@@ -225,6 +246,12 @@ async function gracefulShutdown(signal) {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
 
   try {
+    // Stop background workers
+    postSchedulerService.stopBackgroundProcessing();
+    messageExpiryService.stopBackgroundProcessing();
+    refundReconciliationService.stopBackgroundProcessing();
+    paymentReconciliationService.stopBackgroundProcessing();
+
     // Close Redis connection
     if (redisService.isReady()) {
       logger.info('Closing Redis connection...');
@@ -0,0 +1,335 @@
+/**
+ * Chat Service
+ * Server-side message sending and device sync shared by the REST API and socket events
+ */
+
+const config = require('../config/env');
+const { logger } = require('../config/logger');
+const { NotFoundError, AuthorizationError } = require('../errors/AppError');
+
+/**
+ * Chat Service Class
+ */
+class ChatService {
+  /**
+   * Load a message with the details clients display
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Message>} Message with sender and receiver
+   */
+  async getMessageForDelivery(messageId) {
+    const Message = require('../models/Message');
+    return await Message.scope(['withSender', 'withReceiver']).findByPk(messageId);
+  }
+
+  /**
+   * Find a message already stored for a client idempotency key
+   * @param {string} senderId - Sender ID
+   * @param {string} clientMessageId - Client-generated idempotency key
+   * @returns {Promise<Message|null>} Stored message, or null if the key is new
+   */
+  async findByClientMessageId(senderId, clientMessageId) {
+    const Message = require('../models/Message');
+
+    const existing = await Message.findOne({
+      where: {
+        sender_id: senderId,
+        client_message_id: clientMessageId
+      },
+      attributes: ['id']
+    });
+
+    return existing ? await this.getMessageForDelivery(existing.id) : null;
+  }
+
+  /**
+   * Check if user is a participant of a conversation
+   * Direct conversations allow the two users unless one has blocked the other; groups allow members
+   * @param {string} userId - User ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<boolean>} Whether user is a participant
+   */
+  async isParticipant(userId, conversationId) {
+    const Conversation = require('../models/Conversation');
+
+    if (typeof conversationId !== 'string') {
+      return false;
+    }
+
+    if (Conversation.isGroupId(conversationId)) {
+      const ConversationMember = require('../models/ConversationMember');
+      return !!(await ConversationMember.findMembership(conversationId, userId));
+    }
+
+    const participantIds = conversationId.split('_');
+    if (participantIds.length !== 2 || !participantIds.includes(userId)) {
+      return false;
+    }
+
+    const Friend = require('../models/Friend');
+    return !(await Friend.isBlocked(participantIds[0], participantIds[1]));
+  }
+
+  /**
+   * Resolve the conversation a message goes to, checking the sender may post in it
+   * @param {string} senderId - Sender ID
+   * @param {Object} data - Message data with receiver_id or conversation_id
+   * @returns {Promise<string>} Conversation ID
+   * @throws {NotFoundError|AuthorizationError} When the receiver or group is missing or closed to the sender
+   */
+  async resolveConversation(senderId, data) {
+    const Message = require('../models/Message');
+    const User = require('../models/User');
+    const Friend = require('../models/Friend');
+    const Conversation = require('../models/Conversation');
+    const ConversationMember = require('../models/ConversationMember');
+
+    if (data.conversation_id) {
+      // Group message
+      const conversation = await Conversation.findByPk(data.conversation_id);
+      if (!conversation) {
+        throw new NotFoundError('Conversation not found');
+      }
+
+      const membership = await ConversationMember.findMembership(conversation.id, senderId);
+      if (!membership) {
+        throw new AuthorizationError('You are not a member of this group');
+      }
+
+      return conversation.id;
+    }
+
+    // Check if receiver exists
+    const receiver = await User.findByPk(data.receiver_id);
+    if (!receiver) {
+      throw new NotFoundError('Receiver not found');
+    }
+
+    // Check if users are friends or if receiver allows messages from non-friends
+    const areFriends = await Friend.areFriends(senderId, data.receiver_id);
+    if (!areFriends && receiver.is_private) {
+      throw new AuthorizationError('You can only message friends');
+    }
+
+    // Check if sender is blocked
+    const isBlocked = await Friend.isBlocked(senderId, data.receiver_id);
+    if (isBlocked) {
+      throw new AuthorizationError('Cannot send message to this user');
+    }
+
+    return Message.generateConversationId(senderId, data.receiver_id);
+  }
+
+  /**
+   * Store a message and deliver it to the conversation
+   * Retries with the same client_message_id return the stored message without sending it again
+   * @param {string} senderId - Sender ID
+   * @param {Object} data - Validated message data (messageSchemas.sendMessage)
+   * @returns {Promise<Object>} Result ({ message, created })
+   * @throws {NotFoundError|AuthorizationError} When the sender cannot post to the conversation
+   */
+  async sendMessage(senderId, data) {
+    const Message = require('../models/Message');
+    const Conversation = require('../models/Conversation');
+    const socketService = require('./socket');
+    const mediaService = require('./media');
+
+    if (data.client_message_id) {
+      const existing = await this.findByClientMessageId(senderId, data.client_message_id);
+      if (existing) {
+        return { message: existing, created: false };
+      }
+    }
+
+    const conversationId = await this.resolveConversation(senderId, data);
+    const isGroup = !!data.conversation_id;
+
+    // Duration and waveform were extracted when the voice note was uploaded
+    const mediaMetadata = data.message_type === 'audio' && data.media_url
+      ? await mediaService.getVoiceMetadata(data.media_url, senderId)
+      : null;
+
+    let message;
+    try {
+      message = await Message.create({
+        sender_id: senderId,
+        receiver_id: isGroup ? null : data.receiver_id,
+        conversation_id: conversationId,
+        client_message_id: data.client_message_id || null,
+        is_encrypted: !!data.is_encrypted,
+        sender_device_id: data.is_encrypted ? data.sender_device_id : null,
+        ciphertext: data.is_encrypted ? data.ciphertext : null,
+        content: data.content,
+        message_type: data.message_type || 'text',
+        media_url: data.media_url,
+        media_metadata: mediaMetadata,
+        reply_to_id: data.reply_to_id,
+        location_data: data.location_data,
+        contact_data: data.contact_data
+      });
+    } catch (error) {
+      // A concurrent retry stored the message first
+      if (error.name === 'SequelizeUniqueConstraintError' && data.client_message_id) {
+        const existing = await this.findByClientMessageId(senderId, data.client_message_id);
+        if (existing) {
+          return { message: existing, created: false };
+        }
+      }
+      throw error;
+    }
+
+    if (isGroup) {
+      await Conversation.update(
+        { last_message_at: message.created_at },
+        { where: { id: conversationId } }
+      );
+    }
+
+    const createdMessage = await this.getMessageForDelivery(message.id);
+
+    // Send real-time message via Socket.IO
+    await socketService.sendMessageToConversation(conversationId, createdMessage, senderId);
+
+    // Mark message as delivered if receiver is online (group delivery is not tracked per member),
+    // otherwise let their devices know through a push notification
+    if (!isGroup) {
+      if (await socketService.isUserOnline(data.receiver_id)) {
+        await message.markAsDelivered();
+      } else {
+        await this.sendPushNotification(createdMessage);
+      }
+    }
+
+    logger.info(`Message sent from ${senderId} to ${isGroup ? `group ${conversationId}` : data.receiver_id}`, { messageId: message.id });
+
+    return { message: createdMessage, created: true };
+  }
+
+  /**
+   * Send a push notification for a direct message
+   * The body is the message preview, which never includes content of encrypted messages
+   * @param {Message} message - Message with sender
+   */
+  async sendPushNotification(message) {
+    const pushService = require('./push');
+
+    if (!pushService.isAvailable()) {
+      return;
+    }
+
+    try {
+      const sender = message.sender;
+      const senderName = sender
+        ? [sender.first_name, sender.last_name].filter(Boolean).join(' ') || sender.username
+        : 'New message';
+
+      const result = await pushService.sendNotificationToUser(message.receiver_id, {
+        title: senderName,
+        body: message.getPreview(),
+        data: {
+          type: 'message',
+          messageId: message.id,
+          conversationId: message.conversation_id,
+          isEncrypted: message.is_encrypted
+        }
+      });
+
+      if (!result.success) {
+        logger.debug(`Message push not sent to user ${message.receiver_id}`, { error: result.error });
+      }
+    } catch (error) {
+      logger.error('Error sending message push notification:', error);
+    }
+  }
+
+  /**
+   * Get message changes a device has not received yet
+   * Returns changed messages in order, IDs of messages deleted for the user and group read
+   * positions, then moves the device's stored position to the returned cursor
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Client device ID
+   * @param {Object} options - Sync options ({ since, limit }); since is a decoded cursor from
+   *   a previous sync and defaults to the device's stored position
+   * @returns {Promise<Object>} Changes ({ messages, deletedMessageIds, readMarkers, cursor, hasMore })
+   */
+  async syncMessages(userId, deviceId, options = {}) {
+    const Message = require('../models/Message');
+    const ConversationMember = require('../models/ConversationMember');
+    const DeviceSyncState = require('../models/DeviceSyncState');
+    const socketService = require('./socket');
+
+    const limit = options.limit || 100;
+    const state = await DeviceSyncState.findForDevice(userId, deviceId);
+
+    // Devices syncing for the first time start from a bounded history window
+    const since = options.since || state.getCursor() || {
+      updatedAt: new Date(Date.now() - config.chat.syncMaxAgeDays * 24 * 60 * 60 * 1000),
+      id: ''
+    };
+
+    // updated_at only keeps whole seconds, so changes made during the current second are
+    // left for the next sync; a later change in that second could otherwise sort behind the cursor
+    const settledBefore = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+    const rows = await Message.getChangesSince(userId, since, settledBefore, limit + 1);
+    const hasMore = rows.length > limit;
+    const changes = rows.slice(0, limit);
+    const last = changes[changes.length - 1];
+
+    // Once caught up the cursor moves to the settled boundary, so quiet periods are not scanned again
+    const cursor = hasMore
+      ? { updatedAt: last.updated_at, id: last.id }
+      : { updatedAt: settledBefore, id: '' };
+
+    const messages = [];
+    const deletedMessageIds = [];
+    changes.forEach(message => {
+      if (message.isVisibleToUser(userId)) {
+        messages.push(message);
+      } else {
+        deletedMessageIds.push(message.id);
+      }
+    });
+
+    const readMarkers = await ConversationMember.getReadMarkersBetween(userId, since.updatedAt, cursor.updatedAt);
+
+    // Messages reaching one of the receiver's devices count as delivered
+    const undelivered = messages.filter(message => message.receiver_id === userId && !message.is_delivered);
+    if (undelivered.length > 0) {
+      const deliveredAt = new Date();
+      await Message.markDelivered(undelivered.map(message => message.id), deliveredAt);
+
+      const byConversation = {};
+      undelivered.forEach(message => {
+        message.setDataValue('is_delivered', true);
+        message.setDataValue('delivered_at', deliveredAt);
+        (byConversation[message.conversation_id] = byConversation[message.conversation_id] || []).push(message.id);
+      });
+
+      Object.entries(byConversation).forEach(([conversationId, messageIds]) => {
+        socketService.emitToConversation(conversationId, 'messages_delivered', {
+          conversationId,
+          messageIds,
+          deliveredTo: userId,
+          deliveredAt
+        });
+      });
+    }
+
+    await state.advance(cursor);
+
+    logger.debug(`Synced ${changes.length} message changes to device of user ${userId}`, { hasMore });
+
+    return {
+      messages,
+      deletedMessageIds,
+      readMarkers,
+      cursor: DeviceSyncState.encodeCursor(cursor),
+      hasMore
+    };
+  }
+}
+
+// Create singleton instance
+const chatService = new ChatService();
+
+module.exports = chatService;
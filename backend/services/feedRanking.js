@@ -0,0 +1,137 @@
+/**
+ * Feed Ranking Service
+ * Scores feed candidates by engagement, recency and friendship affinity
+ */
+
+const config = require('../config/env');
+const { logger } = require('../config/logger');
+const redisService = require('./redis');
+
+/**
+ * Feed Ranking Service Class
+ */
+class FeedRankingService {
+  constructor() {
+    this.weights = config.feed.rankedWeights;
+    this.recencyHalfLifeHours = config.feed.recencyHalfLifeHours;
+    this.candidateWindowHours = config.feed.candidateWindowHours;
+    this.candidateLimit = config.feed.candidateLimit;
+    this.cacheTtl = config.feed.rankedCacheTtl;
+  }
+
+  /**
+   * Score a single post for a viewer
+   * Counters are log-scaled so a viral post cannot drown out everything else,
+   * and recency decays by half every recencyHalfLifeHours
+   * @param {Object} post - Post with engagement counters
+   * @param {Object|undefined} affinity - Viewer's affinity with the author ({ interactionCount, isCloseFriend })
+   * @param {number} now - Current timestamp in milliseconds
+   * @returns {number} Ranking score
+   */
+  scorePost(post, affinity, now = Date.now()) {
+    const ageHours = Math.max(0, now - new Date(post.created_at).getTime()) / (60 * 60 * 1000);
+    const recency = Math.pow(0.5, ageHours / this.recencyHalfLifeHours);
+
+    let score = this.weights.likes * Math.log1p(post.likes_count || 0)
+      + this.weights.comments * Math.log1p(post.comments_count || 0)
+      + this.weights.shares * Math.log1p(post.shares_count || 0)
+      + this.weights.recency * recency;
+
+    if (affinity) {
+      score += this.weights.interaction * Math.log1p(affinity.interactionCount || 0);
+
+      if (affinity.isCloseFriend) {
+        score += this.weights.closeFriend;
+      }
+    }
+
+    return score;
+  }
+
+  /**
+   * Rank feed candidates for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Post IDs, best first
+   */
+  async rankFeed(userId) {
+    const Post = require('../models/Post');
+    const Friend = require('../models/Friend');
+
+    const since = new Date(Date.now() - this.candidateWindowHours * 60 * 60 * 1000);
+
+    const [candidates, affinities] = await Promise.all([
+      Post.getFeedCandidates(userId, since, this.candidateLimit),
+      Friend.getFriendAffinities(userId)
+    ]);
+
+    const now = Date.now();
+
+    return candidates
+      .map(post => ({
+        id: post.id,
+        score: this.scorePost(post, affinities.get(post.user_id), now),
+        createdAt: new Date(post.created_at).getTime()
+      }))
+      .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+      .map(entry => entry.id);
+  }
+
+  /**
+   * Get a page of the ranked feed
+   * The ranking is cached per user so later pages stay consistent with the first;
+   * requesting the first page always re-ranks
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of posts to fetch
+   * @param {number} offset - Offset into the ranked list
+   * @returns {Promise<Object>} Posts with author details and whether more remain
+   */
+  async getRankedFeed(userId, limit = 20, offset = 0) {
+    const Post = require('../models/Post');
+    const cacheKey = `feed:ranked:${userId}`;
+
+    let rankedIds = null;
+
+    if (offset > 0 && redisService.isReady()) {
+      try {
+        rankedIds = await redisService.get(cacheKey, true);
+      } catch (error) {
+        logger.warn('Failed to read ranked feed cache:', error);
+      }
+    }
+
+    if (!rankedIds) {
+      rankedIds = await this.rankFeed(userId);
+
+      if (redisService.isReady()) {
+        try {
+          await redisService.set(cacheKey, rankedIds, this.cacheTtl);
+        } catch (error) {
+          logger.warn('Failed to cache ranked feed:', error);
+        }
+      }
+    }
+
+    const pageIds = rankedIds.slice(offset, offset + limit);
+
+    // Re-read the page so posts deleted or hidden since ranking drop out
+    const posts = pageIds.length > 0
+      ? await Post.scope(['published', 'withAuthor']).findAll({
+        where: {
+          id: pageIds
+        }
+      })
+      : [];
+
+    const postsById = new Map(posts.map(post => [post.id, post]));
+
+    return {
+      posts: pageIds.map(id => postsById.get(id)).filter(Boolean),
+      hasNextPage: rankedIds.length > offset + limit
+    };
+  }
+}
+
+// Create singleton instance
+const feedRankingService = new FeedRankingService();
+
+module.exports = feedRankingService;
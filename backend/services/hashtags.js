@@ -0,0 +1,161 @@
+/**
+ * Hashtag Service
+ * Maintains rolling hashtag counters in Redis sorted sets for trending hashtags
+ */
+
+const { logger } = require('../config/logger');
+const redisService = require('./redis');
+
+const BUCKET_SIZE_MS = 60 * 60 * 1000; // 1 hour buckets
+const BUCKET_KEY_PREFIX = 'hashtags:trending:';
+const UNION_KEY_PREFIX = 'hashtags:trending:window:';
+const UNION_CACHE_TTL = 60; // Seconds a computed window is reused
+
+// Number of hourly buckets summed for each supported window
+const WINDOWS = {
+  '1h': 1,
+  '24h': 24,
+  '7d': 168
+};
+
+// Buckets are kept one hour longer than the widest window
+const BUCKET_TTL = (WINDOWS['7d'] + 1) * 60 * 60;
+
+/**
+ * Hashtag Service Class
+ */
+class HashtagService {
+  constructor() {
+    this.windows = WINDOWS;
+  }
+
+  /**
+   * Get hashtags a post contributes to trending counters
+   * Only published, public, visible regular posts are counted
+   * @param {Object} post - Post instance or plain post values
+   * @returns {Array<string>} Hashtags to count
+   */
+  getIndexedHashtags(post) {
+    if (!post || post.is_deleted || post.is_hidden || post.is_published === false) {
+      return [];
+    }
+
+    if (post.privacy !== 'public' || (post.post_type && post.post_type !== 'post')) {
+      return [];
+    }
+
+    return [...new Set(post.hashtags || [])];
+  }
+
+  /**
+   * Get hourly bucket number for a date
+   * @param {Date} date - Date to bucket
+   * @returns {number} Bucket number
+   */
+  getBucket(date = new Date()) {
+    return Math.floor(new Date(date).getTime() / BUCKET_SIZE_MS);
+  }
+
+  /**
+   * Sync trending counters after a post was created, edited or deleted
+   * @param {Object} post - Post in its current state
+   * @param {Object} previousPost - Plain post values before the change (null for new posts)
+   * @returns {Promise<void>}
+   */
+  async syncPost(post, previousPost = null) {
+    try {
+      if (!redisService.isReady()) {
+        return;
+      }
+
+      const currentTags = this.getIndexedHashtags(post);
+      const previousTags = this.getIndexedHashtags(previousPost);
+
+      const added = currentTags.filter(tag => !previousTags.includes(tag));
+      const removed = previousTags.filter(tag => !currentTags.includes(tag));
+
+      if (added.length === 0 && removed.length === 0) {
+        return;
+      }
+
+      // Count the post in the hour it went live so edits do not re-trend old posts
+      const bucket = this.getBucket(post.scheduled_at || post.created_at || new Date());
+      if (this.getBucket() - bucket >= WINDOWS['7d']) {
+        return;
+      }
+
+      const key = `${BUCKET_KEY_PREFIX}${bucket}`;
+
+      for (const tag of added) {
+        await redisService.zincrby(key, 1, tag);
+      }
+
+      for (const tag of removed) {
+        const score = await redisService.zincrby(key, -1, tag);
+        if (score <= 0) {
+          await redisService.zrem(key, tag);
+        }
+      }
+
+      await redisService.expire(key, BUCKET_TTL);
+    } catch (error) {
+      logger.error('Failed to sync hashtag counters:', error);
+    }
+  }
+
+  /**
+   * Get trending hashtags for a rolling window
+   * @param {string} window - Window name ('1h', '24h' or '7d')
+   * @param {number} limit - Number of hashtags to return
+   * @returns {Promise<Array|null>} Array of { hashtag, count }, or null when Redis is unavailable
+   */
+  async getTrending(window = '24h', limit = 10) {
+    const bucketCount = WINDOWS[window];
+    if (!bucketCount) {
+      throw new Error(`Unsupported trending window: ${window}`);
+    }
+
+    if (!redisService.isReady()) {
+      return null;
+    }
+
+    try {
+      const unionKey = `${UNION_KEY_PREFIX}${window}`;
+
+      if (!(await redisService.exists(unionKey))) {
+        const currentBucket = this.getBucket();
+        const keys = [];
+        for (let i = 0; i < bucketCount; i++) {
+          keys.push(`${BUCKET_KEY_PREFIX}${currentBucket - i}`);
+        }
+
+        await redisService.zunionstore(unionKey, keys);
+        await redisService.expire(unionKey, UNION_CACHE_TTL);
+      }
+
+      const entries = await redisService.zrevrangeWithScores(unionKey, 0, limit - 1);
+
+      return entries.map(entry => ({
+        hashtag: entry.value,
+        count: Math.round(entry.score)
+      }));
+    } catch (error) {
+      logger.error('Failed to read trending hashtags:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get start date of a rolling window
+   * @param {string} window - Window name
+   * @returns {Date} Window start
+   */
+  getWindowStart(window = '24h') {
+    return new Date(Date.now() - WINDOWS[window] * BUCKET_SIZE_MS);
+  }
+}
+
+// Create singleton instance
+const hashtagService = new HashtagService();
+
+module.exports = hashtagService;
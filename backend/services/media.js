@@ -0,0 +1,253 @@
+/**
+ * Media Service
+ * Transcodes voice messages with a local ffmpeg and extracts their playback metadata
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const { logger } = require('../config/logger');
+const { ValidationError } = require('../errors/AppError');
+const redisService = require('./redis');
+const storageService = require('./storage');
+
+// Voice note formats accepted from clients (AMR, AAC, M4A and Opus)
+const VOICE_MIME_TYPES = [
+  'audio/amr',
+  'audio/aac',
+  'audio/x-aac',
+  'audio/mp4',
+  'audio/m4a',
+  'audio/x-m4a',
+  'audio/ogg',
+  'audio/opus'
+];
+
+// Sample rate the waveform is computed from; plenty for a peak overview
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+// Uploaded voice metadata waits this long for the message that uses it
+const METADATA_TTL = 24 * 60 * 60;
+
+/**
+ * Media Service Class
+ */
+class MediaService {
+  constructor() {
+    this.ffmpegPath = config.upload.ffmpegPath;
+    this.ffprobePath = config.upload.ffprobePath;
+    this.timeout = config.upload.ffmpegTimeout;
+    this.maxVoiceDuration = config.upload.voiceMaxDuration;
+    this.waveformSamples = config.upload.voiceWaveformSamples;
+  }
+
+  /**
+   * Check if a MIME type is an accepted voice note format
+   * @param {string} mimeType - MIME type
+   * @returns {boolean} Whether the file is a voice note
+   */
+  isVoiceType(mimeType) {
+    return VOICE_MIME_TYPES.includes(mimeType);
+  }
+
+  /**
+   * Run ffmpeg or ffprobe and collect its output
+   * The process is killed if it runs longer than the configured timeout
+   * @param {string} command - Executable path
+   * @param {Array<string>} args - Arguments
+   * @returns {Promise<Buffer>} Standard output
+   */
+  runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const stdout = [];
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${path.basename(command)} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => {
+        // Keep the tail only; errors are reported at the end
+        stderr = (stderr + chunk.toString()).slice(-2000);
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(Buffer.concat(stdout));
+        } else {
+          reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the duration of an audio file
+   * @param {string} filePath - File path
+   * @returns {Promise<number|null>} Duration in seconds, or null if the container does not record it
+   */
+  async probeDuration(filePath) {
+    const output = await this.runCommand(this.ffprobePath, [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath
+    ]);
+
+    const duration = parseFloat(output.toString().trim());
+    return Number.isFinite(duration) ? duration : null;
+  }
+
+  /**
+   * Reduce 16-bit PCM samples to peak levels
+   * @param {Buffer} pcm - Mono signed 16-bit little-endian samples
+   * @returns {Array<number>} Peaks scaled to 0-100, loudest peak at 100
+   */
+  buildWaveform(pcm) {
+    const sampleCount = Math.floor(pcm.length / 2);
+    const bucketSize = Math.max(Math.ceil(sampleCount / this.waveformSamples), 1);
+    const peaks = [];
+
+    for (let start = 0; start < sampleCount; start += bucketSize) {
+      const end = Math.min(start + bucketSize, sampleCount);
+      let peak = 0;
+      for (let i = start; i < end; i++) {
+        peak = Math.max(peak, Math.abs(pcm.readInt16LE(i * 2)));
+      }
+      peaks.push(peak);
+    }
+
+    const loudest = Math.max(...peaks, 0);
+    return peaks.map(peak => (loudest > 0 ? Math.round(peak / loudest * 100) : 0));
+  }
+
+  /**
+   * Normalize a voice note to mono AAC and extract its duration and waveform
+   * @param {Buffer} buffer - Uploaded audio
+   * @returns {Promise<Object>} Processed audio ({ buffer, mimeType, extension, metadata })
+   * @throws {ValidationError} When the audio cannot be decoded or is too long
+   */
+  async processVoiceMessage(buffer) {
+    await fs.promises.mkdir(config.upload.tempPath, { recursive: true });
+    const workDir = await fs.promises.mkdtemp(path.join(config.upload.tempPath, 'voice-'));
+    const inputPath = path.join(workDir, 'input');
+    const outputPath = path.join(workDir, 'output.m4a');
+
+    try {
+      await fs.promises.writeFile(inputPath, buffer);
+
+      // Reject long recordings before spending time transcoding them
+      let probedDuration;
+      try {
+        probedDuration = await this.probeDuration(inputPath);
+      } catch (error) {
+        logger.warn('Voice message could not be probed', { error: error.message });
+        throw new ValidationError('Audio file could not be read');
+      }
+
+      if (probedDuration !== null && probedDuration > this.maxVoiceDuration) {
+        throw new ValidationError(`Voice messages can be at most ${this.maxVoiceDuration} seconds long`);
+      }
+
+      try {
+        await this.runCommand(this.ffmpegPath, [
+          '-hide_banner', '-loglevel', 'error', '-y',
+          '-i', inputPath,
+          '-vn', '-map_metadata', '-1',
+          '-ac', '1', '-ar', '44100',
+          '-c:a', 'aac', '-b:a', '64k',
+          '-movflags', '+faststart',
+          outputPath
+        ]);
+      } catch (error) {
+        logger.warn('Voice message could not be transcoded', { error: error.message });
+        throw new ValidationError('Audio file could not be converted');
+      }
+
+      // Decode the normalized file once more for an exact duration and the waveform
+      const pcm = await this.runCommand(this.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', outputPath,
+        '-ac', '1', '-ar', String(WAVEFORM_SAMPLE_RATE),
+        '-f', 's16le', '-acodec', 'pcm_s16le',
+        'pipe:1'
+      ]);
+
+      const duration = Math.round(pcm.length / 2 / WAVEFORM_SAMPLE_RATE * 10) / 10;
+      if (duration === 0) {
+        throw new ValidationError('Audio file is empty');
+      }
+      if (duration > this.maxVoiceDuration) {
+        throw new ValidationError(`Voice messages can be at most ${this.maxVoiceDuration} seconds long`);
+      }
+
+      return {
+        buffer: await fs.promises.readFile(outputPath),
+        mimeType: 'audio/mp4',
+        extension: '.m4a',
+        metadata: {
+          duration,
+          waveform: this.buildWaveform(pcm),
+          codec: 'aac',
+          mime_type: 'audio/mp4'
+        }
+      };
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Keep voice metadata until the message using the uploaded file is sent
+   * @param {string} fileKey - Storage key of the uploaded file
+   * @param {string} userId - Uploader ID
+   * @param {Object} metadata - Voice metadata
+   */
+  async saveVoiceMetadata(fileKey, userId, metadata) {
+    if (!redisService.isReady()) {
+      return;
+    }
+
+    try {
+      await redisService.set(`media:voice_metadata:${fileKey}`, { userId, metadata }, METADATA_TTL);
+    } catch (error) {
+      logger.error('Error caching voice metadata:', error);
+    }
+  }
+
+  /**
+   * Get metadata of a voice note uploaded by a user
+   * @param {string} mediaUrl - URL of the uploaded file
+   * @param {string} userId - Sender ID; files uploaded by others are ignored
+   * @returns {Promise<Object|null>} Voice metadata, or null if unknown
+   */
+  async getVoiceMetadata(mediaUrl, userId) {
+    const file = storageService.parseFileUrl(mediaUrl);
+    if (!file || !redisService.isReady()) {
+      return null;
+    }
+
+    try {
+      const cached = await redisService.get(`media:voice_metadata:${file.key}`, true);
+      return cached && cached.userId === userId ? cached.metadata : null;
+    } catch (error) {
+      logger.error('Error reading voice metadata:', error);
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const mediaService = new MediaService();
+
+module.exports = mediaService;
@@ -0,0 +1,165 @@
+/**
+ * Message Expiry Service
+ * Purges disappearing messages once they expire and tells connected clients
+ */
+
+const config = require('../config/env');
+const { logger } = require('../config/logger');
+const redisService = require('./redis');
+const storageService = require('./storage');
+const socketService = require('./socket');
+
+const LOCK_KEY = 'locks:message_expiry';
+
+/**
+ * Message Expiry Service Class
+ */
+class MessageExpiryService {
+  constructor() {
+    this.interval = config.chat.expiryInterval;
+    this.batchSize = config.chat.expiryBatchSize;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Purge expired messages
+   * A Redis lock keeps instances from sweeping at the same time; the purge itself
+   * only touches messages that are not deleted yet, so overlapping sweeps are harmless
+   * @returns {Promise<number>} Number of messages purged by this instance
+   */
+  async processExpiredMessages() {
+    // Models are loaded lazily so the service can be required before the database is initialized
+    const Message = require('../models/Message');
+
+    let lockToken = null;
+    if (redisService.isReady()) {
+      // Expire the lock before the next run in case this instance dies mid-sweep
+      lockToken = await redisService.acquireLock(LOCK_KEY, Math.max(Math.floor(this.interval / 1000), 1));
+      if (!lockToken) {
+        return 0;
+      }
+    }
+
+    try {
+      const expiredMessages = await Message.cleanupExpiredMessages(this.batchSize);
+      if (expiredMessages.length === 0) {
+        return 0;
+      }
+
+      await this.deleteMedia(expiredMessages);
+      await this.notifyExpired(expiredMessages);
+
+      logger.info(`Purged ${expiredMessages.length} expired messages`);
+
+      return expiredMessages.length;
+    } finally {
+      if (lockToken) {
+        await redisService.releaseLock(LOCK_KEY, lockToken).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Delete stored media of purged messages
+   * Files still used by another message, such as a forwarded copy, are kept
+   * @param {Array} messages - Purged messages
+   */
+  async deleteMedia(messages) {
+    const Message = require('../models/Message');
+
+    const mediaUrls = [...new Set(messages.map(message => message.media_url).filter(Boolean))];
+
+    for (const mediaUrl of mediaUrls) {
+      try {
+        if (await Message.isMediaReferenced(mediaUrl)) {
+          continue;
+        }
+
+        const file = storageService.parseFileUrl(mediaUrl);
+        if (!file) {
+          logger.warn('Cannot delete media of expired message, unrecognized URL', { mediaUrl });
+          continue;
+        }
+
+        const result = await storageService.deleteFile(file.key, file.provider);
+        if (!result.success) {
+          logger.warn('Failed to delete media of expired message', { key: file.key, error: result.error });
+        }
+      } catch (error) {
+        logger.error('Error deleting media of expired message:', error);
+      }
+    }
+  }
+
+  /**
+   * Send messages_expired to every participant of the affected conversations
+   * @param {Array} messages - Purged messages
+   */
+  async notifyExpired(messages) {
+    const Conversation = require('../models/Conversation');
+    const ConversationMember = require('../models/ConversationMember');
+
+    const byConversation = {};
+    messages.forEach(message => {
+      (byConversation[message.conversation_id] = byConversation[message.conversation_id] || []).push(message.id);
+    });
+
+    for (const [conversationId, messageIds] of Object.entries(byConversation)) {
+      try {
+        const participantIds = Conversation.isGroupId(conversationId)
+          ? await ConversationMember.getMemberIds(conversationId)
+          : conversationId.split('_');
+
+        socketService.emitToUsers(participantIds, 'messages_expired', {
+          conversationId,
+          messageIds
+        });
+      } catch (error) {
+        logger.error('Error notifying expired messages:', error);
+      }
+    }
+  }
+
+  /**
+   * Start background purging of expired messages
+   */
+  startBackgroundProcessing() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      // Skip overlapping runs on this instance when a sweep takes longer than the interval
+      if (this.isRunning) {
+        return;
+      }
+
+      this.isRunning = true;
+      try {
+        await this.processExpiredMessages();
+      } catch (error) {
+        logger.error('Expired message processing failed:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    }, this.interval);
+
+    logger.info('Message expiry background processing started');
+  }
+
+  /**
+   * Stop background processing
+   */
+  stopBackgroundProcessing() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const messageExpiryService = new MessageExpiryService();
+
+module.exports = messageExpiryService;
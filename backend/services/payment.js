@@ -10,6 +10,42 @@ const xml2js = require('xml2js');
 const config = require('../config/env');
 const { logger } = require('../config/logger');
 
+// Provider error codes meaning a refund request should be retried with the same refund number;
+// the refund may or may not have been accepted
+const RETRYABLE_REFUND_ERRORS = ['SYSTEMERROR', 'BIZERR_NEED_RETRY', 'ACQ.SYSTEM_ERROR'];
+
+// WeChat refund states (refund_status) mapped to refund ledger statuses
+const WECHAT_REFUND_STATUS = {
+  SUCCESS: 'success',
+  PROCESSING: 'pending',
+  CHANGE: 'failed',
+  REFUNDCLOSE: 'closed'
+};
+
+/**
+ * Check if a failed refund request may still have reached the provider
+ * Timeouts and dropped connections leave the outcome unknown, as do provider-side system errors
+ * @param {Error} error - Request error
+ * @returns {boolean} Whether the refund outcome is unknown
+ */
+function isUncertainRefundError(error) {
+  return (!!error.request && !error.response) || RETRYABLE_REFUND_ERRORS.includes(error.code);
+}
+
+/**
+ * Parse a provider timestamp, which is China Standard Time without a zone ("2024-01-31 12:00:00")
+ * @param {string} value - Provider timestamp
+ * @returns {Date|null} Date, or null if missing or invalid
+ */
+function parseProviderTime(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(`${String(value).replace(' ', 'T')}+08:00`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
 /**
  * Payment Service Class
  */
@@ -257,12 +293,12 @@ class PaymentService {
   /**
    * Verify WeChat Pay callback
    * @param {string} xmlData - XML callback data
-   * @returns {Object} Verification result
+   * @returns {Promise<Object>} Verification result
    */
-  verifyWechatCallback(xmlData) {
+  async verifyWechatCallback(xmlData) {
     try {
       const parser = new xml2js.Parser({ explicitArray: false });
-      const result = parser.parseStringSync(xmlData);
+      const result = await parser.parseStringPromise(xmlData);
       const data = result.xml;
 
       const receivedSign = data.sign;
@@ -283,7 +319,8 @@ class PaymentService {
         data,
         outTradeNo: data.out_trade_no,
         transactionId: data.transaction_id,
-        totalFee: data.total_fee
+        totalFee: data.total_fee,
+        isPaid: data.result_code === 'SUCCESS'
       };
 
     } catch (error) {
@@ -349,7 +386,12 @@ class PaymentService {
         data: params,
         outTradeNo: params.out_trade_no,
         tradeNo: params.trade_no,
-        totalAmount: params.total_amount
+        totalAmount: params.total_amount,
+        isPaid: ['TRADE_SUCCESS', 'TRADE_FINISHED'].includes(params.trade_status),
+        // Present when the notification reports a refund
+        outRefundNo: params.out_biz_no,
+        refundFee: params.refund_fee,
+        refundedAt: parseProviderTime(params.gmt_refund)
       };
 
     } catch (error) {
@@ -525,6 +567,8 @@ class PaymentService {
 
   /**
    * Refund WeChat Pay order
+   * WeChat only accepts the refund here; the money moves later and the outcome arrives through
+   * the refund notification or queryWechatRefund, so accepted refunds are still pending
    * @param {Object} refundData - Refund data
    * @returns {Promise<Object>} Refund result
    */
@@ -535,7 +579,8 @@ class PaymentService {
         outRefundNo,
         totalFee,
         refundFee,
-        refundDesc
+        refundDesc,
+        notifyUrl
       } = refundData;
 
       const params = {
@@ -549,6 +594,10 @@ class PaymentService {
         refund_desc: refundDesc
       };
 
+      if (notifyUrl) {
+        params.notify_url = notifyUrl;
+      }
+
       params.sign = this.generateWechatSignature(params);
 
       const builder = new xml2js.Builder({ rootName: 'xml', headless: true });
@@ -568,7 +617,7 @@ class PaymentService {
       const result = await parser.parseStringPromise(response.data);
 
       if (result.xml.return_code === 'SUCCESS' && result.xml.result_code === 'SUCCESS') {
-        logger.info('WeChat Pay refund successful:', {
+        logger.info('WeChat Pay refund accepted:', {
           outTradeNo,
           outRefundNo,
           refundId: result.xml.refund_id
@@ -577,11 +626,14 @@ class PaymentService {
         return {
           success: true,
           provider: 'wechat',
+          status: 'pending',
           refundId: result.xml.refund_id,
           result: result.xml
         };
       } else {
-        throw new Error(result.xml.err_code_des || result.xml.return_msg);
+        const error = new Error(result.xml.err_code_des || result.xml.return_msg);
+        error.code = result.xml.err_code;
+        throw error;
       }
 
     } catch (error) {
@@ -589,10 +641,493 @@ class PaymentService {
       return {
         success: false,
         provider: 'wechat',
+        error: error.message,
+        uncertain: isUncertainRefundError(error)
+      };
+    }
+  }
+
+  /**
+   * Refund Alipay order (alipay.trade.refund)
+   * Partial refunds of one trade need distinct out_request_no values; retrying with the
+   * same out_request_no does not refund twice
+   * @param {Object} refundData - Refund data
+   * @returns {Promise<Object>} Refund result
+   */
+  async refundAlipayOrder(refundData) {
+    try {
+      const {
+        outTradeNo,
+        outRefundNo,
+        refundAmount,
+        refundDesc
+      } = refundData;
+
+      const params = {
+        app_id: this.alipayConfig.appId,
+        method: 'alipay.trade.refund',
+        charset: 'utf-8',
+        sign_type: 'RSA2',
+        timestamp: new Date().toISOString().replace('T', ' ').substring(0, 19),
+        version: '1.0',
+        biz_content: JSON.stringify({
+          out_trade_no: outTradeNo,
+          out_request_no: outRefundNo,
+          refund_amount: refundAmount,
+          refund_reason: refundDesc
+        })
+      };
+
+      params.sign = this.generateAlipaySignature(params);
+
+      const response = await axios.post(
+        this.alipayConfig.gateway,
+        new URLSearchParams(params),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          timeout: 10000 // 10 second timeout
+        }
+      );
+
+      const result = JSON.parse(response.data);
+      const refundResponse = result.alipay_trade_refund_response;
+
+      if (refundResponse.code === '10000') {
+        logger.info('Alipay refund successful:', {
+          outTradeNo,
+          outRefundNo,
+          tradeNo: refundResponse.trade_no,
+          refundFee: refundResponse.refund_fee
+        });
+
+        // Alipay refunds synchronously, so an accepted refund has already been paid out
+        return {
+          success: true,
+          provider: 'alipay',
+          status: 'success',
+          refundId: refundResponse.trade_no,
+          refundedAt: parseProviderTime(refundResponse.gmt_refund_pay),
+          result: refundResponse
+        };
+      } else {
+        const error = new Error(refundResponse.sub_msg || refundResponse.msg);
+        error.code = refundResponse.sub_code;
+        throw error;
+      }
+
+    } catch (error) {
+      logger.error('Alipay refund failed:', error);
+      return {
+        success: false,
+        provider: 'alipay',
+        error: error.message,
+        uncertain: isUncertainRefundError(error)
+      };
+    }
+  }
+
+  /**
+   * Query WeChat Pay refund status (pay/refundquery)
+   * @param {string} outRefundNo - Refund number
+   * @returns {Promise<Object>} Refund status ({ success, status, refundId, refundedAt, data });
+   *   status is 'failed' when WeChat has no such refund
+   */
+  async queryWechatRefund(outRefundNo) {
+    try {
+      const params = {
+        appid: this.wechatConfig.appId,
+        mch_id: this.wechatConfig.mchId,
+        nonce_str: crypto.randomBytes(16).toString('hex'),
+        out_refund_no: outRefundNo
+      };
+
+      params.sign = this.generateWechatSignature(params);
+
+      const builder = new xml2js.Builder({ rootName: 'xml', headless: true });
+      const xml = builder.buildObject(params);
+
+      const response = await axios.post(
+        'https://api.mch.weixin.qq.com/pay/refundquery',
+        xml,
+        {
+          headers: {
+            'Content-Type': 'application/xml'
+          },
+          timeout: 10000 // 10 second timeout
+        }
+      );
+
+      const parser = new xml2js.Parser({ explicitArray: false });
+      const result = await parser.parseStringPromise(response.data);
+
+      if (result.xml.return_code !== 'SUCCESS') {
+        throw new Error(result.xml.return_msg);
+      }
+
+      if (result.xml.result_code !== 'SUCCESS') {
+        // The refund request never reached WeChat
+        if (result.xml.err_code === 'REFUNDNOTEXIST') {
+          return {
+            success: true,
+            status: 'failed',
+            failureReason: result.xml.err_code_des || 'Refund does not exist',
+            data: result.xml
+          };
+        }
+        throw new Error(result.xml.err_code_des || result.xml.err_code);
+      }
+
+      // Querying by refund number returns that single refund as the first entry
+      return {
+        success: true,
+        status: WECHAT_REFUND_STATUS[result.xml.refund_status_0] || 'pending',
+        refundId: result.xml.refund_id_0,
+        refundedAt: parseProviderTime(result.xml.refund_success_time_0),
+        data: result.xml
+      };
+
+    } catch (error) {
+      logger.error('WeChat Pay refund query failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Query Alipay refund status (alipay.trade.fastpay.refund.query)
+   * @param {string} outTradeNo - Order number
+   * @param {string} outRefundNo - Refund number (out_request_no)
+   * @returns {Promise<Object>} Refund status ({ success, status, refundId, refundedAt, data });
+   *   status is 'failed' when Alipay has no such refund
+   */
+  async queryAlipayRefund(outTradeNo, outRefundNo) {
+    try {
+      const params = {
+        app_id: this.alipayConfig.appId,
+        method: 'alipay.trade.fastpay.refund.query',
+        charset: 'utf-8',
+        sign_type: 'RSA2',
+        timestamp: new Date().toISOString().replace('T', ' ').substring(0, 19),
+        version: '1.0',
+        biz_content: JSON.stringify({
+          out_trade_no: outTradeNo,
+          out_request_no: outRefundNo,
+          query_options: ['gmt_refund_pay']
+        })
+      };
+
+      params.sign = this.generateAlipaySignature(params);
+
+      const response = await axios.post(
+        this.alipayConfig.gateway,
+        new URLSearchParams(params),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          timeout: 10000 // 10 second timeout
+        }
+      );
+
+      const result = JSON.parse(response.data);
+      const queryResponse = result.alipay_trade_fastpay_refund_query_response;
+
+      if (queryResponse.code !== '10000') {
+        throw new Error(queryResponse.sub_msg || queryResponse.msg);
+      }
+
+      // Alipay answers an unknown refund with an empty result rather than an error
+      const refunded = queryResponse.refund_status === 'REFUND_SUCCESS' ||
+        (!queryResponse.refund_status && !!queryResponse.refund_amount);
+
+      return {
+        success: true,
+        status: refunded ? 'success' : 'failed',
+        refundId: queryResponse.trade_no,
+        refundedAt: parseProviderTime(queryResponse.gmt_refund_pay),
+        failureReason: refunded ? null : 'Refund does not exist',
+        data: queryResponse
+      };
+
+    } catch (error) {
+      logger.error('Alipay refund query failed:', error);
+      return {
+        success: false,
         error: error.message
       };
     }
   }
+
+  /**
+   * Query refund status
+   * @param {Object} refund - Refund details ({ outTradeNo, outRefundNo })
+   * @param {string} provider - Payment provider ('wechat' or 'alipay')
+   * @returns {Promise<Object>} Refund status ({ success, status, refundId, refundedAt, data })
+   */
+  async queryRefund(refund, provider) {
+    if (provider === 'wechat' && this.wechatConfig.appId) {
+      return await this.queryWechatRefund(refund.outRefundNo);
+    } else if (provider === 'alipay' && this.alipayConfig.appId) {
+      return await this.queryAlipayRefund(refund.outTradeNo, refund.outRefundNo);
+    }
+
+    return {
+      success: false,
+      error: 'Invalid payment provider or not configured'
+    };
+  }
+
+  /**
+   * Decrypt a WeChat Pay refund notification
+   * Refund results are not signed; req_info is encrypted with AES-256-ECB using the
+   * lowercase MD5 of the API key, so only WeChat can produce it
+   * @param {string} xmlData - XML notification data
+   * @returns {Promise<Object>} Result ({ isValid, data, outTradeNo, outRefundNo, refundId, status, refundedAt })
+   */
+  async decryptWechatRefundNotification(xmlData) {
+    try {
+      const parser = new xml2js.Parser({ explicitArray: false });
+      const notification = (await parser.parseStringPromise(xmlData)).xml;
+
+      if (notification.return_code !== 'SUCCESS' || !notification.req_info) {
+        throw new Error(notification.return_msg || 'Missing refund information');
+      }
+
+      if (notification.mch_id !== this.wechatConfig.mchId) {
+        throw new Error('Refund notification is for another merchant');
+      }
+
+      const key = crypto.createHash('md5').update(this.wechatConfig.apiKey, 'utf8').digest('hex').toLowerCase();
+      const decipher = crypto.createDecipheriv('aes-256-ecb', Buffer.from(key, 'utf8'), null);
+      const decrypted = Buffer.concat([
+        decipher.update(Buffer.from(notification.req_info, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+
+      const data = (await parser.parseStringPromise(decrypted)).root;
+
+      logger.info('WeChat Pay refund notification decrypted:', {
+        outTradeNo: data.out_trade_no,
+        outRefundNo: data.out_refund_no,
+        refundStatus: data.refund_status
+      });
+
+      return {
+        isValid: true,
+        data,
+        outTradeNo: data.out_trade_no,
+        outRefundNo: data.out_refund_no,
+        refundId: data.refund_id,
+        status: WECHAT_REFUND_STATUS[data.refund_status] || 'pending',
+        refundedAt: parseProviderTime(data.success_time)
+      };
+
+    } catch (error) {
+      logger.error('WeChat Pay refund notification decryption failed:', error);
+      return {
+        isValid: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Refund payment order
+   * Results carry the refund status ('pending' or 'success'); failed results are marked
+   * uncertain when the provider may have accepted the refund anyway
+   * @param {Object} refundData - Refund data ({ outTradeNo, outRefundNo, totalFee, refundFee,
+   *   refundAmount, refundDesc, notifyUrl }); fees are in cents for WeChat, refundAmount in yuan for Alipay
+   * @param {string} provider - Payment provider ('wechat' or 'alipay')
+   * @returns {Promise<Object>} Refund result
+   */
+  async refundOrder(refundData, provider) {
+    try {
+      if (!this.isAvailable()) {
+        throw new Error('Payment service not available');
+      }
+
+      if (provider === 'wechat' && this.wechatConfig.appId) {
+        return await this.refundWechatOrder(refundData);
+      } else if (provider === 'alipay' && this.alipayConfig.appId) {
+        return await this.refundAlipayOrder(refundData);
+      }
+
+      throw new Error('Invalid payment provider or not configured');
+
+    } catch (error) {
+      logger.error('Payment refund failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Check if a provider has credentials configured
+   * @param {string} provider - Payment provider ('wechat' or 'alipay')
+   * @returns {boolean} Whether the provider can be used
+   */
+  isProviderConfigured(provider) {
+    if (provider === 'wechat') {
+      return !!(this.wechatConfig.appId && this.wechatConfig.mchId);
+    }
+    if (provider === 'alipay') {
+      return !!(this.alipayConfig.appId && this.alipayConfig.privateKey);
+    }
+    return false;
+  }
+
+  /**
+   * Download the WeChat Pay daily bill (pay/downloadbill)
+   * Bills of the previous day are available from 10:00 China time
+   * @param {string} billDate - Bill date (YYYY-MM-DD, China time)
+   * @returns {Promise<Object>} Result ({ success, content }); content is the CSV text, empty on
+   *   days without transactions
+   */
+  async downloadWechatBill(billDate) {
+    try {
+      const params = {
+        appid: this.wechatConfig.appId,
+        mch_id: this.wechatConfig.mchId,
+        nonce_str: crypto.randomBytes(16).toString('hex'),
+        bill_date: billDate.replace(/-/g, ''),
+        bill_type: 'ALL'
+      };
+
+      params.sign = this.generateWechatSignature(params);
+
+      const builder = new xml2js.Builder({ rootName: 'xml', headless: true });
+      const xml = builder.buildObject(params);
+
+      const response = await axios.post(
+        'https://api.mch.weixin.qq.com/pay/downloadbill',
+        xml,
+        {
+          headers: {
+            'Content-Type': 'application/xml'
+          },
+          responseType: 'text',
+          timeout: 60000 // 60 second timeout
+        }
+      );
+
+      // Errors come back as XML, bills as plain text
+      if (String(response.data).trim().startsWith('<xml>')) {
+        const parser = new xml2js.Parser({ explicitArray: false });
+        const result = await parser.parseStringPromise(response.data);
+
+        if (result.xml.return_msg === 'No Bill Exist' || result.xml.error_code === '20002') {
+          return { success: true, content: '' };
+        }
+        throw new Error(result.xml.return_msg || 'Bill download failed');
+      }
+
+      logger.info('WeChat Pay bill downloaded:', { billDate });
+
+      return {
+        success: true,
+        content: response.data
+      };
+
+    } catch (error) {
+      logger.error('WeChat Pay bill download failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Download the Alipay daily trade bill (alipay.data.dataservice.bill.downloadurl.query)
+   * Bills of the previous day are available from 09:00 China time
+   * @param {string} billDate - Bill date (YYYY-MM-DD, China time)
+   * @returns {Promise<Object>} Result ({ success, content }); content is the zipped bill, null on
+   *   days without transactions
+   */
+  async downloadAlipayBill(billDate) {
+    try {
+      const params = {
+        app_id: this.alipayConfig.appId,
+        method: 'alipay.data.dataservice.bill.downloadurl.query',
+        charset: 'utf-8',
+        sign_type: 'RSA2',
+        timestamp: new Date().toISOString().replace('T', ' ').substring(0, 19),
+        version: '1.0',
+        biz_content: JSON.stringify({
+          bill_type: 'trade',
+          bill_date: billDate
+        })
+      };
+
+      params.sign = this.generateAlipaySignature(params);
+
+      const response = await axios.post(
+        this.alipayConfig.gateway,
+        new URLSearchParams(params),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          timeout: 10000 // 10 second timeout
+        }
+      );
+
+      const result = JSON.parse(response.data);
+      const queryResponse = result.alipay_data_dataservice_bill_downloadurl_query_response;
+
+      if (queryResponse.code !== '10000') {
+        if (queryResponse.sub_code === 'isp.bill_not_exist') {
+          return { success: true, content: null };
+        }
+        throw new Error(queryResponse.sub_msg || queryResponse.msg);
+      }
+
+      // The download URL is valid for 30 seconds
+      const download = await axios.get(queryResponse.bill_download_url, {
+        responseType: 'arraybuffer',
+        timeout: 60000 // 60 second timeout
+      });
+
+      logger.info('Alipay bill downloaded:', { billDate });
+
+      return {
+        success: true,
+        content: Buffer.from(download.data)
+      };
+
+    } catch (error) {
+      logger.error('Alipay bill download failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Download a provider's daily bill
+   * @param {string} billDate - Bill date (YYYY-MM-DD, China time)
+   * @param {string} provider - Payment provider ('wechat' or 'alipay')
+   * @returns {Promise<Object>} Result ({ success, content }); WeChat bills are CSV text, Alipay bills a zip Buffer
+   */
+  async downloadBill(billDate, provider) {
+    if (!this.isProviderConfigured(provider)) {
+      return {
+        success: false,
+        error: 'Invalid payment provider or not configured'
+      };
+    }
+
+    return provider === 'wechat'
+      ? await this.downloadWechatBill(billDate)
+      : await this.downloadAlipayBill(billDate);
+  }
 }
 
 // Create singleton instance
@@ -3,7 +3,9 @@
  * Handles business logic for payment processing and user feature updates
  */
 
+const crypto = require('crypto');
 const { logger } = require('../config/logger');
+const { AppError, NotFoundError, ValidationError } = require('../errors/AppError');
 const User = require('../models/User');
 
 /**
@@ -12,62 +14,82 @@ const User = require('../models/User');
 class PaymentProcessor {
   /**
    * Process successful payment and update user features
+   * The order created by /create-order moves from pending to paid and its effects are applied
+   * in one step, so repeated callbacks for the same payment apply them only once
    * @param {string} outTradeNo - Order trade number
    * @param {string} provider - Payment provider
-   * @param {Object} paymentData - Additional payment data
-   * @returns {Promise<Object>} Processing result
+   * @param {Object} paymentData - Additional payment data ({ transactionId or tradeNo, amount })
+   * @returns {Promise<Object>} Processing result ({ success, duplicate, orderType, userId, result });
+   *   duplicate callbacks succeed without applying anything
    */
   static async processSuccessfulPayment(outTradeNo, provider, paymentData = {}) {
     try {
-      // Extract order info from trade number
-      const orderParts = outTradeNo.split('_');
-      if (orderParts.length < 3) {
-        throw new Error('Invalid order trade number format');
+      const PaymentOrder = require('../models/PaymentOrder');
+      const transactionId = paymentData.transactionId || paymentData.tradeNo;
+
+      const order = await PaymentOrder.findByTradeNo(outTradeNo);
+      if (!order) {
+        throw new Error('Payment order not found');
+      }
+
+      if (order.provider !== provider) {
+        throw new Error(`Order was created for ${order.provider}`);
+      }
+
+      // The paid amount must match the order, not whatever the notification carries
+      if (paymentData.amount !== undefined &&
+        Math.round(parseFloat(paymentData.amount) * 100) !== Math.round(parseFloat(order.amount) * 100)) {
+        throw new Error(`Paid amount ${paymentData.amount} does not match order amount ${order.amount}`);
       }
-      
-      const [orderType, userId, timestamp] = orderParts;
-      const amount = paymentData.amount || paymentData.totalFee || paymentData.totalAmount;
 
       logger.info('Processing successful payment:', {
         outTradeNo,
         provider,
-        orderType,
-        userId,
-        amount
+        orderType: order.orderType,
+        userId: order.userId,
+        amount: order.amount
       });
 
-      // Create payment order record
-      const PaymentOrder = require('../models/PaymentOrder');
-      if (PaymentOrder) {
-        await PaymentOrder.create({
-          userId,
-          outTradeNo,
-          amount: parseFloat(amount) || 0,
-          provider,
-          orderType,
-          status: 'paid',
-          transactionId: paymentData.transactionId || paymentData.tradeNo,
-          paidAt: new Date(),
-          paymentData: paymentData
-        });
-      }
+      const settlement = await PaymentOrder.settlePayment(outTradeNo, transactionId, async (pendingOrder, options) => {
+        // Purchase details such as the gift recipient were stored with the order
+        return await this.processOrderType(pendingOrder.orderType, pendingOrder.userId, parseFloat(pendingOrder.amount), {
+          ...(pendingOrder.paymentData || {}),
+          ...paymentData
+        }, options);
+      });
 
-      // Process based on order type
-      const result = await this.processOrderType(orderType, userId, amount, paymentData);
+      if (!settlement.processed) {
+        // Payments for orders cancelled or failed in the meantime show up in bill reconciliation
+        const status = settlement.order ? settlement.order.status : null;
+        if (['paid', 'partially_refunded', 'refunded'].includes(status)) {
+          logger.info('Payment already processed:', { outTradeNo, provider, status });
+        } else {
+          logger.warn('Payment received for an order that is not pending:', { outTradeNo, provider, status });
+        }
+
+        return {
+          success: true,
+          duplicate: true,
+          orderType: order.orderType,
+          userId: order.userId,
+          result: null
+        };
+      }
 
       logger.info('Payment processed successfully:', {
         outTradeNo,
         provider,
-        orderType,
-        userId,
-        result
+        orderType: order.orderType,
+        userId: order.userId,
+        result: settlement.result
       });
 
       return {
         success: true,
-        orderType,
-        userId,
-        result
+        duplicate: false,
+        orderType: order.orderType,
+        userId: order.userId,
+        result: settlement.result
       };
 
     } catch (error) {
@@ -84,27 +106,51 @@ class PaymentProcessor {
     }
   }
 
+  /**
+   * Get the catalog product an order was placed for
+   * Orders placed before the product catalog have no product; their effect is derived from the
+   * amount and purchase details the way it was priced then
+   * @param {Object} paymentData - Order payment data
+   * @param {number} amount - Order amount in yuan
+   * @returns {Object} Product effect stored with the order (see Product.prototype.getEffect)
+   */
+  static getOrderProduct(paymentData, amount) {
+    if (paymentData && paymentData.product) {
+      return paymentData.product;
+    }
+
+    const { boostDuration, giftType = null } = paymentData || {};
+    return {
+      productId: null,
+      durationDays: amount >= 100 ? 365 : amount >= 50 ? 180 : 30, // 100 yuan yearly, 50 yuan 6 months
+      coinAmount: Math.floor(amount * 10), // 10 coins per yuan
+      boostHours: boostDuration ? parseInt(boostDuration) : Math.floor(amount / 5) * 24, // 5 yuan per day
+      giftType
+    };
+  }
+
   /**
    * Process specific order types
    * @param {string} orderType - Type of order
    * @param {string} userId - User ID
    * @param {number} amount - Payment amount
-   * @param {Object} paymentData - Payment data
+   * @param {Object} paymentData - Payment data, including the product bought
+   * @param {Object} options - Write options ({ transaction }); every effect is written with them
    * @returns {Promise<Object>} Processing result
    */
-  static async processOrderType(orderType, userId, amount, paymentData) {
+  static async processOrderType(orderType, userId, amount, paymentData, options = {}) {
     switch (orderType) {
       case 'premium':
-        return await this.processPremiumSubscription(userId, amount, paymentData);
+        return await this.processPremiumSubscription(userId, amount, paymentData, options);
       
       case 'gift':
-        return await this.processGift(userId, amount, paymentData);
+        return await this.processGift(userId, amount, paymentData, options);
       
       case 'boost':
-        return await this.processPostBoost(userId, amount, paymentData);
+        return await this.processPostBoost(userId, amount, paymentData, options);
       
       case 'coins':
-        return await this.processVirtualCurrency(userId, amount, paymentData);
+        return await this.processVirtualCurrency(userId, amount, paymentData, options);
       
       default:
         throw new Error(`Unknown order type: ${orderType}`);
@@ -116,22 +162,18 @@ class PaymentProcessor {
    * @param {string} userId - User ID
    * @param {number} amount - Payment amount
    * @param {Object} paymentData - Payment data
+   * @param {Object} options - Write options ({ transaction })
    * @returns {Promise<Object>} Processing result
    */
-  static async processPremiumSubscription(userId, amount, paymentData) {
+  static async processPremiumSubscription(userId, amount, paymentData, options = {}) {
+    const { transaction } = options;
     try {
-      const user = await User.findByPk(userId);
+      const user = await User.findByPk(userId, { transaction });
       if (!user) {
         throw new Error('User not found');
       }
 
-      // Determine subscription duration based on amount
-      let durationDays = 30; // Default 1 month
-      if (amount >= 100) { // Assuming 100 yuan for yearly
-        durationDays = 365;
-      } else if (amount >= 50) { // Assuming 50 yuan for 6 months
-        durationDays = 180;
-      }
+      const { durationDays } = this.getOrderProduct(paymentData, amount);
 
       // Calculate expiration date
       const currentExpiry = user.premium_expires_at || new Date();
@@ -142,7 +184,7 @@ class PaymentProcessor {
         is_premium: true,
         premium_expires_at: newExpiry,
         premium_type: durationDays >= 365 ? 'yearly' : durationDays >= 180 ? 'biannual' : 'monthly'
-      });
+      }, { transaction });
 
       logger.info('Premium subscription activated:', {
         userId,
@@ -168,18 +210,21 @@ class PaymentProcessor {
    * @param {string} userId - User ID
    * @param {number} amount - Payment amount
    * @param {Object} paymentData - Payment data
+   * @param {Object} options - Write options ({ transaction })
    * @returns {Promise<Object>} Processing result
    */
-  static async processGift(userId, amount, paymentData) {
+  static async processGift(userId, amount, paymentData, options = {}) {
+    const { transaction } = options;
     try {
       // Extract gift details from payment data
-      const { recipientId, giftType, message } = paymentData;
+      const { recipientId, message } = paymentData;
+      const { giftType } = this.getOrderProduct(paymentData, amount);
 
       if (!recipientId) {
         throw new Error('Recipient ID is required for gift processing');
       }
 
-      const recipient = await User.findByPk(recipientId);
+      const recipient = await User.findByPk(recipientId, { transaction });
       if (!recipient) {
         throw new Error('Gift recipient not found');
       }
@@ -194,15 +239,15 @@ class PaymentProcessor {
           amount,
           message,
           status: 'delivered'
-        });
+        }, { transaction });
       }
 
       // Process gift effects (e.g., premium time, virtual currency)
       let giftResult = {};
       if (giftType === 'premium') {
-        giftResult = await this.processPremiumSubscription(recipientId, amount, paymentData);
+        giftResult = await this.processPremiumSubscription(recipientId, amount, paymentData, options);
       } else if (giftType === 'coins') {
-        giftResult = await this.processVirtualCurrency(recipientId, amount, paymentData);
+        giftResult = await this.processVirtualCurrency(recipientId, amount, paymentData, options);
       }
 
       logger.info('Gift processed successfully:', {
@@ -230,18 +275,21 @@ class PaymentProcessor {
    * @param {string} userId - User ID
    * @param {number} amount - Payment amount
    * @param {Object} paymentData - Payment data
+   * @param {Object} options - Write options ({ transaction })
    * @returns {Promise<Object>} Processing result
    */
-  static async processPostBoost(userId, amount, paymentData) {
+  static async processPostBoost(userId, amount, paymentData, options = {}) {
+    const { transaction } = options;
     try {
-      const { postId, boostDuration } = paymentData;
+      const { postId } = paymentData;
+      const { boostHours: durationHours } = this.getOrderProduct(paymentData, amount);
 
       if (!postId) {
         throw new Error('Post ID is required for boost processing');
       }
 
       const Post = require('../models/Post');
-      const post = await Post.findByPk(postId);
+      const post = await Post.findByPk(postId, { transaction });
       
       if (!post) {
         throw new Error('Post not found');
@@ -251,12 +299,6 @@ class PaymentProcessor {
         throw new Error('User can only boost their own posts');
       }
 
-      // Calculate boost duration based on amount
-      let durationHours = Math.floor(amount / 5) * 24; // 5 yuan per day
-      if (boostDuration) {
-        durationHours = parseInt(boostDuration);
-      }
-
       const boostExpiry = new Date(Date.now() + (durationHours * 60 * 60 * 1000));
 
       // Update post boost status
@@ -264,7 +306,7 @@ class PaymentProcessor {
         is_boosted: true,
         boost_expires_at: boostExpiry,
         boost_amount: amount
-      });
+      }, { transaction });
 
       logger.info('Post boost activated:', {
         userId,
@@ -291,24 +333,25 @@ class PaymentProcessor {
    * @param {string} userId - User ID
    * @param {number} amount - Payment amount
    * @param {Object} paymentData - Payment data
+   * @param {Object} options - Write options ({ transaction })
    * @returns {Promise<Object>} Processing result
    */
-  static async processVirtualCurrency(userId, amount, paymentData) {
+  static async processVirtualCurrency(userId, amount, paymentData, options = {}) {
+    const { transaction } = options;
     try {
-      const user = await User.findByPk(userId);
+      const user = await User.findByPk(userId, { transaction });
       if (!user) {
         throw new Error('User not found');
       }
 
-      // Calculate coins based on amount (1 yuan = 10 coins)
-      const coinsToAdd = Math.floor(amount * 10);
+      const { coinAmount: coinsToAdd } = this.getOrderProduct(paymentData, amount);
       const currentCoins = user.virtual_currency || 0;
       const newCoins = currentCoins + coinsToAdd;
 
       // Update user's virtual currency
       await user.update({
         virtual_currency: newCoins
-      });
+      }, { transaction });
 
       // Create transaction record
       const CurrencyTransaction = require('../models/CurrencyTransaction');
@@ -321,7 +364,7 @@ class PaymentProcessor {
           balanceAfter: newCoins,
           description: `Purchased ${coinsToAdd} coins`,
           paymentAmount: amount
-        });
+        }, { transaction });
       }
 
       logger.info('Virtual currency processed:', {
@@ -343,78 +386,200 @@ class PaymentProcessor {
   }
 
   /**
-   * Process refund
+   * Refund a paid order through its provider
+   * An order can be refunded in several parts until the paid amount is used up. Refunds the
+   * provider accepts without paying out yet stay pending until its refund notification or the
+   * refund reconciliation job reports the outcome; the order and its effects change only then
    * @param {string} outTradeNo - Original order trade number
-   * @param {number} refundAmount - Refund amount
+   * @param {number} refundAmount - Refund amount in yuan
    * @param {string} reason - Refund reason
+   * @param {Object} options - Refund options ({ userId, notifyUrl }); userId restricts the refund to
+   *   that user's orders, notifyUrl receives WeChat refund results
    * @returns {Promise<Object>} Processing result
+   * @throws {NotFoundError|ValidationError|AppError} When the order cannot be refunded or the provider rejects the refund
    */
-  static async processRefund(outTradeNo, refundAmount, reason) {
-    try {
-      // Find the original payment order
-      const PaymentOrder = require('../models/PaymentOrder');
-      if (!PaymentOrder) {
-        throw new Error('PaymentOrder model not available');
-      }
+  static async processRefund(outTradeNo, refundAmount, reason, options = {}) {
+    const PaymentOrder = require('../models/PaymentOrder');
+    const PaymentRefund = require('../models/PaymentRefund');
+    const paymentService = require('./payment');
+    const { userId = null, notifyUrl } = options;
+
+    const order = await PaymentOrder.findOne({
+      where: { outTradeNo, ...(userId ? { userId } : {}) }
+    });
 
-      const order = await PaymentOrder.findOne({
-        where: { outTradeNo, status: 'paid' }
-      });
+    if (!order || !order.canBeRefunded()) {
+      throw new NotFoundError('Order not found or not refundable');
+    }
 
-      if (!order) {
-        throw new Error('Original payment order not found');
+    // WeChat allows 64 characters for out_refund_no, Alipay for out_request_no
+    const outRefundNo = `R${Date.now()}${crypto.randomBytes(6).toString('hex')}`;
+
+    const { refund, refundableAmount } = await PaymentRefund.reserve(order.id, refundAmount, reason, outRefundNo);
+    if (!refund) {
+      throw new ValidationError(`Refund amount exceeds the refundable amount of ${refundableAmount.toFixed(2)}`);
+    }
+
+    const result = await paymentService.refundOrder({
+      outTradeNo,
+      outRefundNo,
+      totalFee: Math.round(parseFloat(order.amount) * 100), // Original amount in cents
+      refundFee: Math.round(refundAmount * 100), // Refund amount in cents
+      refundAmount: refundAmount.toFixed(2), // Refund amount in yuan for Alipay
+      refundDesc: reason,
+      notifyUrl
+    }, order.provider);
+
+    if (!result.success) {
+      // The provider may have accepted the refund, so it stays pending for reconciliation
+      if (result.uncertain) {
+        logger.warn('Refund outcome unknown, left pending:', { outTradeNo, outRefundNo, error: result.error });
+        return this.getRefundResult(order, refund);
       }
 
-      // Update order status
-      await order.update({
-        status: 'refunded',
-        refundAmount,
-        refundReason: reason,
-        refundedAt: new Date()
-      });
+      await this.settleRefund(refund, 'failed', { failureReason: result.error });
+      throw new AppError('Refund failed: ' + result.error, 500);
+    }
 
-      // Reverse the effects based on order type
-      const reverseResult = await this.reverseOrderEffects(order, refundAmount);
+    if (result.status === 'pending') {
+      await refund.update({ refundId: result.refundId, providerData: result.result });
 
-      logger.info('Refund processed successfully:', {
-        outTradeNo,
-        refundAmount,
-        reason,
-        reverseResult
-      });
+      logger.info('Refund submitted:', { outTradeNo, outRefundNo, refundAmount, reason });
 
-      return {
-        success: true,
-        outTradeNo,
-        refundAmount,
-        reverseResult
-      };
+      return this.getRefundResult(order, refund);
+    }
 
+    const settled = await this.settleRefund(refund, result.status, {
+      providerRefundId: result.refundId,
+      refundedAt: result.refundedAt,
+      providerData: result.result
+    });
+
+    logger.info('Refund processed successfully:', {
+      outTradeNo,
+      outRefundNo,
+      refundAmount,
+      reason,
+      reverseResult: settled.reverseResult
+    });
+
+    return this.getRefundResult(settled.order || order, settled.refund || refund, settled.reverseResult);
+  }
+
+  /**
+   * Build the result of a refund request
+   * @param {Object} order - Refunded order
+   * @param {Object} refund - Refund
+   * @param {Object} reverseResult - Reversal of the order's effects, if the refund completed
+   * @returns {Object} Refund result
+   */
+  static getRefundResult(order, refund, reverseResult = null) {
+    return {
+      success: true,
+      outTradeNo: order.outTradeNo,
+      outRefundNo: refund.outRefundNo,
+      refundId: refund.refundId,
+      provider: order.provider,
+      refundAmount: parseFloat(refund.amount),
+      refundStatus: refund.status,
+      refundedTotal: parseFloat(order.refundAmount || 0),
+      orderStatus: order.status,
+      reverseResult
+    };
+  }
+
+  /**
+   * Record the final outcome of a pending refund
+   * Successful refunds are added to the order and its effects are reversed; outcomes reported
+   * again by notifications or queries are ignored
+   * @param {Object} refund - Pending refund
+   * @param {string} status - Final status ('success', 'failed' or 'closed')
+   * @param {Object} details - Outcome details ({ providerRefundId, refundedAt, failureReason, providerData })
+   * @returns {Promise<Object>} Result ({ changed, refund, order, reverseResult })
+   */
+  static async settleRefund(refund, status, details = {}) {
+    const PaymentRefund = require('../models/PaymentRefund');
+
+    const { changed, refund: updated, order, previousRefunded } = await PaymentRefund.complete(refund.id, status, details);
+    if (!changed) {
+      return { changed: false, refund: updated, order: null, reverseResult: null };
+    }
+
+    logger.info('Refund completed:', {
+      outRefundNo: updated.outRefundNo,
+      status,
+      failureReason: details.failureReason
+    });
+
+    if (status !== 'success') {
+      return { changed: true, refund: updated, order, reverseResult: null };
+    }
+
+    // The money is already returned, so a failed reversal is logged rather than failing the refund
+    let reverseResult;
+    try {
+      reverseResult = await this.reverseOrderEffects(order, parseFloat(updated.amount), previousRefunded);
     } catch (error) {
-      logger.error('Refund processing failed:', error);
-      throw error;
+      reverseResult = { type: order.orderType, reversed: false, error: error.message };
+    }
+
+    return { changed: true, refund: updated, order, reverseResult };
+  }
+
+  /**
+   * Apply a refund result reported by a provider notification
+   * @param {string} outRefundNo - Refund number
+   * @param {string} status - Reported status ('pending', 'success', 'failed' or 'closed')
+   * @param {Object} details - Outcome details ({ providerRefundId, refundedAt, failureReason, providerData })
+   * @returns {Promise<Object>} Result ({ changed, refund, order, reverseResult })
+   * @throws {NotFoundError} When no refund has this number
+   */
+  static async processRefundNotification(outRefundNo, status, details = {}) {
+    const PaymentRefund = require('../models/PaymentRefund');
+
+    const refund = await PaymentRefund.findByRefundNo(outRefundNo);
+    if (!refund) {
+      throw new NotFoundError('Refund not found');
+    }
+
+    if (status === 'pending') {
+      return { changed: false, refund, order: null, reverseResult: null };
     }
+
+    return await this.settleRefund(refund, status, details);
   }
 
   /**
    * Reverse order effects for refunds
+   * Each refund takes back the share of the purchase it pays for; shares are computed from
+   * the running refund total so that partial refunds add up to the whole purchase
    * @param {Object} order - Original order
    * @param {number} refundAmount - Refund amount
+   * @param {number} previousRefunded - Amount refunded before this refund
    * @returns {Promise<Object>} Reverse result
    */
-  static async reverseOrderEffects(order, refundAmount) {
+  static async reverseOrderEffects(order, refundAmount, previousRefunded = 0) {
     try {
       const { orderType, userId } = order;
+      const totalCents = Math.round(parseFloat(order.amount) * 100);
+      const beforeCents = Math.round(previousRefunded * 100);
+
+      const share = {
+        refundAmount,
+        totalCents,
+        beforeCents,
+        afterCents: Math.min(beforeCents + Math.round(refundAmount * 100), totalCents)
+      };
 
       switch (orderType) {
         case 'premium':
-          return await this.reversePremiumSubscription(userId, refundAmount);
+          return await this.reversePremiumSubscription(order, share);
         
         case 'coins':
-          return await this.reverseVirtualCurrency(userId, refundAmount);
+          return await this.reverseVirtualCurrency(order, share);
         
         case 'boost':
-          return await this.reversePostBoost(order);
+          return await this.reversePostBoost(order, share);
         
         default:
           logger.warn(`No reverse logic for order type: ${orderType}`);
@@ -427,20 +592,32 @@ class PaymentProcessor {
     }
   }
 
+  /**
+   * Get the part of a purchased quantity a refund takes back
+   * @param {number} total - Quantity the full payment bought (days, coins, hours)
+   * @param {Object} share - Refund share ({ totalCents, beforeCents, afterCents })
+   * @returns {number} Whole units to take back
+   */
+  static getRefundedShare(total, share) {
+    return Math.floor(total * share.afterCents / share.totalCents) -
+      Math.floor(total * share.beforeCents / share.totalCents);
+  }
+
   /**
    * Reverse premium subscription
-   * @param {string} userId - User ID
-   * @param {number} refundAmount - Refund amount
+   * @param {Object} order - Original order
+   * @param {Object} share - Refund share
    * @returns {Promise<Object>} Reverse result
    */
-  static async reversePremiumSubscription(userId, refundAmount) {
-    const user = await User.findByPk(userId);
+  static async reversePremiumSubscription(order, share) {
+    const user = await User.findByPk(order.userId);
     if (!user) {
       throw new Error('User not found');
     }
 
-    // Calculate days to remove based on refund amount
-    const daysToRemove = Math.floor(refundAmount / 3); // Assuming 3 yuan per day
+    // Calculate days to remove based on the refunded share of the subscription
+    const { durationDays } = this.getOrderProduct(order.paymentData, parseFloat(order.amount));
+    const daysToRemove = this.getRefundedShare(durationDays, share);
 
     if (user.premium_expires_at) {
       const newExpiry = new Date(user.premium_expires_at.getTime() - (daysToRemove * 24 * 60 * 60 * 1000));
@@ -468,17 +645,19 @@ class PaymentProcessor {
 
   /**
    * Reverse virtual currency
-   * @param {string} userId - User ID
-   * @param {number} refundAmount - Refund amount
+   * @param {Object} order - Original order
+   * @param {Object} share - Refund share
    * @returns {Promise<Object>} Reverse result
    */
-  static async reverseVirtualCurrency(userId, refundAmount) {
-    const user = await User.findByPk(userId);
+  static async reverseVirtualCurrency(order, share) {
+    const user = await User.findByPk(order.userId);
     if (!user) {
       throw new Error('User not found');
     }
 
-    const coinsToRemove = Math.floor(refundAmount * 10);
+    // Coins the product granted
+    const { coinAmount } = this.getOrderProduct(order.paymentData, parseFloat(order.amount));
+    const coinsToRemove = this.getRefundedShare(coinAmount, share);
     const currentCoins = user.virtual_currency || 0;
     const newCoins = Math.max(0, currentCoins - coinsToRemove);
 
@@ -486,6 +665,18 @@ class PaymentProcessor {
       virtual_currency: newCoins
     });
 
+    const CurrencyTransaction = require('../models/CurrencyTransaction');
+    await CurrencyTransaction.create({
+      userId: order.userId,
+      type: 'refund',
+      amount: newCoins - currentCoins,
+      balanceBefore: currentCoins,
+      balanceAfter: newCoins,
+      description: `Refunded ${coinsToRemove} coins`,
+      paymentAmount: share.refundAmount,
+      relatedId: order.id
+    });
+
     return {
       type: 'currency_reversal',
       coinsRemoved: coinsToRemove,
@@ -495,10 +686,12 @@ class PaymentProcessor {
 
   /**
    * Reverse post boost
+   * Full refunds end the boost; partial refunds shorten it
    * @param {Object} order - Original order
+   * @param {Object} share - Refund share
    * @returns {Promise<Object>} Reverse result
    */
-  static async reversePostBoost(order) {
+  static async reversePostBoost(order, share) {
     const { paymentData } = order;
     const { postId } = paymentData || {};
 
@@ -509,7 +702,24 @@ class PaymentProcessor {
     const Post = require('../models/Post');
     const post = await Post.findByPk(postId);
 
-    if (post && post.is_boosted) {
+    if (!post || !post.is_boosted) {
+      return {
+        type: 'boost_reversal',
+        postId,
+        reversed: false,
+        reason: 'Post not found or not boosted'
+      };
+    }
+
+    // Same duration the boost was bought for
+    const { boostHours } = this.getOrderProduct(paymentData, parseFloat(order.amount));
+    const hoursToRemove = this.getRefundedShare(boostHours, share);
+
+    const newExpiry = post.boost_expires_at
+      ? new Date(new Date(post.boost_expires_at).getTime() - (hoursToRemove * 60 * 60 * 1000))
+      : null;
+
+    if (share.afterCents >= share.totalCents || !newExpiry || newExpiry <= new Date()) {
       await post.update({
         is_boosted: false,
         boost_expires_at: null,
@@ -523,11 +733,17 @@ class PaymentProcessor {
       };
     }
 
+    await post.update({
+      boost_expires_at: newExpiry,
+      boost_amount: Math.max(parseFloat(post.boost_amount || 0) - share.refundAmount, 0)
+    });
+
     return {
       type: 'boost_reversal',
       postId,
-      reversed: false,
-      reason: 'Post not found or not boosted'
+      reversed: true,
+      hoursRemoved: hoursToRemove,
+      expiresAt: newExpiry
     };
   }
 }
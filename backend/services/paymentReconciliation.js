@@ -0,0 +1,683 @@
+/**
+ * Payment Reconciliation Service
+ * Compares provider daily bills with payment orders and settles payments whose callback was missed
+ */
+
+const zlib = require('zlib');
+const { Op } = require('sequelize');
+const config = require('../config/env');
+const { logger } = require('../config/logger');
+const redisService = require('./redis');
+const paymentService = require('./payment');
+const PaymentProcessor = require('./paymentProcessor');
+
+const LOCK_KEY = 'locks:payment_reconciliation';
+
+// Reports are kept for a month
+const REPORT_TTL = 30 * 24 * 60 * 60;
+
+// Bill dates and times are China Standard Time
+const CHINA_OFFSET = 8 * 60 * 60 * 1000;
+
+// Orders paid this close to midnight may be billed on the neighbouring day
+const DAY_BOUNDARY_TOLERANCE = 15 * 60 * 1000;
+
+// Orders are looked up in chunks to keep IN lists short
+const LOOKUP_CHUNK_SIZE = 500;
+
+// Refund states (退款状态) in WeChat bills mapped to refund ledger statuses
+const WECHAT_BILL_REFUND_STATUS = {
+  SUCCESS: 'success',
+  PROCESSING: 'pending',
+  REFUNDCLOSE: 'closed'
+};
+
+/**
+ * Split a CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Find a column by the start of its header
+ * Headers carry units and full-width punctuation that vary between bill versions
+ * @param {Array<string>} header - Header fields
+ * @param {string} name - Column name prefix
+ * @returns {number} Column index, or -1 if absent
+ */
+function findColumn(header, name) {
+  return header.findIndex(column => column.startsWith(name));
+}
+
+/**
+ * Convert a bill amount in yuan to cents
+ * @param {string} value - Amount, possibly negative for refunds
+ * @returns {number|null} Absolute amount in cents, or null if not a number
+ */
+function toCents(value) {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? Math.abs(Math.round(amount * 100)) : null;
+}
+
+/**
+ * Decode bill text, which Alipay writes in GBK
+ * @param {Buffer} buffer - Bill file
+ * @returns {string} Text
+ */
+function decodeBillText(buffer) {
+  const utf8 = buffer.toString('utf8');
+  return utf8.includes('\uFFFD') ? new TextDecoder('gbk').decode(buffer) : utf8;
+}
+
+/**
+ * Read the files of a zip archive
+ * Only stored and deflated entries are supported, which is what bill archives use
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Array<Object>} Entries ({ name, data })
+ */
+function readZipEntries(buffer) {
+  // The end of central directory record sits at the end, before an optional comment
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) {
+    end--;
+  }
+  if (end < 0) {
+    throw new Error('Invalid zip archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid zip central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const rawName = buffer.subarray(offset + 46, offset + 46 + nameLength);
+
+    // Names are UTF-8 only when flagged; Alipay archives use GBK
+    const name = flags & 0x800 ? rawName.toString('utf8') : new TextDecoder('gbk').decode(rawName);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.push({ name, data: compressed });
+    } else if (method === 8) {
+      entries.push({ name, data: zlib.inflateRawSync(compressed) });
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Payment Reconciliation Service Class
+ */
+class PaymentReconciliationService {
+  constructor() {
+    this.interval = config.payment.billReconcileInterval;
+    this.reconcileHour = config.payment.billReconcileHour;
+    this.autoSettle = config.payment.billAutoSettle;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Parse a WeChat Pay bill of type ALL
+   * Fields are prefixed with a backtick and the bill ends with a summary starting at 总交易单数
+   * @param {string} content - Bill CSV text
+   * @returns {Array<Object>} Bill records ({ type, outTradeNo, transactionId, outRefundNo, refundId,
+   *   amountCents, status, tradeTime })
+   */
+  parseWechatBill(content) {
+    const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const header = splitCsvLine(lines[0]).map(column => column.trim());
+    const column = {
+      tradeTime: findColumn(header, '交易时间'),
+      transactionId: findColumn(header, '微信订单号'),
+      outTradeNo: findColumn(header, '商户订单号'),
+      tradeState: findColumn(header, '交易状态'),
+      settlementAmount: findColumn(header, '应结订单金额'),
+      orderAmount: findColumn(header, '订单金额'),
+      refundId: findColumn(header, '微信退款单号'),
+      outRefundNo: findColumn(header, '商户退款单号'),
+      refundAmount: findColumn(header, '退款金额'),
+      requestedRefundAmount: findColumn(header, '申请退款金额'),
+      refundState: findColumn(header, '退款状态')
+    };
+
+    const records = [];
+    for (const line of lines.slice(1)) {
+      if (line.startsWith('总交易单数')) {
+        break;
+      }
+
+      const fields = splitCsvLine(line).map(field => field.replace(/^`/, '').trim());
+      const get = (index) => (index >= 0 ? fields[index] : undefined);
+      const tradeState = get(column.tradeState);
+
+      if (tradeState === 'SUCCESS') {
+        records.push({
+          type: 'payment',
+          outTradeNo: get(column.outTradeNo),
+          transactionId: get(column.transactionId),
+          amountCents: toCents(get(column.orderAmount)) ?? toCents(get(column.settlementAmount)),
+          status: 'paid',
+          tradeTime: get(column.tradeTime)
+        });
+      } else if (tradeState === 'REFUND') {
+        records.push({
+          type: 'refund',
+          outTradeNo: get(column.outTradeNo),
+          transactionId: get(column.transactionId),
+          outRefundNo: get(column.outRefundNo),
+          refundId: get(column.refundId),
+          amountCents: toCents(get(column.requestedRefundAmount)) ?? toCents(get(column.refundAmount)),
+          status: WECHAT_BILL_REFUND_STATUS[get(column.refundState)] || 'failed',
+          tradeTime: get(column.tradeTime)
+        });
+      }
+      // Revoked payments never completed and are left out
+    }
+
+    return records;
+  }
+
+  /**
+   * Parse an Alipay trade bill
+   * Accepts the downloaded zip, from which the detail file (业务明细) is read, or that CSV file alone
+   * @param {Buffer|string} content - Bill zip archive or detail CSV
+   * @returns {Array<Object>} Bill records ({ type, outTradeNo, transactionId, outRefundNo, refundId,
+   *   amountCents, status, tradeTime })
+   */
+  parseAlipayBill(content) {
+    if (!content) {
+      return [];
+    }
+
+    let text = content;
+    if (Buffer.isBuffer(content)) {
+      if (content.readUInt32LE(0) === 0x04034b50) {
+        const detail = readZipEntries(content)
+          .find(entry => entry.name.includes('业务明细') && !entry.name.includes('汇总'));
+        if (!detail) {
+          throw new Error('Alipay bill archive has no detail file');
+        }
+        text = decodeBillText(detail.data);
+      } else {
+        text = decodeBillText(content);
+      }
+    }
+
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headerIndex = lines.findIndex(line => !line.startsWith('#') && line.includes('支付宝交易号'));
+    if (headerIndex < 0) {
+      return [];
+    }
+
+    const header = splitCsvLine(lines[headerIndex]).map(column => column.trim());
+    const column = {
+      transactionId: findColumn(header, '支付宝交易号'),
+      outTradeNo: findColumn(header, '商户订单号'),
+      businessType: findColumn(header, '业务类型'),
+      completedAt: findColumn(header, '完成时间'),
+      orderAmount: findColumn(header, '订单金额'),
+      receivedAmount: findColumn(header, '商家实收'),
+      outRefundNo: findColumn(header, '退款批次号')
+    };
+
+    const records = [];
+    for (const line of lines.slice(headerIndex + 1)) {
+      // The detail list ends with a comment line followed by totals
+      if (line.startsWith('#')) {
+        break;
+      }
+      if (!line.trim()) {
+        continue;
+      }
+
+      const fields = splitCsvLine(line).map(field => field.trim());
+      const get = (index) => (index >= 0 ? fields[index] : undefined);
+      const businessType = get(column.businessType);
+      const amountCents = toCents(get(column.orderAmount)) ?? toCents(get(column.receivedAmount));
+
+      if (businessType === '交易') {
+        records.push({
+          type: 'payment',
+          outTradeNo: get(column.outTradeNo),
+          transactionId: get(column.transactionId),
+          amountCents,
+          status: 'paid',
+          tradeTime: get(column.completedAt)
+        });
+      } else if (businessType === '退款') {
+        // Alipay bills only list refunds that were paid out
+        records.push({
+          type: 'refund',
+          outTradeNo: get(column.outTradeNo),
+          transactionId: get(column.transactionId),
+          outRefundNo: get(column.outRefundNo),
+          refundId: get(column.transactionId),
+          amountCents,
+          status: 'success',
+          tradeTime: get(column.completedAt)
+        });
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Parse a provider bill
+   * @param {string} provider - Payment provider ('wechat' or 'alipay')
+   * @param {Buffer|string} content - Bill as downloaded
+   * @returns {Array<Object>} Bill records
+   */
+  parseBill(provider, content) {
+    if (provider === 'wechat') {
+      return this.parseWechatBill(Buffer.isBuffer(content) ? content.toString('utf8') : content);
+    }
+    if (provider === 'alipay') {
+      return this.parseAlipayBill(content);
+    }
+    throw new Error(`Unknown payment provider: ${provider}`);
+  }
+
+  /**
+   * Get a date in China time
+   * @param {number} daysAgo - Days before today
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  getBillDate(daysAgo = 1) {
+    return new Date(Date.now() + CHINA_OFFSET - daysAgo * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+  }
+
+  /**
+   * Compare bill records with payment orders and the refund ledger
+   * Bill payments must match an order of the same amount that is paid; orders paid during the
+   * bill date must appear in the bill. Orders paid around midnight can be billed on the
+   * neighbouring day, so those the bill lacks are listed as unconfirmed rather than missing.
+   * Bill refunds must match a ledger refund of the same amount and status.
+   * @param {string} provider - Payment provider ('wechat' or 'alipay')
+   * @param {string} billDate - Bill date (YYYY-MM-DD, China time)
+   * @param {Array<Object>} records - Parsed bill records
+   * @param {Object} options - Options ({ autoSettle }); autoSettle settles pending orders the bill shows as paid
+   * @returns {Promise<Object>} Report ({ provider, billDate, generatedAt, billPayments, billRefunds,
+   *   matched, settled, mismatches, unconfirmed })
+   */
+  async reconcileBill(provider, billDate, records, options = {}) {
+    const PaymentOrder = require('../models/PaymentOrder');
+    const PaymentRefund = require('../models/PaymentRefund');
+    const autoSettle = options.autoSettle ?? this.autoSettle;
+
+    const payments = records.filter(record => record.type === 'payment' && record.outTradeNo);
+    const refunds = records.filter(record => record.type === 'refund' && record.outRefundNo);
+
+    const ordersByTradeNo = new Map();
+    const tradeNos = [...new Set(payments.map(payment => payment.outTradeNo))];
+    for (let i = 0; i < tradeNos.length; i += LOOKUP_CHUNK_SIZE) {
+      const orders = await PaymentOrder.findAll({
+        where: { outTradeNo: tradeNos.slice(i, i + LOOKUP_CHUNK_SIZE) }
+      });
+      orders.forEach(order => ordersByTradeNo.set(order.outTradeNo, order));
+    }
+
+    const refundsByNo = new Map();
+    const refundNos = [...new Set(refunds.map(refund => refund.outRefundNo))];
+    for (let i = 0; i < refundNos.length; i += LOOKUP_CHUNK_SIZE) {
+      const ledger = await PaymentRefund.findAll({
+        where: { outRefundNo: refundNos.slice(i, i + LOOKUP_CHUNK_SIZE) }
+      });
+      ledger.forEach(refund => refundsByNo.set(refund.outRefundNo, refund));
+    }
+
+    const mismatches = [];
+    let matched = 0;
+    let settled = 0;
+
+    for (const payment of payments) {
+      const order = ordersByTradeNo.get(payment.outTradeNo);
+      const mismatch = {
+        kind: 'payment',
+        outTradeNo: payment.outTradeNo,
+        transactionId: payment.transactionId,
+        billAmount: payment.amountCents / 100,
+        billStatus: payment.status
+      };
+
+      if (!order) {
+        mismatches.push({ ...mismatch, type: 'missing', missingFrom: 'orders' });
+        continue;
+      }
+
+      mismatch.orderAmount = parseFloat(order.amount);
+      mismatch.orderStatus = order.status;
+
+      if (Math.round(parseFloat(order.amount) * 100) !== payment.amountCents) {
+        mismatches.push({ ...mismatch, type: 'amount_differs' });
+      } else if (['pending', 'failed', 'cancelled'].includes(order.status)) {
+        // A pending order the provider was paid for is a missed callback
+        if (autoSettle && order.status === 'pending') {
+          mismatch.settled = await this.settleMissedPayment(order, payment);
+          if (mismatch.settled) {
+            settled++;
+          }
+        }
+        mismatches.push({ ...mismatch, type: 'status_differs' });
+      } else {
+        matched++;
+      }
+    }
+
+    // Orders paid that day that the provider did not bill
+    const dayStart = new Date(`${billDate}T00:00:00+08:00`);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const paidOrders = await PaymentOrder.findAll({
+      where: {
+        provider,
+        status: ['paid', 'partially_refunded', 'refunded'],
+        paidAt: {
+          [Op.gte]: dayStart,
+          [Op.lt]: dayEnd
+        }
+      }
+    });
+
+    const billedTradeNos = new Set(tradeNos);
+    const unconfirmed = [];
+    paidOrders
+      .filter(order => !billedTradeNos.has(order.outTradeNo))
+      .forEach(order => {
+        const paidAt = new Date(order.paidAt).getTime();
+        const nearMidnight = paidAt - dayStart.getTime() < DAY_BOUNDARY_TOLERANCE ||
+          dayEnd.getTime() - paidAt <= DAY_BOUNDARY_TOLERANCE;
+
+        (nearMidnight ? unconfirmed : mismatches).push({
+          kind: 'payment',
+          type: 'missing',
+          missingFrom: 'bill',
+          outTradeNo: order.outTradeNo,
+          transactionId: order.transactionId,
+          orderAmount: parseFloat(order.amount),
+          orderStatus: order.status,
+          paidAt: order.paidAt
+        });
+      });
+
+    for (const refund of refunds) {
+      const ledgerRefund = refundsByNo.get(refund.outRefundNo);
+      const mismatch = {
+        kind: 'refund',
+        outTradeNo: refund.outTradeNo,
+        outRefundNo: refund.outRefundNo,
+        billAmount: refund.amountCents / 100,
+        billStatus: refund.status
+      };
+
+      if (!ledgerRefund) {
+        mismatches.push({ ...mismatch, type: 'missing', missingFrom: 'orders' });
+        continue;
+      }
+
+      mismatch.orderAmount = parseFloat(ledgerRefund.amount);
+      mismatch.orderStatus = ledgerRefund.status;
+
+      if (Math.round(parseFloat(ledgerRefund.amount) * 100) !== refund.amountCents) {
+        mismatches.push({ ...mismatch, type: 'amount_differs' });
+      } else if (ledgerRefund.status !== refund.status) {
+        // Pending refunds are settled by the refund reconciliation job
+        mismatches.push({ ...mismatch, type: 'status_differs' });
+      } else {
+        matched++;
+      }
+    }
+
+    return {
+      provider,
+      billDate,
+      generatedAt: new Date().toISOString(),
+      billPayments: payments.length,
+      billRefunds: refunds.length,
+      matched,
+      settled,
+      mismatches,
+      unconfirmed
+    };
+  }
+
+  /**
+   * Settle a pending order the bill shows as paid, as its payment callback would have
+   * @param {Object} order - Pending payment order
+   * @param {Object} payment - Bill payment record
+   * @returns {Promise<boolean>} Whether the payment was processed
+   */
+  async settleMissedPayment(order, payment) {
+    try {
+      const result = await PaymentProcessor.processSuccessfulPayment(order.outTradeNo, order.provider, {
+        transactionId: payment.transactionId,
+        amount: payment.amountCents / 100,
+        source: 'reconciliation'
+      });
+
+      if (!result.success) {
+        logger.error('Missed payment could not be processed:', { outTradeNo: order.outTradeNo, error: result.error });
+        return false;
+      }
+
+      // The callback may have arrived since the order was read
+      if (result.duplicate) {
+        return false;
+      }
+
+      logger.info('Missed payment settled from bill:', { outTradeNo: order.outTradeNo, provider: order.provider });
+      return true;
+    } catch (error) {
+      logger.error('Error settling missed payment:', { outTradeNo: order.outTradeNo, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Reconcile one provider's bill for a day and store the report
+   * @param {string} provider - Payment provider ('wechat' or 'alipay')
+   * @param {string} billDate - Bill date (YYYY-MM-DD, China time)
+   * @param {Object} options - Options ({ content, autoSettle }); content is a bill file to use
+   *   instead of downloading it
+   * @returns {Promise<Object>} Report
+   */
+  async reconcileDay(provider, billDate, options = {}) {
+    let { content } = options;
+
+    if (content === undefined) {
+      const download = await paymentService.downloadBill(billDate, provider);
+      if (!download.success) {
+        throw new Error(`Bill download failed: ${download.error}`);
+      }
+      content = download.content;
+    }
+
+    const records = this.parseBill(provider, content);
+    const report = await this.reconcileBill(provider, billDate, records, options);
+
+    await this.saveReport(report);
+
+    const summary = {
+      billPayments: report.billPayments,
+      billRefunds: report.billRefunds,
+      matched: report.matched,
+      settled: report.settled,
+      mismatches: report.mismatches.length,
+      unconfirmed: report.unconfirmed.length
+    };
+
+    if (report.mismatches.length > 0) {
+      logger.warn(`Payment reconciliation of ${provider} bill for ${billDate} found mismatches`, summary);
+    } else {
+      logger.info(`Payment reconciliation of ${provider} bill for ${billDate} matched`, summary);
+    }
+
+    return report;
+  }
+
+  /**
+   * Store a reconciliation report
+   * @param {Object} report - Report
+   */
+  async saveReport(report) {
+    if (!redisService.isReady()) {
+      return;
+    }
+
+    try {
+      await redisService.set(`payment:reconciliation:${report.provider}:${report.billDate}`, report, REPORT_TTL);
+    } catch (error) {
+      logger.error('Error saving reconciliation report:', error);
+    }
+  }
+
+  /**
+   * Get a stored reconciliation report
+   * @param {string} provider - Payment provider ('wechat' or 'alipay')
+   * @param {string} billDate - Bill date (YYYY-MM-DD, China time)
+   * @returns {Promise<Object|null>} Report, or null if the day was not reconciled
+   */
+  async getReport(provider, billDate) {
+    if (!redisService.isReady()) {
+      return null;
+    }
+
+    try {
+      return await redisService.get(`payment:reconciliation:${provider}:${billDate}`, true);
+    } catch (error) {
+      logger.error('Error reading reconciliation report:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Reconcile yesterday's bills once they are available
+   * Runs once a day per provider; a stored report marks the day as done, so this needs Redis
+   * @returns {Promise<number>} Number of bills reconciled by this instance
+   */
+  async processDailyReconciliation() {
+    const chinaHour = new Date(Date.now() + CHINA_OFFSET).getUTCHours();
+    if (chinaHour < this.reconcileHour || !redisService.isReady()) {
+      return 0;
+    }
+
+    const lockToken = await redisService.acquireLock(LOCK_KEY, Math.max(Math.floor(this.interval / 1000), 1));
+    if (!lockToken) {
+      return 0;
+    }
+
+    try {
+      const billDate = this.getBillDate(1);
+      let reconciled = 0;
+
+      for (const provider of ['wechat', 'alipay']) {
+        if (!paymentService.isProviderConfigured(provider) || await this.getReport(provider, billDate)) {
+          continue;
+        }
+
+        try {
+          await this.reconcileDay(provider, billDate);
+          reconciled++;
+        } catch (error) {
+          logger.error(`Payment reconciliation of ${provider} bill for ${billDate} failed:`, error);
+        }
+      }
+
+      return reconciled;
+    } finally {
+      await redisService.releaseLock(LOCK_KEY, lockToken).catch(() => {});
+    }
+  }
+
+  /**
+   * Start background daily reconciliation
+   */
+  startBackgroundProcessing() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      // Skip overlapping runs on this instance when a run takes longer than the interval
+      if (this.isRunning) {
+        return;
+      }
+
+      this.isRunning = true;
+      try {
+        await this.processDailyReconciliation();
+      } catch (error) {
+        logger.error('Payment reconciliation failed:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    }, this.interval);
+
+    logger.info('Payment reconciliation background processing started');
+  }
+
+  /**
+   * Stop background processing
+   */
+  stopBackgroundProcessing() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const paymentReconciliationService = new PaymentReconciliationService();
+
+module.exports = paymentReconciliationService;
@@ -0,0 +1,153 @@
+/**
+ * Post Scheduler Service
+ * Publishes scheduled posts once their publish time has passed
+ */
+
+const config = require('../config/env');
+const { logger } = require('../config/logger');
+const redisService = require('./redis');
+const hashtagService = require('./hashtags');
+const timelineService = require('./timeline');
+
+const LOCK_KEY = 'locks:post_scheduler';
+
+/**
+ * Post Scheduler Service Class
+ */
+class PostSchedulerService {
+  constructor() {
+    this.interval = config.posts.schedulerInterval;
+    this.batchSize = config.posts.schedulerBatchSize;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Publish all due scheduled posts
+   * A Redis lock keeps instances from sweeping at the same time; each post is
+   * still published through a conditional update so side effects run once
+   * even when Redis is unavailable
+   * @returns {Promise<number>} Number of posts published by this instance
+   */
+  async processDuePosts() {
+    // Models are loaded lazily so the service can be required before the database is initialized
+    const Post = require('../models/Post');
+
+    let lockToken = null;
+    if (redisService.isReady()) {
+      // Expire the lock before the next run in case this instance dies mid-sweep
+      lockToken = await redisService.acquireLock(LOCK_KEY, Math.max(Math.floor(this.interval / 1000), 1));
+      if (!lockToken) {
+        return 0;
+      }
+    }
+
+    let publishedCount = 0;
+
+    try {
+      const duePosts = await Post.getDueScheduledPosts(this.batchSize);
+
+      for (const post of duePosts) {
+        try {
+          if (await this.publishPost(post)) {
+            publishedCount++;
+          }
+        } catch (error) {
+          logger.error('Failed to publish scheduled post:', {
+            postId: post.id,
+            error: error.message
+          });
+        }
+      }
+
+      if (publishedCount > 0) {
+        logger.info(`Published ${publishedCount} scheduled posts`);
+      }
+    } finally {
+      if (lockToken) {
+        await redisService.releaseLock(LOCK_KEY, lockToken).catch(() => {});
+      }
+    }
+
+    return publishedCount;
+  }
+
+  /**
+   * Publish a single scheduled post and apply its side effects
+   * @param {Post} post - Due scheduled post
+   * @returns {Promise<boolean>} Whether this instance published the post
+   */
+  async publishPost(post) {
+    const Post = require('../models/Post');
+    const User = require('../models/User');
+    const Notification = require('../models/Notification');
+
+    const previousPost = post.get({ plain: true });
+
+    const published = await Post.publishScheduled(post.id);
+    if (!published) {
+      // Already published or cancelled by another worker or the author
+      return false;
+    }
+
+    await post.reload();
+
+    const postsCount = await Post.countUserPosts(post.user_id);
+    await User.updateStats(post.user_id, { posts_count: postsCount });
+
+    await hashtagService.syncPost(post, previousPost);
+    await timelineService.syncPost(post, previousPost);
+
+    for (const taggedUserId of post.tagged_users || []) {
+      if (taggedUserId !== post.user_id) {
+        await Notification.createPostTagNotification(taggedUserId, post.user_id, post.id);
+      }
+    }
+
+    logger.info(`Scheduled post published for user ${post.user_id}`, { postId: post.id });
+
+    return true;
+  }
+
+  /**
+   * Start background publishing of scheduled posts
+   */
+  startBackgroundProcessing() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      // Skip overlapping runs on this instance when a sweep takes longer than the interval
+      if (this.isRunning) {
+        return;
+      }
+
+      this.isRunning = true;
+      try {
+        await this.processDuePosts();
+      } catch (error) {
+        logger.error('Scheduled post processing failed:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    }, this.interval);
+
+    logger.info('Post scheduler background processing started');
+  }
+
+  /**
+   * Stop background processing
+   */
+  stopBackgroundProcessing() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const postSchedulerService = new PostSchedulerService();
+
+module.exports = postSchedulerService;
@@ -437,6 +437,199 @@ class RedisService {
     }
   }
 
+  /**
+   * Acquire a distributed lock
+   * @param {string} key - Lock key
+   * @param {number} ttl - Lock expiration in seconds
+   * @returns {Promise<string|null>} Lock token when acquired, null otherwise
+   */
+  async acquireLock(key, ttl) {
+    try {
+      if (!this.isReady()) {
+        throw new Error('Redis client not ready');
+      }
+
+      const token = `${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+      const result = await this.client.set(key, token, { NX: true, EX: ttl });
+      return result === 'OK' ? token : null;
+    } catch (error) {
+      logger.error(`Redis lock error for key ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a distributed lock if it is still held by the given token
+   * @param {string} key - Lock key
+   * @param {string} token - Token returned by acquireLock
+   * @returns {Promise<boolean>} Whether the lock was released
+   */
+  async releaseLock(key, token) {
+    try {
+      if (!this.isReady()) {
+        throw new Error('Redis client not ready');
+      }
+
+      // Compare-and-delete so an expired lock taken over by another instance is left alone
+      const result = await this.client.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        { keys: [key], arguments: [token] }
+      );
+      return result === 1;
+    } catch (error) {
+      logger.error(`Redis unlock error for key ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Increment the score of a sorted set member
+   * @param {string} key - Redis key
+   * @param {number} increment - Amount to add to the score (may be negative)
+   * @param {string} member - Sorted set member
+   * @returns {Promise<number>} New score of the member
+   */
+  async zincrby(key, increment, member) {
+    try {
+      if (!this.isReady()) {
+        throw new Error('Redis client not ready');
+      }
+
+      return await this.client.zIncrBy(key, increment, member);
+    } catch (error) {
+      logger.error(`Redis ZINCRBY error for key ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add member to sorted set
+   * @param {string} key - Redis key
+   * @param {number} score - Member score
+   * @param {string} member - Sorted set member
+   * @returns {Promise<number>} Number of members added
+   */
+  async zadd(key, score, member) {
+    try {
+      if (!this.isReady()) {
+        throw new Error('Redis client not ready');
+      }
+
+      return await this.client.zAdd(key, { score, value: member });
+    } catch (error) {
+      logger.error(`Redis ZADD error for key ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get sorted set members within a score range
+   * @param {string} key - Redis key
+   * @param {number|string} min - Minimum score ('-inf' allowed)
+   * @param {number|string} max - Maximum score ('+inf' allowed)
+   * @param {Object} options - { rev: highest score first, count: maximum members }
+   * @returns {Promise<Array>} Array of { value, score } entries
+   */
+  async zrangebyscore(key, min, max, options = {}) {
+    try {
+      if (!this.isReady()) {
+        throw new Error('Redis client not ready');
+      }
+
+      const { rev = false, count = null } = options;
+
+      return await this.client.zRangeWithScores(key, rev ? max : min, rev ? min : max, {
+        BY: 'SCORE',
+        REV: rev || undefined,
+        ...(count ? { LIMIT: { offset: 0, count } } : {})
+      });
+    } catch (error) {
+      logger.error(`Redis ZRANGEBYSCORE error for key ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a Lua script
+   * @param {string} script - Lua source
+   * @param {Array<string>} keys - Keys passed as KEYS
+   * @param {Array<string>} args - Arguments passed as ARGV
+   * @returns {Promise<*>} Script result
+   */
+  async evalScript(script, keys = [], args = []) {
+    try {
+      if (!this.isReady()) {
+        throw new Error('Redis client not ready');
+      }
+
+      return await this.client.eval(script, {
+        keys,
+        arguments: args.map(String)
+      });
+    } catch (error) {
+      logger.error('Redis EVAL error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove member from sorted set
+   * @param {string} key - Redis key
+   * @param {string} member - Member to remove
+   * @returns {Promise<number>} Number of members removed
+   */
+  async zrem(key, member) {
+    try {
+      if (!this.isReady()) {
+        throw new Error('Redis client not ready');
+      }
+
+      return await this.client.zRem(key, member);
+    } catch (error) {
+      logger.error(`Redis ZREM error for key ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get sorted set members with scores, highest score first
+   * @param {string} key - Redis key
+   * @param {number} start - Start index
+   * @param {number} stop - Stop index
+   * @returns {Promise<Array>} Array of { value, score } entries
+   */
+  async zrevrangeWithScores(key, start = 0, stop = -1) {
+    try {
+      if (!this.isReady()) {
+        throw new Error('Redis client not ready');
+      }
+
+      return await this.client.zRangeWithScores(key, start, stop, { REV: true });
+    } catch (error) {
+      logger.error(`Redis ZREVRANGE error for key ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the union of several sorted sets, summing scores
+   * @param {string} destination - Destination key
+   * @param {Array<string>} keys - Source keys
+   * @returns {Promise<number>} Number of members in the resulting set
+   */
+  async zunionstore(destination, keys) {
+    try {
+      if (!this.isReady()) {
+        throw new Error('Redis client not ready');
+      }
+
+      return await this.client.zUnionStore(destination, keys);
+    } catch (error) {
+      logger.error(`Redis ZUNIONSTORE error for key ${destination}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Flush all data from current database
    * @returns {Promise<string>} Redis response
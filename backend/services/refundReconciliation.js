@@ -0,0 +1,143 @@
+/**
+ * Refund Reconciliation Service
+ * Queries providers for refunds still pending after their notification should have arrived
+ */
+
+const config = require('../config/env');
+const { logger } = require('../config/logger');
+const redisService = require('./redis');
+const paymentService = require('./payment');
+const PaymentProcessor = require('./paymentProcessor');
+
+const LOCK_KEY = 'locks:refund_reconciliation';
+
+/**
+ * Refund Reconciliation Service Class
+ */
+class RefundReconciliationService {
+  constructor() {
+    this.interval = config.payment.refundReconcileInterval;
+    this.minAge = config.payment.refundReconcileMinAge;
+    this.batchSize = config.payment.refundReconcileBatchSize;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Settle pending refunds the provider has finished
+   * A Redis lock keeps instances from querying the same refunds; a refund's outcome is only
+   * applied once, so overlapping runs are harmless
+   * @returns {Promise<number>} Number of refunds settled by this instance
+   */
+  async reconcilePendingRefunds() {
+    // Models are loaded lazily so the service can be required before the database is initialized
+    const PaymentRefund = require('../models/PaymentRefund');
+
+    let lockToken = null;
+    if (redisService.isReady()) {
+      // Expire the lock before the next run in case this instance dies mid-run
+      lockToken = await redisService.acquireLock(LOCK_KEY, Math.max(Math.floor(this.interval / 1000), 1));
+      if (!lockToken) {
+        return 0;
+      }
+    }
+
+    try {
+      // Recent refunds are left to their notification
+      const refunds = await PaymentRefund.findPending(new Date(Date.now() - this.minAge * 1000), this.batchSize);
+
+      let settled = 0;
+      for (const refund of refunds) {
+        try {
+          if (await this.reconcileRefund(refund)) {
+            settled++;
+          }
+        } catch (error) {
+          logger.error('Error reconciling refund:', { outRefundNo: refund.outRefundNo, error: error.message });
+        }
+      }
+
+      if (settled > 0) {
+        logger.info(`Reconciled ${settled} of ${refunds.length} pending refunds`);
+      }
+
+      return settled;
+    } finally {
+      if (lockToken) {
+        await redisService.releaseLock(LOCK_KEY, lockToken).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Query the provider for one refund and record its outcome
+   * @param {Object} refund - Pending refund with its order
+   * @returns {Promise<boolean>} Whether the refund was settled
+   */
+  async reconcileRefund(refund) {
+    const result = await paymentService.queryRefund({
+      outTradeNo: refund.order.outTradeNo,
+      outRefundNo: refund.outRefundNo
+    }, refund.provider);
+
+    if (!result.success) {
+      logger.warn('Refund query failed, will retry', { outRefundNo: refund.outRefundNo, error: result.error });
+      return false;
+    }
+
+    if (result.status === 'pending') {
+      return false;
+    }
+
+    const { changed } = await PaymentProcessor.settleRefund(refund, result.status, {
+      providerRefundId: result.refundId,
+      refundedAt: result.refundedAt,
+      failureReason: result.failureReason || (result.status === 'success' ? null : `Refund ${result.status}`),
+      providerData: result.data
+    });
+
+    return changed;
+  }
+
+  /**
+   * Start background reconciliation of pending refunds
+   */
+  startBackgroundProcessing() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      // Skip overlapping runs on this instance when a run takes longer than the interval
+      if (this.isRunning) {
+        return;
+      }
+
+      this.isRunning = true;
+      try {
+        await this.reconcilePendingRefunds();
+      } catch (error) {
+        logger.error('Refund reconciliation failed:', error);
+      } finally {
+        this.isRunning = false;
+      }
+    }, this.interval);
+
+    logger.info('Refund reconciliation background processing started');
+  }
+
+  /**
+   * Stop background processing
+   */
+  stopBackgroundProcessing() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const refundReconciliationService = new RefundReconciliationService();
+
+module.exports = refundReconciliationService;
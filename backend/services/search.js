@@ -0,0 +1,137 @@
+/**
+ * Search Service
+ * Builds MySQL FULLTEXT queries for the ngram parser and highlights matched snippets
+ */
+
+const config = require('../config/env');
+
+// Characters with a meaning in BOOLEAN MODE queries
+const BOOLEAN_OPERATORS = /[+\-<>()~*"@]/g;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Search Service Class
+ */
+class SearchService {
+  constructor() {
+    this.ngramTokenSize = config.search.ngramTokenSize;
+    this.snippetLength = config.search.snippetLength;
+  }
+
+  /**
+   * Split a search query into terms
+   * @param {string} query - Raw search query
+   * @returns {Array<string>} Unique terms without boolean operators
+   */
+  getTerms(query) {
+    const terms = query
+      .replace(BOOLEAN_OPERATORS, ' ')
+      .split(/\s+/)
+      .map(term => term.trim())
+      .filter(Boolean);
+
+    return [...new Set(terms)];
+  }
+
+  /**
+   * Build a BOOLEAN MODE query requiring every term
+   * Each term is quoted so the ngram parser matches its n-grams as a phrase
+   * rather than any single n-gram, which keeps CJK results precise
+   * @param {Array<string>} terms - Search terms
+   * @returns {string|null} Boolean query, or null when no term is long enough for the index
+   */
+  buildBooleanQuery(terms) {
+    if (terms.length === 0 || terms.some(term => term.length < this.ngramTokenSize)) {
+      return null;
+    }
+
+    return terms.map(term => `+"${term}"`).join(' ');
+  }
+
+  /**
+   * Build a MATCH ... AGAINST expression
+   * @param {Object} sequelize - Sequelize instance used to escape the query
+   * @param {Array<string>} columns - Fully qualified FULLTEXT columns, e.g. '`Post`.`content`'
+   * @param {string} booleanQuery - Query from buildBooleanQuery
+   * @returns {string} SQL expression evaluating to the relevance score
+   */
+  buildMatchExpression(sequelize, columns, booleanQuery) {
+    return `MATCH(${columns.join(', ')}) AGAINST(${sequelize.escape(booleanQuery)} IN BOOLEAN MODE)`;
+  }
+
+  /**
+   * Build a LIKE pattern for terms too short for the FULLTEXT index
+   * @param {string} term - Search term
+   * @returns {string} LIKE pattern
+   */
+  buildLikePattern(term) {
+    return `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+  }
+
+  /**
+   * Cut a snippet around the first match and mark every matched term
+   * @param {string} text - Full text
+   * @param {Array<string>} terms - Search terms
+   * @returns {string|null} HTML-escaped snippet with matches wrapped in <mark>, or null without text
+   */
+  highlight(text, terms) {
+    if (!text) {
+      return null;
+    }
+
+    const lowerText = text.toLowerCase();
+    const positions = terms
+      .map(term => lowerText.indexOf(term.toLowerCase()))
+      .filter(position => position >= 0);
+    const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+
+    // Center the snippet on the first match, keeping it inside the text
+    const end = Math.min(text.length, Math.max(firstMatch - Math.floor(this.snippetLength / 2), 0) + this.snippetLength);
+    const start = Math.max(0, end - this.snippetLength);
+    const snippet = text.slice(start, end);
+
+    let highlighted = '';
+    if (terms.length > 0) {
+      // Longest terms first so overlapping terms mark the longer match
+      const pattern = new RegExp(
+        [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'),
+        'gi'
+      );
+
+      let lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(snippet)) !== null) {
+        highlighted += escapeHtml(snippet.slice(lastIndex, match.index));
+        highlighted += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+      }
+      highlighted += escapeHtml(snippet.slice(lastIndex));
+    } else {
+      highlighted = escapeHtml(snippet);
+    }
+
+    return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+module.exports = searchService;
@@ -12,6 +12,10 @@ const { logger } = require('../config/logger');
 const redisService = require('./redis');
 const { TokenManager } = require('../utils/security');
 
+// Socket sends are limited like POST /chat/messages: 60 messages per minute
+const SOCKET_MESSAGE_LIMIT = 60;
+const SOCKET_MESSAGE_WINDOW = 60; // seconds
+
 /**
  * Socket Service Class
  */
@@ -107,8 +111,9 @@ class SocketService {
       // Chat events
       socket.on('join_conversation', (data) => this.handleJoinConversation(socket, data));
       socket.on('leave_conversation', (data) => this.handleLeaveConversation(socket, data));
-      socket.on('send_message', (data) => this.handleSendMessage(socket, data));
+      socket.on('send_message', (data, ack) => this.handleSendMessage(socket, data, ack));
       socket.on('message_read', (data) => this.handleMessageRead(socket, data));
+      socket.on('sync', (data, ack) => this.handleSync(socket, data, ack));
       socket.on('typing_start', (data) => this.handleTypingStart(socket, data));
       socket.on('typing_stop', (data) => this.handleTypingStop(socket, data));
       
@@ -181,10 +186,16 @@ class SocketService {
    * @param {Object} socket - Socket instance
    * @param {Object} data - Conversation data
    */
-  handleJoinConversation(socket, data) {
+  async handleJoinConversation(socket, data) {
     try {
       const { conversationId } = data;
       const roomId = `conversation:${conversationId}`;
+
+      // Only participants may join, so others cannot listen to messages and typing events
+      if (!(await this.canJoinConversation(socket.userId, conversationId))) {
+        socket.emit('error', { message: 'Access denied to this conversation' });
+        return;
+      }
       
       socket.join(roomId);
       
@@ -202,6 +213,93 @@ class SocketService {
     }
   }
 
+  /**
+   * Check if a socket is currently in a conversation room
+   * Events for a conversation are only relayed after join_conversation and until leave_conversation
+   * @param {Object} socket - Socket instance
+   * @param {string} conversationId - Conversation ID
+   * @returns {boolean} Whether socket is in the room
+   */
+  isInConversation(socket, conversationId) {
+    return socket.rooms.has(`conversation:${conversationId}`);
+  }
+
+  /**
+   * Check if user may join a conversation room, caching the result in Redis
+   * @param {string} userId - User ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<boolean>} Whether user may join
+   */
+  async canJoinConversation(userId, conversationId) {
+    const cacheKey = `socket:conversation_access:${conversationId}:${userId}`;
+
+    try {
+      if (redisService.isReady()) {
+        const cached = await redisService.get(cacheKey);
+        if (cached !== null) {
+          return cached === '1';
+        }
+      }
+    } catch (error) {
+      logger.error('Error reading conversation access cache:', error);
+    }
+
+    const chatService = require('./chat');
+    const allowed = await chatService.isParticipant(userId, conversationId);
+
+    try {
+      if (redisService.isReady()) {
+        await redisService.set(cacheKey, allowed ? '1' : '0', config.chat.accessCacheTtl);
+      }
+    } catch (error) {
+      logger.error('Error caching conversation access:', error);
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Drop cached join checks after membership or block changes
+   * @param {string} conversationId - Conversation ID
+   * @param {Array<string>} userIds - Affected user IDs
+   */
+  async invalidateConversationAccess(conversationId, userIds) {
+    try {
+      if (!redisService.isReady()) {
+        return;
+      }
+
+      for (const userId of userIds) {
+        await redisService.del(`socket:conversation_access:${conversationId}:${userId}`);
+      }
+    } catch (error) {
+      logger.error('Error invalidating conversation access cache:', error);
+    }
+  }
+
+  /**
+   * Remove users' sockets from a conversation room on every server
+   * @param {string} conversationId - Conversation ID
+   * @param {Array<string>} userIds - User IDs to evict
+   */
+  async evictFromConversation(conversationId, userIds) {
+    try {
+      await this.invalidateConversationAccess(conversationId, userIds);
+
+      if (userIds.length === 0) {
+        return;
+      }
+
+      const userRooms = userIds.map(userId => `user:${userId}`);
+      this.io.in(userRooms).socketsLeave(`conversation:${conversationId}`);
+      this.io.to(userRooms).emit('conversation_access_revoked', { conversationId });
+
+      logger.debug(`Evicted ${userIds.length} users from conversation ${conversationId}`);
+    } catch (error) {
+      logger.error('Error evicting users from conversation:', error);
+    }
+  }
+
   /**
    * Handle leaving a conversation
    * @param {Object} socket - Socket instance
@@ -211,6 +309,11 @@ class SocketService {
     try {
       const { conversationId } = data;
       const roomId = `conversation:${conversationId}`;
+
+      // Only sockets in the room can announce leaving it
+      if (!this.isInConversation(socket, conversationId)) {
+        return;
+      }
       
       socket.leave(roomId);
       
@@ -229,29 +332,120 @@ class SocketService {
 
   /**
    * Handle sending a message
+   * Messages go through the same validation and checks as POST /chat/messages and are stored
+   * before delivery. The ack carries the stored message and the client's idempotency key,
+   * so clients can retry with the same client_message_id without creating duplicates.
    * @param {Object} socket - Socket instance
-   * @param {Object} data - Message data
+   * @param {Object} data - Message data, as for POST /chat/messages
+   * @param {Function} ack - Acknowledgement callback
    */
-  async handleSendMessage(socket, data) {
+  async handleSendMessage(socket, data, ack) {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const clientMessageId = data?.client_message_id || null;
+
     try {
-      const { conversationId, message } = data;
-      const roomId = `conversation:${conversationId}`;
-      
-      // Broadcast message to conversation participants
-      socket.to(roomId).emit('new_message', {
-        ...message,
-        senderId: socket.userId,
-        timestamp: new Date().toISOString()
+      const { validateData, messageSchemas } = require('../middleware/validator');
+      const chatService = require('./chat');
+
+      if (!(await this.checkMessageRateLimit(socket.userId))) {
+        respond({
+          status: 'error',
+          client_message_id: clientMessageId,
+          message: 'Message rate limit exceeded, please slow down'
+        });
+        return;
+      }
+
+      const { value, error } = validateData(messageSchemas.sendMessage, data);
+      if (error) {
+        respond({ status: 'error', client_message_id: clientMessageId, message: error.message });
+        return;
+      }
+
+      const { message, created } = await chatService.sendMessage(socket.userId, value);
+
+      respond({
+        status: 'success',
+        client_message_id: clientMessageId,
+        duplicate: !created,
+        message
       });
-      
-      // Store message delivery status
-      await this.storeMessageDeliveryStatus(message.id, conversationId);
-      
-      logger.debug(`Message sent in conversation ${conversationId} by user ${socket.userId}`);
-      
+
+      logger.debug(`Message sent in conversation ${message.conversation_id} by user ${socket.userId} over socket`);
+
     } catch (error) {
+      if (error.isOperational) {
+        respond({ status: 'error', client_message_id: clientMessageId, message: error.message });
+        return;
+      }
+
       logger.error('Error sending message:', error);
-      socket.emit('error', { message: 'Failed to send message' });
+      respond({ status: 'error', client_message_id: clientMessageId, message: 'Failed to send message' });
+    }
+  }
+
+  /**
+   * Handle a device syncing missed message changes
+   * Takes the same parameters as GET /chat/sync and acks with the same data
+   * @param {Object} socket - Socket instance
+   * @param {Object} data - Sync data ({ device_id, since, limit })
+   * @param {Function} ack - Acknowledgement callback
+   */
+  async handleSync(socket, data, ack) {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const { validateData, messageSchemas } = require('../middleware/validator');
+      const DeviceSyncState = require('../models/DeviceSyncState');
+      const chatService = require('./chat');
+
+      const { value, error } = validateData(messageSchemas.syncMessages, data);
+      if (error) {
+        respond({ status: 'error', message: error.message });
+        return;
+      }
+
+      const since = value.since ? DeviceSyncState.decodeCursor(value.since) : null;
+      if (value.since && !since) {
+        respond({ status: 'error', message: 'Invalid sync cursor' });
+        return;
+      }
+
+      const changes = await chatService.syncMessages(socket.userId, value.device_id, {
+        since,
+        limit: value.limit
+      });
+
+      respond({ status: 'success', data: changes });
+
+    } catch (error) {
+      logger.error('Error syncing messages:', error);
+      respond({ status: 'error', message: 'Failed to sync messages' });
+    }
+  }
+
+  /**
+   * Check the per-user socket message rate limit, matching the REST message limit
+   * Allows sending when Redis is unavailable
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether user may send another message
+   */
+  async checkMessageRateLimit(userId) {
+    try {
+      if (!redisService.isReady()) {
+        return true;
+      }
+
+      const key = `rate_limit:socket_messages:${userId}`;
+      const count = await redisService.incr(key);
+      if (count === 1) {
+        await redisService.expire(key, SOCKET_MESSAGE_WINDOW);
+      }
+
+      return count <= SOCKET_MESSAGE_LIMIT;
+    } catch (error) {
+      logger.error('Error checking socket message rate limit:', error);
+      return true;
     }
   }
 
@@ -264,6 +458,10 @@ class SocketService {
     try {
       const { conversationId, messageId } = data;
       const roomId = `conversation:${conversationId}`;
+
+      if (!this.isInConversation(socket, conversationId)) {
+        return;
+      }
       
       // Notify sender about read receipt
       socket.to(roomId).emit('message_read', {
@@ -288,6 +486,10 @@ class SocketService {
     try {
       const { conversationId } = data;
       const roomId = `conversation:${conversationId}`;
+
+      if (!this.isInConversation(socket, conversationId)) {
+        return;
+      }
       
       socket.to(roomId).emit('user_typing', {
         userId: socket.userId,
@@ -309,6 +511,10 @@ class SocketService {
     try {
       const { conversationId } = data;
       const roomId = `conversation:${conversationId}`;
+
+      if (!this.isInConversation(socket, conversationId)) {
+        return;
+      }
       
       socket.to(roomId).emit('user_typing', {
         userId: socket.userId,
@@ -418,6 +624,36 @@ class SocketService {
     }
   }
 
+  /**
+   * Emit an event to everyone in a conversation room
+   * @param {string} conversationId - Conversation ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  emitToConversation(conversationId, event, data) {
+    try {
+      this.io.to(`conversation:${conversationId}`).emit(event, data);
+    } catch (error) {
+      logger.error(`Error emitting ${event} to conversation:`, error);
+    }
+  }
+
+  /**
+   * Emit an event to users' personal rooms
+   * @param {Array<string>} userIds - User IDs
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  emitToUsers(userIds, event, data) {
+    try {
+      if (userIds.length > 0) {
+        this.io.to(userIds.map(userId => `user:${userId}`)).emit(event, data);
+      }
+    } catch (error) {
+      logger.error(`Error emitting ${event} to users:`, error);
+    }
+  }
+
   /**
    * Check if user is online using Redis (distributed state)
    * @param {string} userId - User ID
@@ -576,28 +812,6 @@ class SocketService {
     }
   }
 
-  /**
-   * Store message delivery status
-   * @param {string} messageId - Message ID
-   * @param {string} conversationId - Conversation ID
-   */
-  async storeMessageDeliveryStatus(messageId, conversationId) {
-    try {
-      if (!redisService.isReady()) return;
-
-      const key = `message_delivery:${messageId}`;
-      const deliveryData = {
-        messageId,
-        conversationId,
-        deliveredAt: new Date().toISOString()
-      };
-
-      await redisService.set(key, deliveryData, 86400); // 24 hours TTL
-    } catch (error) {
-      logger.error('Error storing message delivery status:', error);
-    }
-  }
-
   /**
    * Broadcast to all connected users
    * @param {string} event - Event name
@@ -302,6 +302,34 @@ class StorageService {
     }
   }
 
+  /**
+   * Get the storage key and provider of an uploaded file's URL
+   * Both providers serve files at /{key} on the bucket or custom domain
+   * @param {string} url - File URL returned by uploadFile
+   * @returns {Object|null} File location ({ key, provider }), or null if the URL is invalid
+   */
+  parseFileUrl(url) {
+    try {
+      const { hostname, pathname } = new URL(url);
+      const key = decodeURIComponent(pathname.replace(/^\/+/, ''));
+
+      if (!key) {
+        return null;
+      }
+
+      let provider = null;
+      if (hostname.endsWith('.myqcloud.com')) {
+        provider = 'tencent';
+      } else if (hostname.endsWith('.aliyuncs.com')) {
+        provider = 'alibaba';
+      }
+
+      return { key, provider };
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Delete file
    * @param {string} key - File key
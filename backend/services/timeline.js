@@ -0,0 +1,425 @@
+/**
+ * Timeline Service
+ * Fan-out-on-write home timeline cache in Redis
+ *
+ * Each user's timeline is a sorted set of post IDs scored by publish time, so
+ * reads page on the same (created_at, id) cursor as the database feed. Public
+ * posts from everyone live in one shared stream that is merged in at read time.
+ * Authors with more friends than the fan-out limit are not pushed; readers pull
+ * their posts from the database instead.
+ */
+
+const config = require('../config/env');
+const { logger } = require('../config/logger');
+const redisService = require('./redis');
+
+const TIMELINE_KEY_PREFIX = 'timeline:user:';
+const PUBLIC_TIMELINE_KEY = 'timeline:public';
+const LARGE_AUTHORS_KEY = 'timeline:large_authors';
+const REBUILD_LOCK_PREFIX = 'locks:timeline_rebuild:';
+
+// Marks a timeline as built even when it holds no posts; trimming drops it first,
+// which is fine because a trimmed timeline is never empty
+const TIMELINE_MARKER = 'built';
+
+// Extra entries fetched per source to absorb removed posts and ties with the cursor
+const TIE_SLACK = 10;
+
+// Push a post into every timeline that is already built, then trim to the maximum length
+const PUSH_SCRIPT = `
+local pushed = 0
+for _, key in ipairs(KEYS) do
+  if redis.call('exists', key) == 1 then
+    redis.call('zadd', key, ARGV[1], ARGV[2])
+    redis.call('zremrangebyrank', key, 0, -(tonumber(ARGV[3]) + 1))
+    pushed = pushed + 1
+  end
+end
+return pushed
+`;
+
+// Replace a timeline with a freshly built one in a single step
+const REPLACE_SCRIPT = `
+redis.call('del', KEYS[1])
+redis.call('zadd', KEYS[1], 0, ARGV[2])
+for i = 3, #ARGV, 2 do
+  redis.call('zadd', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+if tonumber(ARGV[1]) > 0 then
+  redis.call('expire', KEYS[1], ARGV[1])
+end
+return 1
+`;
+
+/**
+ * Timeline Service Class
+ */
+class TimelineService {
+  constructor() {
+    this.maxLength = config.timeline.maxLength;
+    this.publicMaxLength = config.timeline.publicMaxLength;
+    this.fanoutLimit = config.timeline.fanoutLimit;
+    this.ttl = config.timeline.ttl;
+    this.rebuildWindowDays = config.timeline.rebuildWindowDays;
+    this.fanoutBatchSize = 500;
+  }
+
+  /**
+   * Get Redis key of a user's home timeline
+   * @param {string} userId - User ID
+   * @returns {string} Redis key
+   */
+  getTimelineKey(userId) {
+    return `${TIMELINE_KEY_PREFIX}${userId}`;
+  }
+
+  /**
+   * Check if a post belongs in timelines at all
+   * @param {Object} post - Post instance or plain post values
+   * @returns {boolean} Whether the post is live
+   */
+  isLive(post) {
+    return !!post
+      && post.is_published !== false
+      && !post.is_deleted
+      && !post.is_hidden
+      && (!post.post_type || post.post_type === 'post');
+  }
+
+  /**
+   * Check if a post is shown to the author's friends
+   * @param {Object} post - Post instance or plain post values
+   * @returns {boolean} Whether friends can see the post
+   */
+  reachesFriends(post) {
+    return this.isLive(post) && post.privacy !== 'private';
+  }
+
+  /**
+   * Update timelines after a post was published, edited or removed
+   * Entries for posts that were deleted, hidden or made private are left in
+   * friends' timelines and dropped when the page is read
+   * @param {Object} post - Post in its current state
+   * @param {Object} previousPost - Plain post values before the change (null for new posts)
+   * @returns {Promise<void>}
+   */
+  async syncPost(post, previousPost = null) {
+    try {
+      if (!redisService.isReady()) {
+        return;
+      }
+
+      const score = new Date(post.created_at).getTime();
+
+      // Author's own timeline
+      if (this.isLive(post)) {
+        await this.pushToTimelines([post.user_id], post.id, score);
+      } else {
+        await redisService.zrem(this.getTimelineKey(post.user_id), post.id);
+      }
+
+      // Shared public stream
+      if (this.isLive(post) && post.privacy === 'public') {
+        await redisService.zadd(PUBLIC_TIMELINE_KEY, score, post.id);
+        await redisService.evalScript(
+          "return redis.call('zremrangebyrank', KEYS[1], 0, -(tonumber(ARGV[1]) + 1))",
+          [PUBLIC_TIMELINE_KEY],
+          [this.publicMaxLength]
+        );
+      } else {
+        await redisService.zrem(PUBLIC_TIMELINE_KEY, post.id);
+      }
+
+      // Friends only need a push when the post becomes visible to them
+      if (this.reachesFriends(post) && !this.reachesFriends(previousPost)) {
+        await this.fanOut(post, score);
+      }
+    } catch (error) {
+      logger.error('Failed to sync post into timelines:', {
+        postId: post.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Push a post into the timelines of the author's friends
+   * @param {Object} post - Published post
+   * @param {number} score - Timeline score (publish time in milliseconds)
+   * @returns {Promise<void>}
+   */
+  async fanOut(post, score) {
+    const Friend = require('../models/Friend');
+
+    // Once an author is large they stay on the pull path so none of their posts go missing
+    if (await redisService.sismember(LARGE_AUTHORS_KEY, post.user_id)) {
+      return;
+    }
+
+    const friendIds = await Friend.getFriendIds(post.user_id);
+
+    if (friendIds.length > this.fanoutLimit) {
+      await redisService.sadd(LARGE_AUTHORS_KEY, post.user_id);
+      logger.info(`Author ${post.user_id} moved to pull-based timelines`, { friends: friendIds.length });
+      return;
+    }
+
+    await this.pushToTimelines(friendIds, post.id, score);
+  }
+
+  /**
+   * Push a post into the built timelines of the given users
+   * @param {Array<string>} userIds - Timeline owners
+   * @param {string} postId - Post ID
+   * @param {number} score - Timeline score
+   * @returns {Promise<number>} Number of timelines updated
+   */
+  async pushToTimelines(userIds, postId, score) {
+    let pushed = 0;
+
+    for (let i = 0; i < userIds.length; i += this.fanoutBatchSize) {
+      const keys = userIds.slice(i, i + this.fanoutBatchSize).map(id => this.getTimelineKey(id));
+      pushed += await redisService.evalScript(PUSH_SCRIPT, keys, [score, postId, this.maxLength]);
+    }
+
+    return pushed;
+  }
+
+  /**
+   * Get a page of a user's home timeline
+   * Returns rows in query order for buildCursorPage, or null when the cache
+   * cannot serve the request and the caller should query the database
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of posts to fetch
+   * @param {Object} cursor - Decoded pagination cursor
+   * @returns {Promise<Post[]|null>} Array of posts with author details, or null
+   */
+  async getTimelinePage(userId, limit = 20, cursor = null) {
+    // Walking back towards newer posts is left to the database
+    if (!redisService.isReady() || (cursor && cursor.direction !== 'next')) {
+      return null;
+    }
+
+    try {
+      const Post = require('../models/Post');
+      const Friend = require('../models/Friend');
+
+      const key = this.getTimelineKey(userId);
+      const [timelineBuilt, publicBuilt] = await Promise.all([
+        redisService.exists(key),
+        redisService.exists(PUBLIC_TIMELINE_KEY)
+      ]);
+
+      if (!timelineBuilt || !publicBuilt) {
+        this.scheduleRebuild(userId, !publicBuilt);
+        return null;
+      }
+
+      // Keep active users' timelines from expiring
+      await redisService.expire(key, this.ttl);
+
+      const max = cursor ? cursor.createdAt.getTime() : '+inf';
+      const count = limit + TIE_SLACK;
+      const largeAuthorIds = await redisService.smembers(LARGE_AUTHORS_KEY);
+
+      const [homeEntries, publicEntries, largeFriendIds] = await Promise.all([
+        redisService.zrangebyscore(key, '-inf', max, { rev: true, count }),
+        redisService.zrangebyscore(PUBLIC_TIMELINE_KEY, '-inf', max, { rev: true, count }),
+        Friend.getFriendIdsAmong(userId, largeAuthorIds)
+      ]);
+
+      const pulledPosts = largeFriendIds.length > 0
+        ? await Post.getTimelineSourcePosts(largeFriendIds, { limit: count, cursor })
+        : [];
+
+      const pushedEntries = homeEntries.filter(entry => entry.value !== TIMELINE_MARKER);
+
+      // Each source is only complete down to the oldest entry it returned
+      const coverage = [pushedEntries, publicEntries].map(entries => (
+        entries.length > 0 ? entries[entries.length - 1].score : Infinity
+      ));
+      if (pulledPosts.length === count) {
+        coverage.push(new Date(pulledPosts[pulledPosts.length - 1].created_at).getTime());
+      }
+      const coveredFrom = Math.max(...coverage);
+
+      const postIds = [...new Set([
+        ...pushedEntries.map(entry => entry.value),
+        ...publicEntries.map(entry => entry.value),
+        ...pulledPosts.map(post => post.id)
+      ])];
+
+      const posts = postIds.length > 0
+        ? await Post.scope(['published', 'withAuthor']).findAll({
+          where: {
+            id: postIds,
+            post_type: 'post'
+          }
+        })
+        : [];
+
+      const isBeforeCursor = (post) => {
+        if (!cursor) {
+          return true;
+        }
+        const time = new Date(post.created_at).getTime();
+        const cursorTime = cursor.createdAt.getTime();
+        return time < cursorTime || (time === cursorTime && post.id < cursor.id);
+      };
+
+      const page = posts
+        // Drop entries whose post went private after it was pushed
+        .filter(post => post.privacy !== 'private' || post.user_id === userId)
+        .filter(post => isBeforeCursor(post) && new Date(post.created_at).getTime() >= coveredFrom)
+        .sort((a, b) => (
+          new Date(b.created_at).getTime() - new Date(a.created_at).getTime()
+          || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0)
+        ))
+        .slice(0, limit);
+
+      // A short page may be missing posts older than the cache holds
+      return page.length < limit ? null : page;
+    } catch (error) {
+      logger.error('Failed to read home timeline:', {
+        userId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Rebuild timelines in the background without blocking the request
+   * @param {string} userId - User ID
+   * @param {boolean} includePublic - Whether the shared public stream also needs rebuilding
+   */
+  scheduleRebuild(userId, includePublic = false) {
+    const rebuilds = [this.rebuildTimeline(userId)];
+    if (includePublic) {
+      rebuilds.push(this.rebuildPublicTimeline());
+    }
+
+    Promise.all(rebuilds).catch(error => {
+      logger.error('Background timeline rebuild failed:', {
+        userId,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Rebuild a user's home timeline from the database
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether this call rebuilt the timeline
+   */
+  async rebuildTimeline(userId) {
+    if (!redisService.isReady()) {
+      return false;
+    }
+
+    const Post = require('../models/Post');
+    const Friend = require('../models/Friend');
+
+    const lockKey = `${REBUILD_LOCK_PREFIX}${userId}`;
+    const lockToken = await redisService.acquireLock(lockKey, 60);
+    if (!lockToken) {
+      return false;
+    }
+
+    try {
+      const [friendIds, largeAuthorIds] = await Promise.all([
+        Friend.getFriendIds(userId),
+        redisService.smembers(LARGE_AUTHORS_KEY)
+      ]);
+
+      // Large authors are pulled at read time, so they are left out of the cache
+      const pushedFriendIds = friendIds.filter(id => !largeAuthorIds.includes(id));
+      const since = new Date(Date.now() - this.rebuildWindowDays * 24 * 60 * 60 * 1000);
+
+      const posts = await Post.getTimelineSourcePosts(pushedFriendIds, {
+        viewerId: userId,
+        since,
+        limit: this.maxLength
+      });
+
+      await this.replaceTimeline(this.getTimelineKey(userId), posts, this.ttl);
+
+      logger.info(`Home timeline rebuilt for user ${userId}`, { posts: posts.length });
+      return true;
+    } finally {
+      await redisService.releaseLock(lockKey, lockToken).catch(() => {});
+    }
+  }
+
+  /**
+   * Rebuild the shared public stream from the database
+   * @returns {Promise<boolean>} Whether this call rebuilt the stream
+   */
+  async rebuildPublicTimeline() {
+    if (!redisService.isReady()) {
+      return false;
+    }
+
+    const Post = require('../models/Post');
+
+    const lockKey = `${REBUILD_LOCK_PREFIX}public`;
+    const lockToken = await redisService.acquireLock(lockKey, 60);
+    if (!lockToken) {
+      return false;
+    }
+
+    try {
+      const since = new Date(Date.now() - this.rebuildWindowDays * 24 * 60 * 60 * 1000);
+      const posts = await Post.getRecentPublicPosts(since, this.publicMaxLength);
+
+      // The public stream is shared by every reader, so it does not expire
+      await this.replaceTimeline(PUBLIC_TIMELINE_KEY, posts, null);
+
+      logger.info('Public timeline rebuilt', { posts: posts.length });
+      return true;
+    } finally {
+      await redisService.releaseLock(lockKey, lockToken).catch(() => {});
+    }
+  }
+
+  /**
+   * Atomically replace a timeline with the given posts
+   * @param {string} key - Timeline key
+   * @param {Array<Post>} posts - Posts with id and created_at
+   * @param {number|null} ttl - Expiration in seconds, null to keep forever
+   * @returns {Promise<void>}
+   */
+  async replaceTimeline(key, posts, ttl) {
+    const args = [ttl || 0, TIMELINE_MARKER];
+    for (const post of posts) {
+      args.push(new Date(post.created_at).getTime(), post.id);
+    }
+
+    await redisService.evalScript(REPLACE_SCRIPT, [key], args);
+  }
+
+  /**
+   * Drop cached timelines so they are rebuilt on next read
+   * Used when friendships change, since pushed entries depend on them
+   * @param {Array<string>} userIds - Timeline owners
+   * @returns {Promise<void>}
+   */
+  async invalidate(userIds) {
+    try {
+      if (!redisService.isReady()) {
+        return;
+      }
+
+      for (const userId of userIds) {
+        await redisService.del(this.getTimelineKey(userId));
+      }
+    } catch (error) {
+      logger.error('Failed to invalidate timelines:', error);
+    }
+  }
+}
+
+// Create singleton instance
+const timelineService = new TimelineService();
+
+module.exports = timelineService;
@@ -0,0 +1,8 @@
+/**
+ * Jest Setup
+ * Runs before every test file
+ */
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
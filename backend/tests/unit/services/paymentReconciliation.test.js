@@ -0,0 +1,290 @@
+/**
+ * Payment Reconciliation Service Tests
+ * Parses the bill fixtures in tests/fixtures/bills and reconciles them against mocked orders
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../../../config/env', () => ({
+  payment: {
+    billReconcileInterval: 3600000,
+    billReconcileHour: 10,
+    billAutoSettle: true
+  }
+}));
+jest.mock('../../../config/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../../services/redis', () => ({
+  isReady: jest.fn(() => false),
+  set: jest.fn(),
+  get: jest.fn()
+}));
+jest.mock('../../../services/payment', () => ({
+  downloadBill: jest.fn()
+}));
+jest.mock('../../../services/paymentProcessor', () => ({
+  processSuccessfulPayment: jest.fn()
+}));
+jest.mock('../../../models/PaymentOrder', () => ({
+  findAll: jest.fn()
+}));
+jest.mock('../../../models/PaymentRefund', () => ({
+  findAll: jest.fn()
+}));
+
+const PaymentProcessor = require('../../../services/paymentProcessor');
+const PaymentOrder = require('../../../models/PaymentOrder');
+const PaymentRefund = require('../../../models/PaymentRefund');
+const paymentService = require('../../../services/payment');
+const paymentReconciliationService = require('../../../services/paymentReconciliation');
+
+const FIXTURES = path.join(__dirname, '../../fixtures/bills');
+const wechatBill = fs.readFileSync(path.join(FIXTURES, 'wechat_bill_20240131.csv'), 'utf8');
+const alipayBill = fs.readFileSync(path.join(FIXTURES, 'alipay_bill_20240131.zip'));
+
+/**
+ * Serve orders and ledger refunds to the reconciliation queries
+ * @param {Object} data - Fixtures ({ orders, paidOrders, refunds }); paidOrders answer the query for
+ *   orders paid during the bill date
+ */
+const mockLedger = ({ orders = [], paidOrders = [], refunds = [] }) => {
+  PaymentOrder.findAll.mockImplementation(async ({ where }) => (
+    where.outTradeNo
+      ? orders.filter(order => where.outTradeNo.includes(order.outTradeNo))
+      : paidOrders
+  ));
+  PaymentRefund.findAll.mockImplementation(async ({ where }) => (
+    refunds.filter(refund => where.outRefundNo.includes(refund.outRefundNo))
+  ));
+};
+
+const order = (outTradeNo, amount, status, provider = 'wechat', paidAt = '2024-01-31T12:00:00+08:00') => ({
+  outTradeNo,
+  amount,
+  status,
+  provider,
+  transactionId: status === 'pending' ? null : `tx_${outTradeNo}`,
+  paidAt: status === 'pending' ? null : new Date(paidAt)
+});
+
+describe('PaymentReconciliationService', () => {
+  describe('parseWechatBill', () => {
+    it('reads payments and refunds and skips revoked trades and the summary', () => {
+      const records = paymentReconciliationService.parseWechatBill(wechatBill);
+
+      expect(records).toHaveLength(5);
+      expect(records[0]).toEqual({
+        type: 'payment',
+        outTradeNo: 'coins_user1_1706663565000',
+        transactionId: '4200000001202401311234567801',
+        amountCents: 600,
+        status: 'paid',
+        tradeTime: '2024-01-31 09:12:45'
+      });
+      expect(records.map(record => record.outTradeNo)).not.toContain('coins_user4_1706698938000');
+      expect(records[4]).toEqual({
+        type: 'refund',
+        outTradeNo: 'coins_user1_1706663565000',
+        transactionId: '4200000001202401311234567801',
+        outRefundNo: 'R1706707854000a1b2c3d4e5f6',
+        refundId: '50000300012024013100001',
+        amountCents: 600,
+        status: 'success',
+        tradeTime: '2024-01-31 21:30:54'
+      });
+    });
+
+    it('returns no records for an empty bill', () => {
+      expect(paymentReconciliationService.parseWechatBill('')).toEqual([]);
+    });
+  });
+
+  describe('parseAlipayBill', () => {
+    it('reads the GBK detail file from the bill archive', () => {
+      const records = paymentReconciliationService.parseAlipayBill(alipayBill);
+
+      expect(records).toEqual([
+        {
+          type: 'payment',
+          outTradeNo: 'coins_user5_1706670000000',
+          transactionId: '2024013122001400001234567801',
+          amountCents: 600,
+          status: 'paid',
+          tradeTime: '2024-01-31 11:00:09'
+        },
+        {
+          type: 'payment',
+          outTradeNo: 'premium_user6_1706680000000',
+          transactionId: '2024013122001400001234567802',
+          amountCents: 3000,
+          status: 'paid',
+          tradeTime: '2024-01-31 13:46:52'
+        },
+        {
+          type: 'refund',
+          outTradeNo: 'coins_user5_1706670000000',
+          transactionId: '2024013122001400001234567801',
+          outRefundNo: 'R1706689200000f6e5d4c3b2a1',
+          refundId: '2024013122001400001234567801',
+          amountCents: 300,
+          status: 'success',
+          tradeTime: '2024-01-31 16:20:31'
+        }
+      ]);
+    });
+
+    it('reads a detail CSV on its own', () => {
+      const csv = [
+        '#支付宝业务明细查询',
+        '支付宝交易号,商户订单号,业务类型,商品名称,创建时间,完成时间,订单金额（元）,商家实收（元）,退款批次号/请求号',
+        '2024013122001400001234567809\t,boost_user8_1706690000000\t,交易,Boost 24 Hours\t,2024-01-31 16:33:20,2024-01-31 16:33:31,10.00,10.00,',
+        '#-----------------------------------------业务明细列表结束------------------------------------'
+      ].join('\r\n');
+
+      const records = paymentReconciliationService.parseAlipayBill(Buffer.from(csv, 'utf8'));
+
+      expect(records).toHaveLength(1);
+      expect(records[0]).toMatchObject({
+        type: 'payment',
+        outTradeNo: 'boost_user8_1706690000000',
+        amountCents: 1000
+      });
+    });
+  });
+
+  describe('reconcileBill', () => {
+    const records = paymentReconciliationService.parseWechatBill(wechatBill);
+
+    beforeEach(() => {
+      mockLedger({
+        orders: [
+          order('coins_user1_1706663565000', '6.00', 'refunded'),
+          order('premium_user1_1706666591000', '25.00', 'paid'),
+          order('coins_user3_1706696437000', '6.00', 'pending')
+        ],
+        paidOrders: [
+          order('coins_user1_1706663565000', '6.00', 'refunded'),
+          order('premium_user1_1706666591000', '25.00', 'paid'),
+          order('gift_user7_1706700000000', '12.00', 'paid'),
+          order('coins_user9_1706716500000', '6.00', 'paid', 'wechat', '2024-01-31T23:55:00+08:00')
+        ],
+        refunds: [
+          { outRefundNo: 'R1706707854000a1b2c3d4e5f6', amount: '6.00', status: 'success' }
+        ]
+      });
+      PaymentProcessor.processSuccessfulPayment.mockResolvedValue({ success: true, duplicate: false });
+    });
+
+    it('reports amount mismatches and payments missing from orders or the bill', async () => {
+      const report = await paymentReconciliationService.reconcileBill('wechat', '2024-01-31', records, { autoSettle: false });
+
+      expect(report).toMatchObject({
+        provider: 'wechat',
+        billDate: '2024-01-31',
+        billPayments: 4,
+        billRefunds: 1,
+        matched: 2,
+        settled: 0
+      });
+      expect(report.mismatches).toEqual(expect.arrayContaining([
+        expect.objectContaining({
+          kind: 'payment',
+          type: 'amount_differs',
+          outTradeNo: 'premium_user1_1706666591000',
+          billAmount: 30,
+          orderAmount: 25
+        }),
+        expect.objectContaining({
+          kind: 'payment',
+          type: 'missing',
+          missingFrom: 'orders',
+          outTradeNo: 'boost_user2_1706679902000'
+        }),
+        expect.objectContaining({
+          kind: 'payment',
+          type: 'missing',
+          missingFrom: 'bill',
+          outTradeNo: 'gift_user7_1706700000000'
+        })
+      ]));
+    });
+
+    it('reports a pending order the bill shows as paid without settling it when auto-settle is off', async () => {
+      const report = await paymentReconciliationService.reconcileBill('wechat', '2024-01-31', records, { autoSettle: false });
+
+      const missed = report.mismatches.find(mismatch => mismatch.outTradeNo === 'coins_user3_1706696437000');
+      expect(missed).toMatchObject({ type: 'status_differs', orderStatus: 'pending', billStatus: 'paid' });
+      expect(missed).not.toHaveProperty('settled');
+      expect(PaymentProcessor.processSuccessfulPayment).not.toHaveBeenCalled();
+    });
+
+    it('settles a missed payment as its callback would have', async () => {
+      const report = await paymentReconciliationService.reconcileBill('wechat', '2024-01-31', records, { autoSettle: true });
+
+      expect(PaymentProcessor.processSuccessfulPayment).toHaveBeenCalledTimes(1);
+      expect(PaymentProcessor.processSuccessfulPayment).toHaveBeenCalledWith('coins_user3_1706696437000', 'wechat', {
+        transactionId: '4200000001202401311234567804',
+        amount: 6,
+        source: 'reconciliation'
+      });
+      expect(report.settled).toBe(1);
+      expect(report.mismatches.find(mismatch => mismatch.outTradeNo === 'coins_user3_1706696437000'))
+        .toMatchObject({ type: 'status_differs', settled: true });
+    });
+
+    it('lists unbilled orders paid near midnight as unconfirmed rather than missing', async () => {
+      const report = await paymentReconciliationService.reconcileBill('wechat', '2024-01-31', records, { autoSettle: false });
+
+      expect(report.unconfirmed).toEqual([
+        expect.objectContaining({ outTradeNo: 'coins_user9_1706716500000', missingFrom: 'bill' })
+      ]);
+      expect(report.mismatches.map(mismatch => mismatch.outTradeNo)).not.toContain('coins_user9_1706716500000');
+    });
+  });
+
+  describe('settleMissedPayment', () => {
+    const pendingOrder = order('coins_user3_1706696437000', '6.00', 'pending');
+    const payment = { transactionId: '4200000001202401311234567804', amountCents: 600 };
+
+    it('returns true when the payment is processed', async () => {
+      PaymentProcessor.processSuccessfulPayment.mockResolvedValue({ success: true, duplicate: false });
+
+      await expect(paymentReconciliationService.settleMissedPayment(pendingOrder, payment)).resolves.toBe(true);
+    });
+
+    it('returns false when the callback settled the order first', async () => {
+      PaymentProcessor.processSuccessfulPayment.mockResolvedValue({ success: true, duplicate: true });
+
+      await expect(paymentReconciliationService.settleMissedPayment(pendingOrder, payment)).resolves.toBe(false);
+    });
+
+    it('returns false when processing fails', async () => {
+      PaymentProcessor.processSuccessfulPayment.mockResolvedValue({ success: false, error: 'User not found' });
+
+      await expect(paymentReconciliationService.settleMissedPayment(pendingOrder, payment)).resolves.toBe(false);
+    });
+  });
+
+  describe('reconcileDay', () => {
+    it('reconciles a local Alipay bill archive without downloading it', async () => {
+      mockLedger({
+        orders: [order('coins_user5_1706670000000', '6.00', 'partially_refunded', 'alipay')],
+        refunds: [{ outRefundNo: 'R1706689200000f6e5d4c3b2a1', amount: '3.00', status: 'pending' }]
+      });
+
+      const report = await paymentReconciliationService.reconcileDay('alipay', '2024-01-31', {
+        content: alipayBill,
+        autoSettle: false
+      });
+
+      expect(paymentService.downloadBill).not.toHaveBeenCalled();
+      expect(report.matched).toBe(1);
+      expect(report.mismatches).toEqual([
+        expect.objectContaining({ kind: 'payment', type: 'missing', missingFrom: 'orders', outTradeNo: 'premium_user6_1706680000000' }),
+        expect.objectContaining({ kind: 'refund', type: 'status_differs', billStatus: 'success', orderStatus: 'pending' })
+      ]);
+    });
+  });
+});
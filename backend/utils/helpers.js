@@ -4,6 +4,7 @@
  */
 
 const crypto = require('crypto');
+const { Op } = require('sequelize');
 const { logger } = require('../config/logger');
 
 /**
@@ -168,6 +169,107 @@ const paginate = (array, page = 1, limit = 10) => {
   };
 };
 
+/**
+ * Encode an opaque pagination cursor keyed on (created_at, id)
+ * @param {Object} row - Row with created_at and id
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {string} Cursor
+ */
+const encodeCursor = (row, direction = 'next') => {
+  const payload = {
+    t: new Date(row.created_at).toISOString(),
+    id: row.id,
+    d: direction
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object|null} Decoded cursor ({ createdAt, id, direction, value }) or null if invalid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id, d } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const createdAt = new Date(t);
+
+    if (typeof id !== 'string' || isNaN(createdAt.getTime()) || !['next', 'prev'].includes(d)) {
+      return null;
+    }
+
+    return { createdAt, id, direction: d, value: cursor };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Apply a cursor to a query
+ * 'next' continues in the list's sort order; 'prev' walks back towards its start,
+ * so the query runs in reverse and buildCursorPage restores the order
+ * @param {Object} where - Base where clause
+ * @param {Object|null} cursor - Decoded cursor
+ * @param {string} sortOrder - List sort order on created_at ('DESC' or 'ASC')
+ * @returns {Object} Query options ({ where, order })
+ */
+const applyCursor = (where, cursor, sortOrder = 'DESC') => {
+  const forward = !cursor || cursor.direction === 'next';
+  const direction = forward === (sortOrder === 'DESC') ? 'DESC' : 'ASC';
+  const order = [['created_at', direction], ['id', direction]];
+
+  if (!cursor) {
+    return { where, order };
+  }
+
+  const comparator = direction === 'DESC' ? Op.lt : Op.gt;
+  const condition = {
+    [Op.or]: [
+      { created_at: { [comparator]: cursor.createdAt } },
+      { created_at: cursor.createdAt, id: { [comparator]: cursor.id } }
+    ]
+  };
+
+  return {
+    where: {
+      ...where,
+      [Op.and]: [...(where[Op.and] || []), condition]
+    },
+    order
+  };
+};
+
+/**
+ * Build a cursor page from rows fetched with limit + 1
+ * @param {Array} rows - Rows returned by a query built with applyCursor
+ * @param {number} limit - Page size
+ * @param {Object|null} cursor - Decoded cursor used for the query
+ * @returns {Object} Page ({ items, hasNextPage, nextCursor, prevCursor })
+ */
+const buildCursorPage = (rows, limit, cursor = null) => {
+  const direction = cursor ? cursor.direction : 'next';
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+
+  if (direction === 'prev') {
+    items.reverse();
+  }
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  // Walking back from a cursor always leaves the rows we came from ahead of us
+  const hasNextPage = direction === 'next' ? hasMore : items.length > 0;
+
+  return {
+    items,
+    hasNextPage,
+    nextCursor: hasNextPage && last ? encodeCursor(last, 'next') : null,
+    // prevCursor stays available so clients can poll for rows added before the first item
+    prevCursor: first ? encodeCursor(first, 'prev') : (direction === 'prev' ? cursor.value : null)
+  };
+};
+
 /**
  * Deep clone object
  * @param {Object} obj - Object to clone
@@ -354,6 +456,10 @@ module.exports = {
   formatDate,
   calculateAge,
   paginate,
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+  buildCursorPage,
   deepClone,
   removeSensitiveFields,
   slugify,